@@ -0,0 +1,342 @@
+// =====================
+//  Range Alerts
+//  Rules are evaluated against every new hourly price from the live feed and
+//  fire to pluggable sinks (webhook, log file, in-app banner).
+//
+//  Rule types:
+//    cross -> price crosses the band's lower or upper bound
+//    near  -> price comes within `pct`% of either bound
+//    fees  -> trailing 24h pool fees drop below `threshold` USD
+//  A band is either explicit `lower`/`upper` or a saved position's bounds
+//  via `positionId`; positions.js refuses to delete a position in use.
+// =====================
+
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+
+import { createJsonStore } from "./store.js";
+import { isPoolAddress, listPools, poolDir } from "./pools.js";
+import { positionsFile } from "./positions.js";
+import { badRequest, notFound } from "./errors.js";
+
+const RULE_TYPES = ["cross", "near", "fees"];
+const RULE_FIELDS = [
+  "name",
+  "pool",
+  "type",
+  "positionId",
+  "lower",
+  "upper",
+  "pct",
+  "threshold",
+  "sinks",
+  "webhookUrl",
+  "enabled",
+];
+const DAY = 24 * 3600;
+// Evaluations run one at a time, so a hanging webhook must not hold them up
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const isPositive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+const rowTs = (r) => Number(r.periodStartUnix ?? r.timestamp);
+
+function rowPrice(r) {
+  const p = Number(r.token0Price ?? r.price);
+  if (Number.isFinite(p)) return p;
+  const p1 = Number(r.token1Price);
+  return Number.isFinite(p1) && p1 !== 0 ? 1 / p1 : NaN;
+}
+
+// ---------- SINKS ----------
+
+export function createSinks({ logFile, feed, webhookTimeoutMs = WEBHOOK_TIMEOUT_MS }) {
+  return {
+    async webhook(alert, rule) {
+      let res;
+      try {
+        res = await fetch(rule.webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(alert),
+          signal: AbortSignal.timeout(webhookTimeoutMs),
+        });
+      } catch (e) {
+        if (e?.name === "TimeoutError") {
+          throw new Error(`Webhook timed out after ${webhookTimeoutMs} ms`);
+        }
+        throw e;
+      }
+      if (!res.ok) throw new Error(`Webhook returned HTTP ${res.status}`);
+    },
+
+    async log(alert) {
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.appendFile(logFile, `${JSON.stringify(alert)}\n`);
+    },
+
+    async banner(alert) {
+      feed?.publish(alert.pool, "alert", alert);
+    },
+  };
+}
+
+// ---------- RULES ----------
+
+// Returns an error message, or null when the rule is valid
+export function validateRule(rule, sinkNames) {
+  if (rule.name != null && typeof rule.name !== "string") return "name must be a string";
+  if (!isPoolAddress(rule.pool)) return "pool must be a pool address";
+  if (!RULE_TYPES.includes(rule.type)) {
+    return `type must be one of: ${RULE_TYPES.join(", ")}`;
+  }
+
+  if (rule.type === "cross" || rule.type === "near") {
+    if (rule.positionId == null) {
+      if (!isPositive(rule.lower) || !isPositive(rule.upper)) {
+        return "lower and upper (or positionId) are required";
+      }
+      if (rule.lower >= rule.upper) return "lower must be below upper";
+    } else if (typeof rule.positionId !== "string") {
+      return "positionId must be a string";
+    }
+  }
+  if (rule.type === "near" && !isPositive(rule.pct)) {
+    return "pct must be a positive number";
+  }
+  if (rule.type === "fees" && !(typeof rule.threshold === "number" && rule.threshold >= 0)) {
+    return "threshold must be a non-negative number";
+  }
+
+  if (!Array.isArray(rule.sinks) || !rule.sinks.length) return "sinks must be a non-empty array";
+  const unknown = rule.sinks.find((s) => !sinkNames.includes(s));
+  if (unknown) return `Unknown sink: ${unknown}`;
+  if (rule.sinks.includes("webhook") && !/^https?:\/\//.test(rule.webhookUrl ?? "")) {
+    return "webhookUrl must be an http(s) URL";
+  }
+  if (typeof rule.enabled !== "boolean") return "enabled must be a boolean";
+  return null;
+}
+
+// Decides whether a rule fires for one new price. Level rules (near, fees)
+// only fire on the transition into the condition, tracked in `state`.
+export function evaluateRule(rule, { prevPrice, price, fees24h, band }, state = {}) {
+  if (rule.type === "cross") {
+    if (!band || !Number.isFinite(prevPrice)) return { message: null, state };
+    // One candle can jump across both bounds; report each, in the order the
+    // price passed them
+    const crossed = [];
+    for (const [name, bound] of [["lower", band.lower], ["upper", band.upper]]) {
+      if (prevPrice < bound && price >= bound) crossed.push(`above ${name} bound ${bound}`);
+      if (prevPrice > bound && price <= bound) crossed.unshift(`below ${name} bound ${bound}`);
+    }
+    const message = crossed.length ? `Price crossed ${crossed.join(" and ")} (now ${price})` : null;
+    return { message, state };
+  }
+
+  if (rule.type === "near") {
+    if (!band) return { message: null, state };
+    const near = [band.lower, band.upper].find(
+      (b) => (Math.abs(price - b) / b) * 100 <= rule.pct
+    );
+    const fire = near != null && !state.active;
+    return {
+      message: fire ? `Price ${price} is within ${rule.pct}% of bound ${near}` : null,
+      state: { active: near != null },
+    };
+  }
+
+  if (rule.type === "fees") {
+    if (!Number.isFinite(fees24h)) return { message: null, state };
+    const low = fees24h < rule.threshold;
+    return {
+      message:
+        low && !state.active
+          ? `24h fees $${fees24h.toFixed(2)} fell below $${rule.threshold}`
+          : null,
+      state: { active: low },
+    };
+  }
+
+  return { message: null, state };
+}
+
+// ---------- ENGINE ----------
+
+export function createAlertEngine({ dataDir, feed, rulesStore, historyStore, sinks }) {
+  const positions = createJsonStore(positionsFile(dataDir));
+
+  // pool -> { recent: last 24h of hourly rows, lastPrice }
+  const pools = new Map();
+  // rule id -> edge-trigger state
+  const ruleState = new Map();
+  let queue = Promise.resolve();
+
+  async function seedPool(address, beforeTs) {
+    let rows = [];
+    try {
+      const file = path.join(poolDir(dataDir, address), "hourly.json");
+      rows = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      // No history yet; the feed will fill it in
+    }
+    const recent = (Array.isArray(rows) ? rows : []).filter((r) => rowTs(r) < beforeTs);
+    const last = recent[recent.length - 1];
+    const state = {
+      recent: recent.filter((r) => rowTs(r) > rowTs(last ?? {}) - DAY),
+      lastPrice: last ? rowPrice(last) : NaN,
+    };
+    pools.set(address, state);
+    return state;
+  }
+
+  async function resolveBand(rule) {
+    if (rule.positionId == null) return { lower: rule.lower, upper: rule.upper };
+    const position = await positions.get(rule.positionId);
+    return position ? { lower: position.lower, upper: position.upper } : null;
+  }
+
+  async function fire(rule, message, row, price) {
+    const alert = {
+      ruleId: rule.id,
+      ruleName: rule.name ?? null,
+      pool: rule.pool,
+      type: rule.type,
+      message,
+      price,
+      ts: rowTs(row),
+      firedAt: Math.floor(Date.now() / 1000),
+    };
+
+    const delivery = {};
+    for (const name of rule.sinks) {
+      try {
+        await sinks[name](alert, rule);
+        delivery[name] = "ok";
+      } catch (e) {
+        delivery[name] = String(e?.message || e);
+        console.error(`Alert ${rule.id} not delivered to ${name}:`, delivery[name]);
+      }
+    }
+    return historyStore.create({ ...alert, delivery });
+  }
+
+  async function onCandles(address, rows) {
+    const sorted = [...rows].sort((a, b) => rowTs(a) - rowTs(b));
+    if (!sorted.length) return;
+    const pool = pools.get(address) ?? (await seedPool(address, rowTs(sorted[0])));
+    const rules = (await rulesStore.list()).filter((r) => r.enabled && r.pool === address);
+
+    for (const row of sorted) {
+      const price = rowPrice(row);
+      if (!Number.isFinite(price)) continue;
+
+      // A revised open candle replaces its earlier version
+      const ts = rowTs(row);
+      pool.recent = pool.recent.filter((r) => rowTs(r) !== ts && rowTs(r) > ts - DAY);
+      pool.recent.push(row);
+      const fees24h = pool.recent.reduce((acc, r) => acc + (Number(r.feesUSD) || 0), 0);
+
+      for (const rule of rules) {
+        const band = await resolveBand(rule);
+        const { message, state } = evaluateRule(
+          rule,
+          { prevPrice: pool.lastPrice, price, fees24h, band },
+          ruleState.get(rule.id)
+        );
+        ruleState.set(rule.id, state);
+        if (message) await fire(rule, message, row, price);
+      }
+
+      pool.lastPrice = price;
+    }
+  }
+
+  async function start() {
+    for (const p of await listPools(dataDir)) await seedPool(p.address, Infinity);
+    return feed.subscribeAll(({ address, event, data }) => {
+      if (event !== "candle") return;
+      queue = queue
+        .then(() => onCandles(address, data))
+        .catch((e) => console.error("Alert evaluation failed:", e?.message || e));
+    });
+  }
+
+  return { start, onCandles };
+}
+
+// ---------- API ----------
+
+function pickRuleFields(body) {
+  const out = {};
+  for (const f of RULE_FIELDS) if (body?.[f] !== undefined) out[f] = body[f];
+  if (typeof out.pool === "string") out.pool = out.pool.toLowerCase();
+  return out;
+}
+
+export function createAlertsRouter({ rulesStore, historyStore, sinks }) {
+  const router = express.Router();
+  const sinkNames = Object.keys(sinks);
+
+  router.get("/rules", async (req, res, next) => {
+    try {
+      res.json(await rulesStore.list());
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post("/rules", async (req, res, next) => {
+    try {
+      const rule = { sinks: ["banner", "log"], enabled: true, ...pickRuleFields(req.body) };
+      const error = validateRule(rule, sinkNames);
+      if (error) throw badRequest(error);
+      res.status(201).json(await rulesStore.create(rule));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.put("/rules/:id", async (req, res, next) => {
+    try {
+      const existing = await rulesStore.get(req.params.id);
+      if (!existing) throw notFound("Rule not found");
+
+      const fields = pickRuleFields(req.body);
+      const error = validateRule({ ...existing, ...fields }, sinkNames);
+      if (error) throw badRequest(error);
+      res.json(await rulesStore.update(req.params.id, fields));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.delete("/rules/:id", async (req, res, next) => {
+    try {
+      const removed = await rulesStore.remove(req.params.id);
+      if (!removed) throw notFound("Rule not found");
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Newest first; optional ?pool=&ruleId=&limit=
+  router.get("/history", async (req, res, next) => {
+    try {
+      const { pool, ruleId } = req.query;
+      const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+      const history = (await historyStore.list())
+        .filter((h) => !pool || h.pool === String(pool).toLowerCase())
+        .filter((h) => !ruleId || h.ruleId === ruleId)
+        .reverse()
+        .slice(0, limit);
+      res.json(history);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+}
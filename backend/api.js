@@ -0,0 +1,464 @@
+// =====================
+//  Aggregated Query API
+//  /api/pools/:address/candles?from=&to=&interval=&limit=&fields=&format=
+//  /api/pools/:address/fees?window=&to=
+//  /api/pools/:address/ticks?lower=&upper=&at=&format=
+//  /api/pools/:address/snapshots?from=&to=&max=&include=ticks
+//  /api/pools/:address/report?lower=&upper=&deposit=&entry=&format=
+//  /api/pools/:address/swap?amount=&direction=
+//
+//  Durations are `<n>h` or `<n>d`. Hour durations read hourly.json and day
+//  durations read daily.json, so 1d candles and 30d fee windows reach back
+//  as far as the daily history does.
+//
+//  `format=csv` turns candles, ticks and the report into CSV downloads. The
+//  report runs the estimate code the dashboard uses (shared/), so scripts
+//  get the numbers the UI shows.
+//
+//  `at` reads the tick distribution as it was at a unix time, from the
+//  snapshots each ingestion run keeps (see snapshots.js).
+// =====================
+
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+
+import { isPoolAddress, poolDir } from "./pools.js";
+import { badRequest, invalidPool, missingData, notFound } from "./errors.js";
+import { listSnapshots, readSnapshot, sampleSnapshots, snapshotAsOf } from "./snapshots.js";
+import { snapBounds, tickSpecForPool } from "../shared/bounds.js";
+import { toCsv } from "../shared/csv.js";
+import {
+  estimateFees,
+  liquidityInRange,
+  positionReport,
+  tickOverlapsRange,
+} from "../shared/estimate.js";
+import { buildLiquidityIndex } from "../shared/feeAttribution.js";
+import { SWAP_DIRECTIONS, simulateSwap } from "../shared/swap.js";
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const DURATION_RE = /^(\d+)([hd])$/;
+const CANDLE_FIELDS = ["price", "open", "high", "low", "close", "feesUSD", "volumeUSD", "tvlUSD"];
+const MAX_CANDLES = 10000;
+const MAX_SNAPSHOTS = 100;
+const TICK_FIELDS = [
+  "tickLower",
+  "tickUpper",
+  "liquidity",
+  "priceLowerUSD",
+  "priceUpperUSD",
+  "amount0",
+  "amount1",
+  "usdValue",
+];
+
+// "4h" -> { seconds: 14400, dataset: "hourly" }, or null when invalid
+export function parseDuration(text) {
+  const m = DURATION_RE.exec(String(text ?? ""));
+  if (!m || Number(m[1]) === 0) return null;
+  const n = Number(m[1]);
+  return m[2] === "h"
+    ? { seconds: n * HOUR, dataset: "hourly" }
+    : { seconds: n * DAY, dataset: "daily" };
+}
+
+export const rowTs = (r) => Number(r.periodStartUnix ?? r.dayStartUnix ?? r.timestamp);
+
+export function rowPrice(r) {
+  const p = Number(r.token0Price ?? r.price);
+  if (Number.isFinite(p)) return p;
+  const p1 = Number(r.token1Price);
+  return Number.isFinite(p1) && p1 !== 0 ? 1 / p1 : NaN;
+}
+
+// OHLC fields fall back to the snapshot price when the subgraph left them empty
+function ohlcOf(r) {
+  const price = rowPrice(r);
+  const pick = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : price);
+  return { open: pick(r.open), high: pick(r.high), low: pick(r.low), close: pick(r.close) };
+}
+
+const sumOf = (rows, field) => rows.reduce((acc, r) => acc + (Number(r[field]) || 0), 0);
+
+// Groups time-sorted rows into UTC-aligned buckets of `seconds`:
+// OHLC across the bucket, fees and volume summed, TVL and price at the close
+export function resample(rows, seconds) {
+  const buckets = [];
+  for (const r of rows) {
+    const ts = Math.floor(rowTs(r) / seconds) * seconds;
+    const last = buckets[buckets.length - 1];
+    if (last && last.timestamp === ts) last.rows.push(r);
+    else buckets.push({ timestamp: ts, rows: [r] });
+  }
+
+  return buckets.map(({ timestamp, rows: group }) => {
+    const ohlc = group.map(ohlcOf);
+    const closing = group[group.length - 1];
+    return {
+      timestamp,
+      price: rowPrice(closing),
+      open: ohlc[0].open,
+      high: Math.max(...ohlc.map((c) => c.high)),
+      low: Math.min(...ohlc.map((c) => c.low)),
+      close: ohlc[ohlc.length - 1].close,
+      feesUSD: sumOf(group, "feesUSD"),
+      volumeUSD: sumOf(group, "volumeUSD"),
+      tvlUSD: Number(closing.tvlUSD) || null,
+    };
+  });
+}
+
+// file -> { mtimeMs, data }; parsed (and for series, sorted) data is reused
+// until the file changes
+const cache = new Map();
+
+async function readCached(file, series) {
+  const { mtimeMs } = await fs.stat(file);
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.data;
+
+  let data = JSON.parse(await fs.readFile(file, "utf8"));
+  if (series) {
+    if (!Array.isArray(data)) throw new Error(`${path.basename(file)} is not an array`);
+    data = data.filter((r) => Number.isFinite(rowTs(r))).sort((a, b) => rowTs(a) - rowTs(b));
+  }
+  cache.set(file, { mtimeMs, data });
+  return data;
+}
+
+// Optional unix-seconds query param; undefined when absent, NaN when invalid
+export function optionalTs(value) {
+  if (value == null || value === "") return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+// Optional positive-number query param; undefined when absent, NaN when invalid
+function optionalPositive(value) {
+  if (value == null || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : NaN;
+}
+
+const FORMATS = ["json", "csv"];
+
+// Rows as CSV (an attachment named `${name}.csv`) or the JSON `body`
+function sendRows(res, format, name, rows, body, columns) {
+  if (format !== "csv") return res.json(body);
+  res.type("text/csv");
+  res.attachment(`${name}.csv`);
+  res.send(toCsv(rows, columns));
+}
+
+export function createApiRouter(dataDir) {
+  const router = express.Router();
+
+  function checkAddress(req) {
+    const { address } = req.params;
+    if (!isPoolAddress(address)) throw invalidPool(address);
+  }
+
+  // Validates the address and loads a dataset, or throws an HttpError.
+  // Time series (hourly, daily) come back sorted by timestamp.
+  async function loadRows(req, dataset, { series = true } = {}) {
+    const { address } = req.params;
+    checkAddress(req);
+    try {
+      return await readCached(path.join(poolDir(dataDir, address), `${dataset}.json`), series);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      throw missingData(dataset, address.toLowerCase());
+    }
+  }
+
+  router.get("/pools/:address/candles", async (req, res, next) => {
+    try {
+      const interval = parseDuration(req.query.interval ?? "1h");
+      if (!interval) {
+        throw badRequest("interval must look like 1h, 4h or 1d");
+      }
+      const from = optionalTs(req.query.from);
+      const to = optionalTs(req.query.to);
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw badRequest("from and to must be unix seconds");
+      }
+      const limit = req.query.limit == null ? MAX_CANDLES : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CANDLES) {
+        throw badRequest(`limit must be between 1 and ${MAX_CANDLES}`);
+      }
+      const fields = req.query.fields ? String(req.query.fields).split(",") : CANDLE_FIELDS;
+      const unknown = fields.find((f) => !CANDLE_FIELDS.includes(f));
+      if (unknown) throw badRequest(`Unknown field: ${unknown}`);
+      const format = req.query.format ?? "json";
+      if (!FORMATS.includes(format)) {
+        throw badRequest(`format must be one of: ${FORMATS.join(", ")}`);
+      }
+
+      const rows = await loadRows(req, interval.dataset);
+
+      const inRange = rows.filter((r) => {
+        const ts = rowTs(r);
+        return (from === undefined || ts >= from) && (to === undefined || ts <= to);
+      });
+      const candles = resample(inRange, interval.seconds)
+        .slice(-limit)
+        .map((c) => {
+          const out = { timestamp: c.timestamp };
+          for (const f of fields) out[f] = c[f];
+          return out;
+        });
+
+      const pool = req.params.address.toLowerCase();
+      const intervalText = req.query.interval ?? "1h";
+      sendRows(
+        res,
+        format,
+        `${pool}-candles-${intervalText}`,
+        candles,
+        {
+          pool,
+          interval: intervalText,
+          from: candles[0]?.timestamp ?? null,
+          to: candles[candles.length - 1]?.timestamp ?? null,
+          candles,
+        },
+        ["timestamp", ...fields]
+      );
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Fees over the trailing window ending at `to` (default: the latest row)
+  router.get("/pools/:address/fees", async (req, res, next) => {
+    try {
+      const window = parseDuration(req.query.window ?? "7d");
+      if (!window) {
+        throw badRequest("window must look like 24h, 7d or 30d");
+      }
+      const toParam = optionalTs(req.query.to);
+      if (Number.isNaN(toParam)) throw badRequest("to must be unix seconds");
+
+      const rows = await loadRows(req, window.dataset);
+
+      const upTo = rows.filter((r) => toParam === undefined || rowTs(r) <= toParam);
+      const to = upTo.length ? rowTs(upTo[upTo.length - 1]) : null;
+      // Rows are period starts, so the last N periods cover the window
+      const inWindow = to == null ? [] : upTo.filter((r) => rowTs(r) > to - window.seconds);
+
+      res.json({
+        pool: req.params.address.toLowerCase(),
+        window: req.query.window ?? "7d",
+        from: inWindow[0] ? rowTs(inWindow[0]) : null,
+        to,
+        periods: inWindow.length,
+        feesUSD: sumOf(inWindow, "feesUSD"),
+        volumeUSD: sumOf(inWindow, "volumeUSD"),
+      });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Tick ranges overlapping [lower, upper], or all of them. With `at`, from
+  // the snapshot in effect at that time instead of the latest ticks.json.
+  router.get("/pools/:address/ticks", async (req, res, next) => {
+    try {
+      const lower = optionalPositive(req.query.lower);
+      const upper = optionalPositive(req.query.upper);
+      if (Number.isNaN(lower) || Number.isNaN(upper)) {
+        throw badRequest("lower and upper must be positive numbers");
+      }
+      const at = optionalTs(req.query.at);
+      if (Number.isNaN(at)) throw badRequest("at must be unix seconds");
+      const format = req.query.format ?? "json";
+      if (!FORMATS.includes(format)) {
+        throw badRequest(`format must be one of: ${FORMATS.join(", ")}`);
+      }
+
+      const pool = req.params.address.toLowerCase();
+      let ticks;
+      let asOf;
+      if (at === undefined) {
+        ticks = await loadRows(req, "ticks", { series: false });
+      } else {
+        checkAddress(req);
+        asOf = snapshotAsOf(await listSnapshots(dataDir, pool), at);
+        const snapshot = asOf == null ? null : await readSnapshot(dataDir, pool, asOf);
+        if (!snapshot) throw notFound(`No tick snapshot at or before ${at} for pool ${pool}`);
+        ticks = snapshot.ticks;
+      }
+
+      const inRange = ticks.filter((t) => tickOverlapsRange(t, lower ?? 0, upper ?? Infinity));
+      sendRows(
+        res,
+        format,
+        asOf === undefined ? `${pool}-ticks` : `${pool}-ticks-${asOf}`,
+        inRange,
+        { pool, asOf, lower, upper, ticks: inRange },
+        TICK_FIELDS
+      );
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Snapshot timestamps covering [from, to], thinned to `max`. With
+  // include=ticks each entry carries its price and tick distribution.
+  router.get("/pools/:address/snapshots", async (req, res, next) => {
+    try {
+      checkAddress(req);
+      const from = optionalTs(req.query.from);
+      const to = optionalTs(req.query.to);
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw badRequest("from and to must be unix seconds");
+      }
+      const max = req.query.max == null ? 24 : Number(req.query.max);
+      if (!Number.isInteger(max) || max < 1 || max > MAX_SNAPSHOTS) {
+        throw badRequest(`max must be between 1 and ${MAX_SNAPSHOTS}`);
+      }
+      const include = req.query.include;
+      if (include != null && include !== "ticks") {
+        throw badRequest("include must be ticks");
+      }
+
+      const pool = req.params.address.toLowerCase();
+      const timestamps = await listSnapshots(dataDir, pool);
+      const picked = sampleSnapshots(timestamps, { from, to, max });
+
+      const snapshots = [];
+      for (const ts of picked) {
+        if (!include) {
+          snapshots.push({ ingestedAt: ts });
+          continue;
+        }
+        // Read one at a time; full distributions are large
+        const snapshot = await readSnapshot(dataDir, pool, ts);
+        if (snapshot) snapshots.push(snapshot);
+      }
+
+      res.json({ pool, total: timestamps.length, snapshots });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // Position report for a range and deposit, with bounds snapped to usable
+  // ticks and the entry price defaulting to the latest hourly price
+  router.get("/pools/:address/report", async (req, res, next) => {
+    try {
+      const lower = optionalPositive(req.query.lower);
+      const upper = optionalPositive(req.query.upper);
+      const deposit = optionalPositive(req.query.deposit);
+      const entry = optionalPositive(req.query.entry);
+      if (!(lower > 0) || !(upper > lower)) {
+        throw badRequest("lower and upper are required, lower below upper");
+      }
+      if (!(deposit > 0)) throw badRequest("deposit must be a positive number");
+      if (Number.isNaN(entry)) throw badRequest("entry must be a positive number");
+      const format = req.query.format ?? "json";
+      if (!FORMATS.includes(format)) {
+        throw badRequest(`format must be one of: ${FORMATS.join(", ")}`);
+      }
+
+      const meta = await loadRows(req, "pool", { series: false });
+      const hourlyRows = await loadRows(req, "hourly");
+      const dailyRows = await loadRows(req, "daily");
+      const tickRows = await loadRows(req, "ticks", { series: false });
+
+      const hourly = hourlyRows
+        .map((r) => ({ ts: rowTs(r), price: rowPrice(r), feesUSD: Number(r.feesUSD) }))
+        .filter((h) => Number.isFinite(h.price));
+      const ticks = tickRows
+        .map((t) => ({
+          priceLowerUSD: Number(t.priceLowerUSD),
+          priceUpperUSD: Number(t.priceUpperUSD),
+          usdValue: Number(t.usdValue),
+        }))
+        .filter((t) => Object.values(t).every(Number.isFinite));
+      const currentPrice = hourly.length ? hourly[hourly.length - 1].price : NaN;
+
+      const snapped = snapBounds(lower, upper, tickSpecForPool(meta));
+      const inputs = {
+        deposit,
+        lower: snapped?.lower.price ?? lower,
+        upper: snapped?.upper.price ?? upper,
+        entryPrice: entry ?? currentPrice,
+      };
+      const estimate = estimateFees({
+        ...inputs,
+        hourly,
+        index: buildLiquidityIndex(ticks, currentPrice),
+        ticks,
+        fees7d: sumOf(dailyRows.slice(-7), "feesUSD"),
+      });
+      const report = positionReport({
+        pool: meta,
+        inputs,
+        estimate,
+        totalLiquidityInRange: liquidityInRange(ticks, inputs.lower, inputs.upper),
+        generatedAt: Math.floor(Date.now() / 1000),
+      });
+
+      sendRows(res, format, `${meta.address}-report`, [report], report);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // A trade of `amount` of the input token walked through the latest tick
+  // distribution from the latest hourly price: token0 in when buying
+  // token1, token1 in when selling it
+  router.get("/pools/:address/swap", async (req, res, next) => {
+    try {
+      const amount = optionalPositive(req.query.amount);
+      const direction = req.query.direction ?? "buy";
+      if (!(amount > 0)) throw badRequest("amount must be a positive number");
+      const directions = SWAP_DIRECTIONS.map((d) => d.id);
+      if (!directions.includes(direction)) {
+        throw badRequest(`direction must be one of: ${directions.join(", ")}`);
+      }
+
+      const meta = await loadRows(req, "pool", { series: false });
+      const hourlyRows = await loadRows(req, "hourly");
+      const tickRows = await loadRows(req, "ticks", { series: false });
+
+      const prices = hourlyRows.map(rowPrice).filter(Number.isFinite);
+      const price = prices[prices.length - 1];
+      if (!(price > 0)) throw missingData("hourly", meta.address);
+      const ticks = tickRows
+        .map((t) => ({
+          tickLower: Number(t.tickLower),
+          tickUpper: Number(t.tickUpper),
+          priceLowerUSD: Number(t.priceLowerUSD),
+          priceUpperUSD: Number(t.priceUpperUSD),
+          usdValue: Number(t.usdValue),
+        }))
+        .filter((t) => Object.values(t).every(Number.isFinite));
+
+      const swap = simulateSwap({
+        index: buildLiquidityIndex(ticks, price),
+        price,
+        amountIn: amount,
+        direction,
+        feePct: Number(meta.feeTier) / 10000,
+      });
+      if (!swap) throw missingData("ticks", meta.address);
+
+      const [tokenIn, tokenOut] =
+        direction === "sell" ? [meta.token1, meta.token0] : [meta.token0, meta.token1];
+      res.json({
+        pool: meta.address,
+        tokenIn: tokenIn?.symbol,
+        tokenOut: tokenOut?.symbol,
+        ...swap,
+      });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+}
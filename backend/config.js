@@ -0,0 +1,133 @@
+// =====================
+//  Configuration
+//  Built-in defaults, overridden by a JSON config file, overridden by
+//  environment variables:
+//
+//    key              env              default
+//    port             PORT             3000
+//    dataDir          DATA_DIR         ./data
+//    allowedOrigins   ALLOWED_ORIGINS  the Vite dev and preview servers
+//    pools            POOL_ADDRESS     USDC / WETH 0.05%
+//    subgraphUrl      SUBGRAPH_URL     the hosted Uniswap V3 subgraph
+//
+//  The file is ./config.json, or CONFIG_FILE when set. List values are
+//  comma-separated in env vars; an allowed origin of "*" allows any site.
+//  Relative paths resolve against the working directory.
+// =====================
+
+import fs from "fs/promises";
+import path from "path";
+
+import { isPoolAddress } from "./pools.js";
+
+export const DEFAULT_ENDPOINT =
+  "https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3";
+
+// USDC / WETH 0.05%
+export const DEFAULT_POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+
+const DEFAULTS = {
+  port: 3000,
+  dataDir: "data",
+  allowedOrigins: ["http://localhost:5173", "http://localhost:4173"],
+  pools: [DEFAULT_POOL],
+  subgraphUrl: DEFAULT_ENDPOINT,
+};
+
+const ENV_KEYS = {
+  port: "PORT",
+  dataDir: "DATA_DIR",
+  allowedOrigins: "ALLOWED_ORIGINS",
+  pools: "POOL_ADDRESS",
+  subgraphUrl: "SUBGRAPH_URL",
+};
+
+const LIST_KEYS = ["allowedOrigins", "pools"];
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+const splitList = (text) =>
+  text
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+async function readConfigFile(file, required) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT" && !required) return {};
+    throw new ConfigError(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`Config file ${file} is not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${file} must hold a JSON object`);
+  }
+  const unknown = Object.keys(data).find((k) => !(k in DEFAULTS));
+  if (unknown) throw new ConfigError(`Unknown key "${unknown}" in config file ${file}`);
+  return data;
+}
+
+function validate(config) {
+  const { port, dataDir, allowedOrigins, pools, subgraphUrl } = config;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new ConfigError(`port must be an integer between 1 and 65535, got ${port}`);
+  }
+  if (typeof dataDir !== "string" || !dataDir) {
+    throw new ConfigError("dataDir must be a non-empty path");
+  }
+  for (const key of LIST_KEYS) {
+    const list = config[key];
+    if (!Array.isArray(list) || list.some((v) => typeof v !== "string" || !v)) {
+      throw new ConfigError(`${key} must be a list of non-empty strings`);
+    }
+  }
+  if (!pools.length) throw new ConfigError("pools must list at least one pool address");
+  const badPool = pools.find((p) => !isPoolAddress(p));
+  if (badPool) throw new ConfigError(`Invalid pool address in pools: ${badPool}`);
+  const badOrigin = allowedOrigins.find((o) => o !== "*" && !URL.canParse(o));
+  if (badOrigin) throw new ConfigError(`allowedOrigins must be URLs or "*", got ${badOrigin}`);
+  if (typeof subgraphUrl !== "string" || !URL.canParse(subgraphUrl)) {
+    throw new ConfigError(`subgraphUrl must be a URL, got ${subgraphUrl}`);
+  }
+}
+
+// Resolved settings; throws ConfigError with a readable message when the
+// file or an env var holds something unusable
+export async function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+  const file = env.CONFIG_FILE
+    ? path.resolve(cwd, env.CONFIG_FILE)
+    : path.join(cwd, "config.json");
+  const fromFile = await readConfigFile(file, Boolean(env.CONFIG_FILE));
+
+  const fromEnv = {};
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    const value = env[name];
+    if (value == null || value === "") continue;
+    if (key === "port") fromEnv.port = Number(value);
+    else fromEnv[key] = LIST_KEYS.includes(key) ? splitList(value) : value;
+  }
+
+  const config = { ...DEFAULTS, ...fromFile, ...fromEnv };
+  validate(config);
+
+  return {
+    ...config,
+    dataDir: path.resolve(cwd, config.dataDir),
+    // Trailing slashes never appear in an Origin header
+    allowedOrigins: config.allowedOrigins.map((o) => o.replace(/\/+$/, "")),
+    pools: config.pools.map((p) => p.toLowerCase()),
+  };
+}
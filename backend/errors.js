@@ -0,0 +1,66 @@
+// =====================
+//  HTTP Errors
+//  Routes throw (or pass to next) an HttpError; errorHandler turns it into
+//    { error: "<message>", code: "<CODE>", ...details }
+//  with the error's status. Anything else is logged and answered as a 500,
+//  so clients always get JSON back.
+// =====================
+
+export class HttpError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details) =>
+  new HttpError(400, "BAD_REQUEST", message, details);
+
+export const notFound = (message, details) => new HttpError(404, "NOT_FOUND", message, details);
+
+export const invalidPool = (address) =>
+  new HttpError(400, "INVALID_POOL", `Invalid pool address: ${address}`, { pool: address });
+
+export const missingData = (dataset, address) =>
+  new HttpError(404, "MISSING_DATA", `No ${dataset} data for pool ${address}`, {
+    pool: address,
+    dataset,
+  });
+
+// Alert rules still take their band from the position
+export const positionInUse = (id, ruleIds) =>
+  new HttpError(409, "POSITION_IN_USE", `Position ${id} is used by alert rules`, {
+    ruleIds,
+  });
+
+// The configured subgraph failed or answered with GraphQL errors
+export const subgraphError = (message) =>
+  new HttpError(502, "SUBGRAPH_ERROR", `Subgraph request failed: ${message}`);
+
+// Mounted after every router: unmatched paths get a JSON 404 too
+export function notFoundHandler(req, res, next) {
+  next(notFound(`Not found: ${req.method} ${req.path}`));
+}
+
+// Express recognises error handlers by their four parameters, so `next` stays
+export function errorHandler(err, req, res, next) {
+  // Streams have already sent their headers; all that's left is to end them
+  if (res.headersSent) return res.end();
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+  }
+  // Rejected by express.json()
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON", code: "BAD_JSON" });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, code: "BAD_REQUEST" });
+  }
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({ error: "Internal server error", code: "INTERNAL" });
+}
@@ -0,0 +1,153 @@
+// =====================
+//  Live Data Feed
+//  Polls each pool's data files and publishes what changed:
+//    candle -> new or revised hourly rows
+//    day    -> new or revised daily rows
+//    ticks  -> a full tick snapshot
+//  Other modules can publish their own events (e.g. alerts) to a pool's stream.
+// =====================
+
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import path from "path";
+
+import { listPools, poolDir } from "./pools.js";
+
+const SERIES = {
+  hourly: { event: "candle", ts: (r) => Number(r.periodStartUnix ?? r.timestamp) },
+  daily: { event: "day", ts: (r) => Number(r.dayStartUnix ?? r.date ?? r.timestamp) },
+};
+
+// Rows that are newer than the last one seen, plus the last one itself if it
+// was revised (the current hour/day keeps accumulating fees until it closes).
+function changedRows(rows, prev, tsOf) {
+  if (!prev) return [];
+  return rows.filter((r) => {
+    const ts = tsOf(r);
+    if (ts > prev.lastTs) return true;
+    return ts === prev.lastTs && JSON.stringify(r) !== prev.lastRow;
+  });
+}
+
+export function createFeed(dataDir, { intervalMs = 5000 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Listeners on ALL get every pool's events, with the pool address attached
+  const ALL = "*";
+  const publish = (address, event, data) => {
+    const key = address.toLowerCase();
+    emitter.emit(key, { event, data });
+    emitter.emit(ALL, { address: key, event, data });
+  };
+
+  // `${address}/${dataset}` -> { mtimeMs, lastTs, lastRow }
+  const seen = new Map();
+  let running = false;
+
+  async function checkFile(address, dataset) {
+    const file = path.join(poolDir(dataDir, address), `${dataset}.json`);
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch {
+      return;
+    }
+
+    const key = `${address}/${dataset}`;
+    const prev = seen.get(key);
+    if (prev && prev.mtimeMs === stat.mtimeMs) return;
+
+    let rows;
+    try {
+      rows = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      return; // Mid-write; pick it up on the next poll
+    }
+    if (!Array.isArray(rows)) return;
+
+    if (dataset === "ticks") {
+      seen.set(key, { mtimeMs: stat.mtimeMs });
+      if (prev) publish(address, "ticks", rows);
+      return;
+    }
+
+    const { event, ts } = SERIES[dataset];
+    const last = rows[rows.length - 1];
+    seen.set(key, {
+      mtimeMs: stat.mtimeMs,
+      lastTs: last ? ts(last) : -Infinity,
+      lastRow: last ? JSON.stringify(last) : null,
+    });
+
+    const changed = changedRows(rows, prev, ts);
+    if (changed.length) publish(address, event, changed);
+  }
+
+  async function poll() {
+    if (running) return;
+    running = true;
+    try {
+      for (const pool of await listPools(dataDir)) {
+        for (const dataset of ["hourly", "daily", "ticks"]) {
+          await checkFile(pool.address, dataset);
+        }
+      }
+    } catch (e) {
+      console.error("Feed poll failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  }
+
+  // First poll only records a baseline, so nothing is replayed on startup
+  const ready = poll();
+  const timer = setInterval(poll, intervalMs);
+  timer.unref();
+
+  function subscribe(address, fn) {
+    const key = address.toLowerCase();
+    emitter.on(key, fn);
+    return () => emitter.off(key, fn);
+  }
+
+  function subscribeAll(fn) {
+    emitter.on(ALL, fn);
+    return () => emitter.off(ALL, fn);
+  }
+
+  // Server-Sent Events handler for one pool's feed
+  function stream(address, req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+
+    const unsubscribe = subscribe(address, ({ event, data }) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  return {
+    ready,
+    poll,
+    publish,
+    subscribe,
+    subscribeAll,
+    stream,
+
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
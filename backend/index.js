@@ -1,6 +1,14 @@
 // =====================
 //  Minimal Backend Server
-//  Serves processed JSON from /data
+//  Serves ingested pool files from /data/pools and /pools,
+//  live pool updates at /pools/:address/stream,
+//  saved positions at /positions,
+//  on-chain positions by owner at /wallet,
+//  alert rules and history at /alerts,
+//  resampled candles and fee windows at /api,
+//  data quality report at /health/data
+//  Port, data dir, allowed origins, pools and subgraph come from config.js;
+//  every error, including unknown routes, is answered as JSON (errors.js)
 // =====================
 
 import express from "express";
@@ -8,23 +16,100 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { createPoolsRouter } from "./pools.js";
+import { createFeed } from "./feed.js";
+import { createPositionsRouter } from "./positions.js";
+import { createJsonStore } from "./store.js";
+import { createAlertEngine, createAlertsRouter, createSinks } from "./alerts.js";
+import { createApiRouter } from "./api.js";
+import { createHealthRouter } from "./validate.js";
+import { createWalletRouter } from "./wallet.js";
+import { ConfigError, loadConfig } from "./config.js";
+import { HttpError, errorHandler, notFoundHandler } from "./errors.js";
+
 // Resolve __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+let config;
+try {
+  config = await loadConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  console.error(`Invalid configuration: ${e.message}`);
+  process.exit(1);
+}
+
 // Create express app
 const app = express();
-app.use(cors());
 
-// Serve backend/data folder at /data
-app.use("/data", express.static(path.join(process.cwd(), "data")));
+// Requests without an Origin (curl, same-origin) are always let through
+const anyOrigin = config.allowedOrigins.includes("*");
+app.use(
+  cors({
+    origin(origin, callback) {
+      if (!origin || anyOrigin || config.allowedOrigins.includes(origin)) {
+        return callback(null, true);
+      }
+      callback(new HttpError(403, "ORIGIN_NOT_ALLOWED", `Origin not allowed: ${origin}`));
+    },
+  })
+);
+app.use(express.json());
+
+const DATA_DIR = config.dataDir;
+
+// Ingested pool files only: the data dir also holds positions, alert rules
+// (with webhook URLs), alert history and the alert log, which stay private
+app.use("/data/pools", express.static(path.join(DATA_DIR, "pools")));
+
+// Watches ingested files and pushes changes to SSE subscribers
+const feed = createFeed(DATA_DIR);
+
+// Per-pool datasets, pool listing and live stream
+app.use("/pools", createPoolsRouter(DATA_DIR, { feed }));
+
+// Time-range queries that return only the candles a chart needs
+app.use("/api", createApiRouter(DATA_DIR));
+
+// Gaps, duplicates, spikes and malformed ticks in the ingested files
+app.use("/health", createHealthRouter(DATA_DIR));
+
+// Alert rules; positions they take their band from can't be deleted
+const rulesStore = createJsonStore(path.join(DATA_DIR, "alert-rules.json"));
+
+// Saved LP positions (create / list / update / delete)
+app.use("/positions", createPositionsRouter(DATA_DIR, { rulesStore }));
+
+// An owner's open positions, read from the configured subgraph
+app.use("/wallet", createWalletRouter(config.subgraphUrl));
+
+// Alert rules evaluated on each new candle from the feed
+const historyStore = createJsonStore(path.join(DATA_DIR, "alert-history.json"), {
+  limit: 1000,
+});
+const sinks = createSinks({ logFile: path.join(DATA_DIR, "alerts.log"), feed });
+const alertEngine = createAlertEngine({
+  dataDir: DATA_DIR,
+  feed,
+  rulesStore,
+  historyStore,
+  sinks,
+});
+alertEngine.start().catch((e) => console.error("Alert engine failed to start:", e));
+app.use("/alerts", createAlertsRouter({ rulesStore, historyStore, sinks }));
 
 app.get("/", (req, res) => {
   res.send("Uniswap Web Project Backend is running.");
 });
 
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start server
-app.listen(3000, () => {
-  console.log("Backend running at http://localhost:3000");
-  console.log("Serving JSON data at http://localhost:3000/data/");
+app.listen(config.port, () => {
+  const base = `http://localhost:${config.port}`;
+  console.log(`Backend running at ${base}`);
+  console.log(`Serving pool files at ${base}/data/pools/ from ${DATA_DIR}`);
+  console.log(`Serving pool data at ${base}/pools/`);
 });
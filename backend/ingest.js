@@ -0,0 +1,237 @@
+// =====================
+//  Subgraph Ingestion
+//  Regenerates pool.json, hourly.json, daily.json and ticks.json
+//  under data/pools/<address>/ for each pool, and keeps a copy of the
+//  tick distribution in snapshots/<ingestedAt>.json. The mapped data is
+//  checked with validate.js and any issues are printed; nothing is dropped.
+//
+//  Usage:
+//    node ingest.js [--endpoint URL] [--pool ADDRESS[,ADDRESS...]] [--out DIR]
+//                   [--hours N] [--days N]
+//  Flags override config.js settings (config.json or SUBGRAPH_URL,
+//  POOL_ADDRESS, DATA_DIR)
+// =====================
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+
+import {
+  createSubgraphClient,
+  fetchPool,
+  fetchPoolHourDatas,
+  fetchPoolDayDatas,
+  fetchTicks,
+} from "./subgraph.js";
+import { poolDir } from "./pools.js";
+import { DEFAULT_ENDPOINT, DEFAULT_POOL, loadConfig } from "./config.js";
+import { SNAPSHOT_DIR } from "./snapshots.js";
+import { describeCounts, summarizeIssues, validateSeries, validateTicks } from "./validate.js";
+import { sqrtPriceX96ToPrice, tickToPrice } from "../shared/priceMath.js";
+import { amountsForLiquidity, liquidityFromRaw } from "../shared/position.js";
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+export function mapHourRows(rows) {
+  return rows.map((r) => ({
+    periodStartUnix: Number(r.periodStartUnix),
+    token0Price: num(r.token0Price),
+    token1Price: num(r.token1Price),
+    open: num(r.open),
+    high: num(r.high),
+    low: num(r.low),
+    close: num(r.close),
+    feesUSD: num(r.feesUSD),
+    volumeUSD: num(r.volumeUSD),
+    tvlUSD: num(r.tvlUSD),
+  }));
+}
+
+export function mapDayRows(rows) {
+  return rows.map((r) => ({
+    dayStartUnix: Number(r.date),
+    token0Price: num(r.token0Price),
+    token1Price: num(r.token1Price),
+    open: num(r.open),
+    high: num(r.high),
+    low: num(r.low),
+    close: num(r.close),
+    feesUSD: num(r.feesUSD),
+    volumeUSD: num(r.volumeUSD),
+    tvlUSD: num(r.tvlUSD),
+  }));
+}
+
+export function mapPoolMeta(pool, now) {
+  const token = (t) => ({
+    id: t.id,
+    symbol: t.symbol,
+    decimals: Number(t.decimals),
+  });
+  return {
+    address: pool.id.toLowerCase(),
+    feeTier: Number(pool.feeTier),
+    token0: token(pool.token0),
+    token1: token(pool.token1),
+    tick: Number(pool.tick),
+    sqrtPrice: String(pool.sqrtPrice),
+    ingestedAt: now,
+  };
+}
+
+// Turn initialized ticks into one row per price interval between consecutive
+// ticks, with the active liquidity in that interval valued in USD.
+export function buildTickRanges(ticks, pool, ethPriceUSD) {
+  const decimals0 = Number(pool.token0.decimals);
+  const decimals1 = Number(pool.token1.decimals);
+  const token0USD = Number(pool.token0.derivedETH) * ethPriceUSD;
+  const token1USD = Number(pool.token1.derivedETH) * ethPriceUSD;
+  const price = sqrtPriceX96ToPrice(pool.sqrtPrice, decimals0, decimals1, true);
+
+  const sorted = [...ticks].sort((a, b) => Number(a.tickIdx) - Number(b.tickIdx));
+  const out = [];
+  let liquidity = 0n;
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    liquidity += BigInt(sorted[i].liquidityNet);
+    if (liquidity <= 0n) continue;
+
+    const tickLower = Number(sorted[i].tickIdx);
+    const tickUpper = Number(sorted[i + 1].tickIdx);
+    // Chart orientation (USDC per WETH) falls as the tick rises, so the upper
+    // tick gives the lower price
+    const priceLowerUSD = tickToPrice(tickUpper, decimals0, decimals1, true);
+    const priceUpperUSD = tickToPrice(tickLower, decimals0, decimals1, true);
+    const { amount0, amount1 } = amountsForLiquidity(
+      liquidityFromRaw(liquidity, decimals0, decimals1),
+      priceLowerUSD,
+      priceUpperUSD,
+      price
+    );
+
+    out.push({
+      tickLower,
+      tickUpper,
+      liquidity: liquidity.toString(),
+      priceLowerUSD,
+      priceUpperUSD,
+      amount0,
+      amount1,
+      usdValue: amount0 * token0USD + amount1 * token1USD,
+    });
+  }
+
+  return out;
+}
+
+// Write via a temp file so the static server never serves a half-written file
+async function writeJson(dir, name, data) {
+  const file = path.join(dir, name);
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+  return file;
+}
+
+export async function ingestPool({
+  endpoint = DEFAULT_ENDPOINT,
+  poolAddress = DEFAULT_POOL,
+  outDir = path.join(process.cwd(), "data"),
+  hours = 30 * 24,
+  days = 365,
+  now = Math.floor(Date.now() / 1000),
+} = {}) {
+  const client = createSubgraphClient(endpoint);
+
+  const { pool, ethPriceUSD } = await fetchPool(client, poolAddress);
+  const [hourRows, dayRows, tickRows] = await Promise.all([
+    fetchPoolHourDatas(client, poolAddress, now - hours * 3600),
+    fetchPoolDayDatas(client, poolAddress, now - days * 86400),
+    fetchTicks(client, poolAddress),
+  ]);
+
+  const hourly = mapHourRows(hourRows);
+  const daily = mapDayRows(dayRows);
+  const ticks = buildTickRanges(tickRows, pool, ethPriceUSD);
+
+  const quality = {
+    hourly: summarizeIssues(validateSeries(hourly, 3600, { now }), 0),
+    daily: summarizeIssues(validateSeries(daily, 24 * 3600, { now }), 0),
+    ticks: summarizeIssues(validateTicks(ticks), 0),
+  };
+
+  const dir = poolDir(outDir, poolAddress);
+  await fs.mkdir(dir, { recursive: true });
+  await writeJson(dir, "hourly.json", hourly);
+  await writeJson(dir, "daily.json", daily);
+  await writeJson(dir, "ticks.json", ticks);
+
+  // Versioned by ingestion time, so later runs never overwrite history
+  const snapshotDir = path.join(dir, SNAPSHOT_DIR);
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await writeJson(snapshotDir, `${now}.json`, {
+    ingestedAt: now,
+    tick: Number(pool.tick),
+    price: tickToPrice(
+      Number(pool.tick),
+      Number(pool.token0.decimals),
+      Number(pool.token1.decimals),
+      true
+    ),
+    ticks,
+  });
+  // Written last: the pool listing only picks up pools with complete data
+  await writeJson(dir, "pool.json", mapPoolMeta(pool, now));
+
+  return { hourly: hourly.length, daily: daily.length, ticks: ticks.length, quality };
+}
+
+// CLI entry
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      endpoint: { type: "string" },
+      pool: { type: "string" },
+      out: { type: "string" },
+      hours: { type: "string" },
+      days: { type: "string" },
+    },
+  });
+
+  (async () => {
+    const config = await loadConfig();
+    const pools = values.pool
+      ? values.pool
+          .split(",")
+          .map((p) => p.trim())
+          .filter(Boolean)
+      : config.pools;
+
+    for (const poolAddress of pools) {
+      const counts = await ingestPool({
+        endpoint: values.endpoint ?? config.subgraphUrl,
+        poolAddress,
+        outDir: values.out ? path.resolve(values.out) : config.dataDir,
+        hours: values.hours ? Number(values.hours) : undefined,
+        days: values.days ? Number(values.days) : undefined,
+      });
+      console.log(
+        `${poolAddress}: ingested ${counts.hourly} hours, ${counts.daily} days, ${counts.ticks} tick ranges`
+      );
+      for (const [dataset, report] of Object.entries(counts.quality)) {
+        if (report.status !== "ok") {
+          console.warn(
+            `${poolAddress}: ${dataset} ${report.status}: ${describeCounts(report.counts)}`
+          );
+        }
+      }
+    }
+  })().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,284 @@
+// =====================
+//  Local Subgraph Stand-in
+//  Answers the ingest queries (pool, poolHourDatas, poolDayDatas, ticks in
+//  subgraph.js) with a synthetic USDC / WETH pool for any address, holding
+//  more hours and ticks than fit in one page, so ingest.js and its paging can
+//  run without the hosted subgraph.
+//
+//  The wallet `positions` query gets three positions per ingested pool for
+//  one owner: one around the pool's current tick and one on either side of
+//  it, each worth about --value in token0 and holding some uncollected fees.
+//  Start the backend with SUBGRAPH_URL pointing at it to exercise /wallet.
+//
+//  Usage:
+//    node mock-subgraph.js [--port N] [--out DIR] [--owner ADDRESS] [--value N]
+//  --port 0 picks a free port; the startup line prints the one in use.
+// =====================
+
+import http from "http";
+import path from "path";
+import { parseArgs } from "util";
+
+import { isAddress, listPools } from "./pools.js";
+import { loadConfig } from "./config.js";
+import { liquidityForDeposit } from "../shared/position.js";
+import {
+  sqrtPriceX96ToPrice,
+  tickSpacingForFee,
+  tickToPrice,
+} from "../shared/priceMath.js";
+
+const Q128 = 2n ** 128n;
+// Any counter works; growth differences are taken mod 2^256
+const FEE_GROWTH_GLOBAL = 2n ** 200n;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string" },
+    out: { type: "string" },
+    owner: { type: "string" },
+    value: { type: "string" },
+  },
+});
+
+const port = Number(values.port ?? 4000);
+const owner = (values.owner ?? "0x000000000000000000000000000000000000beef").toLowerCase();
+const positionValue = Number(values.value ?? 10000);
+if (!isAddress(owner)) {
+  console.error(`--owner must be an address, got ${values.owner}`);
+  process.exit(1);
+}
+
+const config = await loadConfig();
+const dataDir = values.out ? path.resolve(values.out) : config.dataDir;
+
+// Tick spacings away from the current tick, on-chain direction
+const LAYOUTS = [
+  { from: -20, to: 20 },
+  { from: 10, to: 40 },
+  { from: -40, to: -10 },
+];
+
+function mockPositions(pools, now) {
+  const positions = [];
+  for (const meta of pools) {
+    const decimals0 = Number(meta.token0.decimals);
+    const decimals1 = Number(meta.token1.decimals);
+    const spacing = tickSpacingForFee(meta.feeTier) ?? 60;
+    const tick = Number(meta.tick);
+    const base = Math.floor(tick / spacing) * spacing;
+    const price = sqrtPriceX96ToPrice(meta.sqrtPrice, decimals0, decimals1, true);
+    const token = (t) => ({ id: t.id, symbol: t.symbol, decimals: String(t.decimals) });
+    const pool = {
+      id: meta.address,
+      feeTier: String(meta.feeTier),
+      tick: String(tick),
+      sqrtPrice: meta.sqrtPrice,
+      feeGrowthGlobal0X128: String(FEE_GROWTH_GLOBAL),
+      feeGrowthGlobal1X128: String(FEE_GROWTH_GLOBAL),
+      token0: token(meta.token0),
+      token1: token(meta.token1),
+    };
+
+    for (const layout of LAYOUTS) {
+      const tickLower = base + layout.from * spacing;
+      const tickUpper = base + layout.to * spacing;
+      // Chart prices: the upper tick gives the lower price
+      const lower = tickToPrice(tickUpper, decimals0, decimals1, true);
+      const upper = tickToPrice(tickLower, decimals0, decimals1, true);
+      const scaled = liquidityForDeposit(positionValue, lower, upper, price);
+      const liquidity = BigInt(Math.round(scaled * 10 ** ((decimals0 + decimals1) / 2)));
+      if (liquidity <= 0n) continue;
+
+      // Fee growth inside the range worth ~0.25% of the position per token,
+      // placed on the tick that Pool.getFeeGrowthInside reads for where the
+      // current tick sits
+      const growth = (amount, decimals) =>
+        (BigInt(Math.round(amount * 10 ** decimals)) * Q128) / liquidity;
+      const fees = positionValue * 0.0025;
+      const tickEntity = (idx, i) => {
+        const inside = i === 0 ? growth(fees, decimals0) : growth(fees / price, decimals1);
+        if (tick < tickLower) return idx === tickLower ? inside : 0n;
+        if (tick >= tickUpper) return idx === tickUpper ? inside : 0n;
+        return idx === tickLower ? FEE_GROWTH_GLOBAL - inside : 0n;
+      };
+      const tickRow = (idx) => ({
+        tickIdx: String(idx),
+        feeGrowthOutside0X128: String(tickEntity(idx, 0)),
+        feeGrowthOutside1X128: String(tickEntity(idx, 1)),
+      });
+
+      positions.push({
+        id: String(100000 + positions.length),
+        owner,
+        liquidity: String(liquidity),
+        depositedToken0: String(positionValue / 2),
+        depositedToken1: String(positionValue / 2 / price),
+        withdrawnToken0: "0",
+        withdrawnToken1: "0",
+        collectedFeesToken0: String(positionValue * 0.001),
+        collectedFeesToken1: String((positionValue * 0.001) / price),
+        feeGrowthInside0LastX128: "0",
+        feeGrowthInside1LastX128: "0",
+        transaction: { timestamp: String(now - (positions.length + 1) * 3 * 86400) },
+        pool,
+        tickLower: tickRow(tickLower),
+        tickUpper: tickRow(tickUpper),
+      });
+    }
+  }
+  return positions;
+}
+
+// Synthetic pool for the ingest queries: USDC / WETH 0.3% swinging around
+// 2500 USDC per WETH over a week, 90 days of hours, a year of days and
+// LIQUIDITY_RANGES nested ranges (two initialized ticks each) around the price.
+// Tick 198079 and its sqrtPriceX96 are where 2500 USDC per WETH falls.
+const SYNTHETIC = {
+  decimals0: 6,
+  decimals1: 18,
+  feeTier: 3000,
+  tickSpacing: 60,
+  price: 2500,
+  tick: 198079,
+  sqrtPrice: "1584511408937172342870615083422372",
+};
+const HISTORY_HOURS = 90 * 24;
+const HISTORY_DAYS = 365;
+const LIQUIDITY_RANGES = 600;
+
+const syntheticPrice = (ts) =>
+  SYNTHETIC.price * (1 + 0.1 * Math.sin((2 * Math.PI * ts) / (7 * 86400)));
+
+function syntheticPool(id) {
+  const { decimals0, decimals1, feeTier, price, tick, sqrtPrice } = SYNTHETIC;
+  return {
+    id: id.toLowerCase(),
+    feeTier: String(feeTier),
+    tick: String(tick),
+    sqrtPrice,
+    liquidity: String(BigInt(LIQUIDITY_RANGES) * 10n ** 15n),
+    token0Price: String(price),
+    token1Price: String(1 / price),
+    token0: {
+      id: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48",
+      symbol: "USDC",
+      decimals: String(decimals0),
+      derivedETH: String(1 / price),
+    },
+    token1: {
+      id: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+      symbol: "WETH",
+      decimals: String(decimals1),
+      derivedETH: "1",
+    },
+  };
+}
+
+// One row per period ending with the current one, named like the subgraph's
+function syntheticCandles(period, count, tsField, now) {
+  const last = Math.floor(now / period) * period;
+  const rows = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const start = last - i * period;
+    const open = syntheticPrice(start);
+    const close = syntheticPrice(start + period);
+    rows.push({
+      [tsField]: start,
+      token0Price: String(close),
+      token1Price: String(1 / close),
+      open: String(open),
+      high: String(Math.max(open, close) * 1.002),
+      low: String(Math.min(open, close) * 0.998),
+      close: String(close),
+      feesUSD: String((period / 3600) * 1200),
+      volumeUSD: String((period / 3600) * 400000),
+      tvlUSD: "300000000",
+    });
+  }
+  return rows;
+}
+
+function syntheticTicks() {
+  const { tick: current, tickSpacing: spacing } = SYNTHETIC;
+  const base = Math.floor(current / spacing) * spacing;
+  const net = 10n ** 15n;
+  const tick = (idx, liquidityNet) => ({
+    tickIdx: String(idx),
+    liquidityGross: String(net),
+    liquidityNet: String(liquidityNet),
+  });
+  const ticks = [];
+  for (let i = LIQUIDITY_RANGES; i >= 1; i--) ticks.push(tick(base - i * spacing, net));
+  for (let i = 1; i <= LIQUIDITY_RANGES; i++) ticks.push(tick(base + i * spacing, -net));
+  return ticks;
+}
+
+// Rows after the `from` cursor, `first` at a time, like the subgraph's keyset paging
+const pageAfter = (rows, cursorOf, from, first) =>
+  rows.filter((row) => cursorOf(row) > from).slice(0, first);
+
+async function answer(query, variables) {
+  const now = Math.floor(Date.now() / 1000);
+  const { from, first = 1000 } = variables;
+
+  if (/\bpositions\s*\(/.test(query)) {
+    // Rebuilt per request, so it follows re-ingested pools
+    const wanted = String(variables.owner ?? "").toLowerCase();
+    const all = mockPositions(await listPools(dataDir), now);
+    return {
+      positions: pageAfter(
+        all.filter((p) => p.owner === wanted),
+        (p) => p.id,
+        from ?? "",
+        first
+      ),
+    };
+  }
+  if (/\bpool\s*\(/.test(query)) {
+    return { pool: syntheticPool(variables.id), bundle: { ethPriceUSD: String(SYNTHETIC.price) } };
+  }
+  if (/\bpoolHourDatas\s*\(/.test(query)) {
+    const rows = syntheticCandles(3600, HISTORY_HOURS, "periodStartUnix", now);
+    return { poolHourDatas: pageAfter(rows, (r) => r.periodStartUnix, Number(from), first) };
+  }
+  if (/\bpoolDayDatas\s*\(/.test(query)) {
+    const rows = syntheticCandles(86400, HISTORY_DAYS, "date", now);
+    return { poolDayDatas: pageAfter(rows, (r) => r.date, Number(from), first) };
+  }
+  if (/\bticks\s*\(/.test(query)) {
+    return { ticks: pageAfter(syntheticTicks(), (t) => Number(t.tickIdx), Number(from), first) };
+  }
+  return null;
+}
+
+const sendJson = (res, body) => {
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+const server = http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch {
+        res.statusCode = 400;
+        return sendJson(res, { errors: [{ message: "Body must be a JSON GraphQL request" }] });
+      }
+
+      const data = await answer(request.query ?? "", request.variables ?? {});
+      if (!data) {
+        return sendJson(res, { errors: [{ message: "mock-subgraph does not answer this query" }] });
+      }
+      sendJson(res, { data });
+    });
+  })
+  .listen(port, () => {
+    const { port: bound } = server.address();
+    console.log(`Mock subgraph at http://localhost:${bound} for owner ${owner}`);
+    console.log(`Start the backend with SUBGRAPH_URL=http://localhost:${bound}`);
+  });
@@ -0,0 +1,88 @@
+// =====================
+//  Per-pool Data Routes
+//  data/pools/<address>/{pool,hourly,daily,ticks}.json
+//  plus a live SSE stream per pool when a feed is given
+// =====================
+
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+
+import { invalidPool, missingData, notFound } from "./errors.js";
+
+const ADDRESS_RE = /^0x[0-9a-f]{40}$/;
+const DATASETS = ["hourly", "daily", "ticks"];
+
+export function poolDir(dataDir, address) {
+  return path.join(dataDir, "pools", address.toLowerCase());
+}
+
+// Any 20-byte hex address: pools, but also wallet owners
+export function isAddress(address) {
+  return ADDRESS_RE.test(String(address).toLowerCase());
+}
+
+export const isPoolAddress = isAddress;
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+export async function listPools(dataDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dataDir, "pools"), { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+
+  const pools = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isPoolAddress(entry.name)) continue;
+    try {
+      pools.push(await readJson(path.join(dataDir, "pools", entry.name, "pool.json")));
+    } catch {
+      // Ingestion still running or failed before writing metadata
+    }
+  }
+  return pools.sort((a, b) => a.address.localeCompare(b.address));
+}
+
+export function createPoolsRouter(dataDir, { feed } = {}) {
+  const router = express.Router();
+
+  router.get("/", async (req, res, next) => {
+    try {
+      res.json(await listPools(dataDir));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  if (feed) {
+    router.get("/:address/stream", (req, res, next) => {
+      const { address } = req.params;
+      if (!isPoolAddress(address)) return next(invalidPool(address));
+      feed.stream(address, req, res);
+    });
+  }
+
+  router.get("/:address/:dataset?", (req, res, next) => {
+    const { address } = req.params;
+    const dataset = req.params.dataset ?? "pool";
+
+    if (!isPoolAddress(address)) return next(invalidPool(address));
+    if (dataset !== "pool" && !DATASETS.includes(dataset)) {
+      return next(notFound(`Unknown dataset: ${dataset}`, { dataset }));
+    }
+
+    const file = path.join(poolDir(dataDir, address), `${dataset}.json`);
+    res.sendFile(file, (err) => {
+      if (!err) return;
+      next(err.status === 404 ? missingData(dataset, address.toLowerCase()) : err);
+    });
+  });
+
+  return router;
+}
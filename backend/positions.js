@@ -0,0 +1,113 @@
+// =====================
+//  Saved LP Positions
+//  CRUD over data/positions.json. A position that alert rules take their
+//  band from can't be deleted until those rules are changed or removed.
+// =====================
+
+import express from "express";
+import path from "path";
+
+import { createJsonStore } from "./store.js";
+import { isPoolAddress } from "./pools.js";
+import { badRequest, notFound, positionInUse } from "./errors.js";
+
+const FIELDS = ["name", "pool", "lower", "upper", "deposit", "entryTime", "entryPrice"];
+
+export const positionsFile = (dataDir) => path.join(dataDir, "positions.json");
+
+const isPositive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+// Returns an error message, or null when the position is valid
+export function validatePosition(p) {
+  if (typeof p.name !== "string" || !p.name.trim()) return "name is required";
+  if (p.name.length > 80) return "name must be at most 80 characters";
+  if (!isPoolAddress(p.pool)) return "pool must be a pool address";
+  if (!isPositive(p.lower) || !isPositive(p.upper)) {
+    return "lower and upper must be positive numbers";
+  }
+  if (p.lower >= p.upper) return "lower must be below upper";
+  if (!isPositive(p.deposit)) return "deposit must be a positive number";
+  if (!Number.isInteger(p.entryTime) || p.entryTime < 0) {
+    return "entryTime must be a unix timestamp in seconds";
+  }
+  if (p.entryPrice != null && !isPositive(p.entryPrice)) {
+    return "entryPrice must be a positive number";
+  }
+  return null;
+}
+
+function pickFields(body) {
+  const out = {};
+  for (const f of FIELDS) if (body?.[f] !== undefined) out[f] = body[f];
+  if (typeof out.name === "string") out.name = out.name.trim();
+  if (typeof out.pool === "string") out.pool = out.pool.toLowerCase();
+  return out;
+}
+
+export function createPositionsRouter(dataDir, { rulesStore } = {}) {
+  const store = createJsonStore(positionsFile(dataDir));
+  const router = express.Router();
+
+  router.get("/", async (req, res, next) => {
+    try {
+      res.json(await store.list());
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get("/:id", async (req, res, next) => {
+    try {
+      const position = await store.get(req.params.id);
+      if (!position) throw notFound("Position not found");
+      res.json(position);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post("/", async (req, res, next) => {
+    try {
+      const fields = {
+        entryTime: Math.floor(Date.now() / 1000),
+        entryPrice: null,
+        ...pickFields(req.body),
+      };
+      const error = validatePosition(fields);
+      if (error) throw badRequest(error);
+      res.status(201).json(await store.create(fields));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.put("/:id", async (req, res, next) => {
+    try {
+      const existing = await store.get(req.params.id);
+      if (!existing) throw notFound("Position not found");
+
+      const fields = pickFields(req.body);
+      const error = validatePosition({ ...existing, ...fields });
+      if (error) throw badRequest(error);
+      res.json(await store.update(req.params.id, fields));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.delete("/:id", async (req, res, next) => {
+    try {
+      const rules = rulesStore ? await rulesStore.list() : [];
+      const ruleIds = rules.filter((r) => r.positionId === req.params.id).map((r) => r.id);
+      if (ruleIds.length) throw positionInUse(req.params.id, ruleIds);
+
+      const removed = await store.remove(req.params.id);
+      if (!removed) throw notFound("Position not found");
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,111 @@
+// =====================
+//  Offline Feed Replay
+//  Rewinds a pool's hourly.json by --hold candles, then appends them back one
+//  at a time so the live feed can be exercised without a subgraph.
+//  ticks.json follows the replayed time: it holds the tick snapshot in effect
+//  at the latest replayed candle (the earliest one before any was taken) and
+//  is only rewritten when that snapshot changes. The original files are
+//  restored when the replay finishes or is interrupted.
+//
+//  Usage:
+//    node replay.js --pool ADDRESS [--out DIR] [--hold N] [--interval MS]
+//                   [--settle MS]
+// =====================
+
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+
+import { poolDir } from "./pools.js";
+import { loadConfig } from "./config.js";
+import { listSnapshots, readSnapshot, snapshotAsOf } from "./snapshots.js";
+
+const { values } = parseArgs({
+  options: {
+    pool: { type: "string" },
+    out: { type: "string" },
+    hold: { type: "string" },
+    interval: { type: "string" },
+    settle: { type: "string" },
+  },
+});
+
+if (!values.pool) {
+  console.error("--pool is required");
+  process.exit(1);
+}
+
+const config = await loadConfig();
+const dataDir = values.out ? path.resolve(values.out) : config.dataDir;
+const dir = poolDir(dataDir, values.pool);
+const hold = Number(values.hold ?? 48);
+const intervalMs = Number(values.interval ?? 2000);
+// Longer than the feed's poll interval, so the rewind is seen on its own and
+// the first replayed candle is published as new
+const settleMs = Number(values.settle ?? 6000);
+
+const hourlyFile = path.join(dir, "hourly.json");
+const ticksFile = path.join(dir, "ticks.json");
+
+async function writeJson(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+const hourly = JSON.parse(await fs.readFile(hourlyFile, "utf8"));
+const ticks = JSON.parse(await fs.readFile(ticksFile, "utf8"));
+if (!Array.isArray(hourly) || hourly.length <= hold) {
+  console.error(`${hourlyFile} needs more than ${hold} rows to replay`);
+  process.exit(1);
+}
+
+// ticks.json is the latest snapshot's copy until the replay moves it
+const snapshots = await listSnapshots(dataDir, values.pool);
+const latestSnapshot = snapshots[snapshots.length - 1] ?? null;
+let ticksSnapshot = latestSnapshot;
+let ticksMoved = false;
+
+async function syncTicks(ts) {
+  const at = snapshotAsOf(snapshots, ts) ?? snapshots[0] ?? null;
+  if (at === ticksSnapshot) return;
+  const snapshot = await readSnapshot(dataDir, values.pool, at);
+  if (!Array.isArray(snapshot?.ticks)) return;
+  await writeJson(ticksFile, snapshot.ticks);
+  ticksSnapshot = at;
+  ticksMoved = true;
+  console.log(`Ticks now from the snapshot of ${at}`);
+}
+
+let restored = false;
+async function restore() {
+  if (restored) return;
+  restored = true;
+  await writeJson(hourlyFile, hourly);
+  if (ticksMoved) await writeJson(ticksFile, ticks);
+}
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    restore().finally(() => process.exit(130));
+  });
+}
+
+const candleTs = (i) => Number(hourly[i - 1].periodStartUnix);
+
+let shown = hourly.length - hold;
+await writeJson(hourlyFile, hourly.slice(0, shown));
+await syncTicks(candleTs(shown));
+console.log(`Rewound ${hold} candles; replaying one every ${intervalMs}ms`);
+await new Promise((r) => setTimeout(r, settleMs));
+
+while (shown < hourly.length) {
+  await new Promise((r) => setTimeout(r, intervalMs));
+  shown++;
+  await writeJson(hourlyFile, hourly.slice(0, shown));
+  await syncTicks(candleTs(shown));
+  console.log(`Candle ${shown}/${hourly.length}: ${candleTs(shown)}`);
+}
+
+await restore();
+console.log("Replay finished");
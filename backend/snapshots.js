@@ -0,0 +1,100 @@
+// =====================
+//  Tick Snapshots
+//  data/pools/<address>/snapshots/<ingestedAt>.json
+//
+//  Every ingestion run keeps its tick distribution under its own timestamp,
+//  next to the pool price at that moment. ticks.json stays the latest copy.
+//  Pools ingested before snapshots existed fall back to ticks.json, dated by
+//  pool.json's ingestedAt.
+// =====================
+
+import fs from "fs/promises";
+import path from "path";
+
+import { poolDir } from "./pools.js";
+import { tickToPrice } from "../shared/priceMath.js";
+
+export const SNAPSHOT_DIR = "snapshots";
+const SNAPSHOT_RE = /^(\d+)\.json$/;
+
+async function readJsonOrNull(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// ticks.json and pool.json presented as a single snapshot, or null
+async function readLegacySnapshot(dir) {
+  const meta = await readJsonOrNull(path.join(dir, "pool.json"));
+  if (!Number.isFinite(meta?.ingestedAt)) return null;
+  const ticks = await readJsonOrNull(path.join(dir, "ticks.json"));
+  if (!Array.isArray(ticks)) return null;
+  return {
+    ingestedAt: meta.ingestedAt,
+    tick: meta.tick,
+    price: Number.isInteger(meta.tick)
+      ? tickToPrice(meta.tick, meta.token0.decimals, meta.token1.decimals, true)
+      : null,
+    ticks,
+  };
+}
+
+// Snapshot timestamps for a pool, oldest first
+export async function listSnapshots(dataDir, address) {
+  const dir = poolDir(dataDir, address);
+  let names = [];
+  try {
+    names = await fs.readdir(path.join(dir, SNAPSHOT_DIR));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  const timestamps = names
+    .map((name) => SNAPSHOT_RE.exec(name))
+    .filter(Boolean)
+    .map((m) => Number(m[1]))
+    .sort((a, b) => a - b);
+  if (timestamps.length) return timestamps;
+
+  const legacy = await readLegacySnapshot(dir);
+  return legacy ? [legacy.ingestedAt] : [];
+}
+
+// { ingestedAt, tick, price, ticks } for a timestamp from listSnapshots
+export async function readSnapshot(dataDir, address, ingestedAt) {
+  const dir = poolDir(dataDir, address);
+  const snapshot = await readJsonOrNull(path.join(dir, SNAPSHOT_DIR, `${ingestedAt}.json`));
+  if (snapshot) return snapshot;
+
+  const legacy = await readLegacySnapshot(dir);
+  return legacy?.ingestedAt === ingestedAt ? legacy : null;
+}
+
+// The snapshot in effect at `at`: the latest one taken at or before it
+export function snapshotAsOf(timestamps, at) {
+  let found = null;
+  for (const ts of timestamps) {
+    if (ts > at) break;
+    found = ts;
+  }
+  return found;
+}
+
+// Snapshots covering [from, to]: the one in effect at `from`, then those
+// taken inside the window, thinned evenly to at most `max` (the first and
+// last are always kept)
+export function sampleSnapshots(timestamps, { from, to, max }) {
+  const start = from === undefined ? null : snapshotAsOf(timestamps, from);
+  const inWindow = timestamps.filter(
+    (ts) => (from === undefined || ts > from) && (to === undefined || ts <= to)
+  );
+  const picked = start == null ? inWindow : [start, ...inWindow];
+  if (picked.length <= max) return picked;
+  if (max === 1) return [picked[picked.length - 1]];
+
+  const step = (picked.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => picked[Math.round(i * step)]);
+}
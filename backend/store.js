@@ -0,0 +1,77 @@
+// =====================
+//  JSON File Store
+//  A list of records persisted to one JSON file,
+//  optionally capped to the newest `limit` records
+// =====================
+
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+export function createJsonStore(file, { limit = Infinity } = {}) {
+  // Serialize writes so concurrent requests can't interleave read/modify/write
+  let queue = Promise.resolve();
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  async function writeAll(records) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(records, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      const records = await readAll();
+      const { records: next, result } = fn(records);
+      if (next) await writeAll(next);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    list: () => queue.then(readAll),
+
+    get: async (id) => (await queue.then(readAll)).find((r) => r.id === id) ?? null,
+
+    create: (fields) =>
+      mutate((records) => {
+        const now = Math.floor(Date.now() / 1000);
+        const record = { id: randomUUID(), ...fields, createdAt: now, updatedAt: now };
+        const next = [...records, record];
+        return { records: next.slice(Math.max(0, next.length - limit)), result: record };
+      }),
+
+    update: (id, fields) =>
+      mutate((records) => {
+        const i = records.findIndex((r) => r.id === id);
+        if (i === -1) return { result: null };
+        const record = {
+          ...records[i],
+          ...fields,
+          id,
+          updatedAt: Math.floor(Date.now() / 1000),
+        };
+        const next = [...records];
+        next[i] = record;
+        return { records: next, result: record };
+      }),
+
+    remove: (id) =>
+      mutate((records) => {
+        const next = records.filter((r) => r.id !== id);
+        if (next.length === records.length) return { result: false };
+        return { records: next, result: true };
+      }),
+  };
+}
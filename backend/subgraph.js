@@ -0,0 +1,232 @@
+// =====================
+//  Uniswap V3 Subgraph Client
+//  Thin paging wrappers around graphql-request
+// =====================
+
+import { GraphQLClient, gql } from "graphql-request";
+
+// The Graph caps `first` at 1000 rows per query
+const PAGE_SIZE = 1000;
+
+const POOL_QUERY = gql`
+  query Pool($id: ID!) {
+    pool(id: $id) {
+      id
+      feeTier
+      tick
+      sqrtPrice
+      liquidity
+      token0Price
+      token1Price
+      token0 {
+        id
+        symbol
+        decimals
+        derivedETH
+      }
+      token1 {
+        id
+        symbol
+        decimals
+        derivedETH
+      }
+    }
+    bundle(id: "1") {
+      ethPriceUSD
+    }
+  }
+`;
+
+const POOL_HOUR_DATAS_QUERY = gql`
+  query PoolHourDatas($pool: String!, $from: Int!, $first: Int!) {
+    poolHourDatas(
+      first: $first
+      orderBy: periodStartUnix
+      orderDirection: asc
+      where: { pool: $pool, periodStartUnix_gt: $from }
+    ) {
+      periodStartUnix
+      token0Price
+      token1Price
+      open
+      high
+      low
+      close
+      feesUSD
+      volumeUSD
+      tvlUSD
+    }
+  }
+`;
+
+const POOL_DAY_DATAS_QUERY = gql`
+  query PoolDayDatas($pool: String!, $from: Int!, $first: Int!) {
+    poolDayDatas(
+      first: $first
+      orderBy: date
+      orderDirection: asc
+      where: { pool: $pool, date_gt: $from }
+    ) {
+      date
+      token0Price
+      token1Price
+      open
+      high
+      low
+      close
+      feesUSD
+      volumeUSD
+      tvlUSD
+    }
+  }
+`;
+
+const TICKS_QUERY = gql`
+  query Ticks($pool: String!, $from: BigInt!, $first: Int!) {
+    ticks(
+      first: $first
+      orderBy: tickIdx
+      orderDirection: asc
+      where: { pool: $pool, tickIdx_gt: $from }
+    ) {
+      tickIdx
+      liquidityGross
+      liquidityNet
+    }
+  }
+`;
+
+// NonfungiblePositionManager positions still holding liquidity. Tick entities
+// carry the fee growth outside them, needed for fees not yet collected.
+const POSITIONS_QUERY = gql`
+  query Positions($owner: Bytes!, $from: ID!, $first: Int!) {
+    positions(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: { owner: $owner, id_gt: $from, liquidity_gt: 0 }
+    ) {
+      id
+      owner
+      liquidity
+      depositedToken0
+      depositedToken1
+      withdrawnToken0
+      withdrawnToken1
+      collectedFeesToken0
+      collectedFeesToken1
+      feeGrowthInside0LastX128
+      feeGrowthInside1LastX128
+      transaction {
+        timestamp
+      }
+      pool {
+        id
+        feeTier
+        tick
+        sqrtPrice
+        feeGrowthGlobal0X128
+        feeGrowthGlobal1X128
+        token0 {
+          id
+          symbol
+          decimals
+        }
+        token1 {
+          id
+          symbol
+          decimals
+        }
+      }
+      tickLower {
+        tickIdx
+        feeGrowthOutside0X128
+        feeGrowthOutside1X128
+      }
+      tickUpper {
+        tickIdx
+        feeGrowthOutside0X128
+        feeGrowthOutside1X128
+      }
+    }
+  }
+`;
+
+export function createSubgraphClient(endpoint) {
+  if (!endpoint) throw new Error("Subgraph endpoint is required");
+  return new GraphQLClient(endpoint);
+}
+
+// Keyset pagination: ask for rows strictly after the last cursor seen until a
+// short page comes back. Avoids the subgraph's `skip` limit on long histories.
+async function pageAll(client, query, field, variables, cursorOf, from) {
+  const rows = [];
+  let cursor = from;
+
+  for (;;) {
+    const res = await client.request(query, {
+      ...variables,
+      from: cursor,
+      first: PAGE_SIZE,
+    });
+    const page = res?.[field];
+    if (!Array.isArray(page)) throw new Error(`Subgraph returned no ${field}`);
+
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) break;
+    cursor = cursorOf(page[page.length - 1]);
+  }
+
+  return rows;
+}
+
+export async function fetchPool(client, poolAddress) {
+  const res = await client.request(POOL_QUERY, { id: poolAddress.toLowerCase() });
+  if (!res?.pool) throw new Error(`Pool ${poolAddress} not found in subgraph`);
+  return { pool: res.pool, ethPriceUSD: Number(res.bundle?.ethPriceUSD) };
+}
+
+export function fetchPoolHourDatas(client, poolAddress, sinceUnix) {
+  return pageAll(
+    client,
+    POOL_HOUR_DATAS_QUERY,
+    "poolHourDatas",
+    { pool: poolAddress.toLowerCase() },
+    (row) => Number(row.periodStartUnix),
+    sinceUnix
+  );
+}
+
+export function fetchPoolDayDatas(client, poolAddress, sinceUnix) {
+  return pageAll(
+    client,
+    POOL_DAY_DATAS_QUERY,
+    "poolDayDatas",
+    { pool: poolAddress.toLowerCase() },
+    (row) => Number(row.date),
+    sinceUnix
+  );
+}
+
+export function fetchTicks(client, poolAddress) {
+  return pageAll(
+    client,
+    TICKS_QUERY,
+    "ticks",
+    { pool: poolAddress.toLowerCase() },
+    (row) => String(row.tickIdx),
+    // Below MIN_TICK (-887272), so the first page starts at the lowest tick
+    "-887273"
+  );
+}
+
+export function fetchOwnerPositions(client, owner) {
+  return pageAll(
+    client,
+    POSITIONS_QUERY,
+    "positions",
+    { owner: owner.toLowerCase() },
+    (row) => row.id,
+    ""
+  );
+}
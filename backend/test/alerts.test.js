@@ -0,0 +1,337 @@
+// Alert rules, the engine's edge triggering and delivery, the sinks, and
+// positions that rules still use
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+
+import { createAlertEngine, createSinks, evaluateRule, validateRule } from "../alerts.js";
+import { createJsonStore } from "../store.js";
+import { poolDir } from "../pools.js";
+import { createPositionsRouter, positionsFile } from "../positions.js";
+import { errorHandler } from "../errors.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const SINKS = ["webhook", "log", "banner"];
+const HOUR = 3600;
+const T0 = 1_700_000_400 - (1_700_000_400 % HOUR);
+
+const hour = (i, price, feesUSD = 100) => ({
+  periodStartUnix: T0 + i * HOUR,
+  token0Price: price,
+  feesUSD,
+});
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "alerts-test-"));
+});
+
+after(async () => {
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe("validateRule", () => {
+  const valid = {
+    pool: POOL,
+    type: "cross",
+    lower: 3000,
+    upper: 3500,
+    sinks: ["banner"],
+    enabled: true,
+  };
+
+  test("accepts explicit bounds, a saved position, near and fees rules", () => {
+    assert.equal(validateRule(valid, SINKS), null);
+    const byPosition = { ...valid, lower: undefined, upper: undefined, positionId: "p1" };
+    assert.equal(validateRule(byPosition, SINKS), null);
+    assert.equal(validateRule({ ...valid, type: "near", pct: 2 }, SINKS), null);
+    assert.equal(validateRule({ ...valid, type: "fees", threshold: 0 }, SINKS), null);
+  });
+
+  test("rejects bad fields with a message", () => {
+    const cases = [
+      [{ pool: "0x123" }, "pool must be a pool address"],
+      [{ type: "price" }, "type must be one of: cross, near, fees"],
+      [{ lower: undefined }, "lower and upper (or positionId) are required"],
+      [{ lower: 3500, upper: 3000 }, "lower must be below upper"],
+      [{ type: "near" }, "pct must be a positive number"],
+      [{ type: "fees", threshold: -1 }, "threshold must be a non-negative number"],
+      [{ sinks: [] }, "sinks must be a non-empty array"],
+      [{ sinks: ["sms"] }, "Unknown sink: sms"],
+      [{ sinks: ["webhook"] }, "webhookUrl must be an http(s) URL"],
+      [{ enabled: "yes" }, "enabled must be a boolean"],
+    ];
+    for (const [fields, message] of cases) {
+      assert.equal(validateRule({ ...valid, ...fields }, SINKS), message);
+    }
+  });
+});
+
+describe("evaluateRule", () => {
+  const band = { lower: 3000, upper: 3500 };
+
+  test("cross fires on each crossing of either bound, in either direction", () => {
+    const rule = { type: "cross" };
+    const at = (prevPrice, price) => evaluateRule(rule, { prevPrice, price, band }).message;
+
+    assert.match(at(2990, 3010), /crossed above lower bound 3000/);
+    assert.match(at(3010, 2990), /crossed below lower bound 3000/);
+    assert.match(at(3400, 3500), /crossed above upper bound 3500/);
+    assert.match(at(3600, 3450), /crossed below upper bound 3500/);
+    assert.equal(at(3100, 3400), null);
+    // Nothing to compare against before the first price
+    assert.equal(at(NaN, 3600), null);
+  });
+
+  test("cross reports both bounds when one candle jumps across the band", () => {
+    const rule = { type: "cross" };
+    const at = (prevPrice, price) => evaluateRule(rule, { prevPrice, price, band }).message;
+
+    assert.equal(
+      at(2900, 3600),
+      "Price crossed above lower bound 3000 and above upper bound 3500 (now 3600)"
+    );
+    assert.equal(
+      at(3600, 2900),
+      "Price crossed below upper bound 3500 and below lower bound 3000 (now 2900)"
+    );
+  });
+
+  test("near fires once on entering the zone and re-arms after leaving it", () => {
+    const rule = { type: "near", pct: 1 };
+    let state;
+    const step = (price) => {
+      const out = evaluateRule(rule, { price, band }, state);
+      state = out.state;
+      return out.message;
+    };
+
+    assert.equal(step(3200), null);
+    assert.match(step(3020), /within 1% of bound 3000/);
+    assert.equal(step(3010), null);
+    assert.equal(step(3200), null);
+    assert.match(step(3480), /within 1% of bound 3500/);
+  });
+
+  test("fees fires once when the trailing 24h total drops below the threshold", () => {
+    const rule = { type: "fees", threshold: 1000 };
+    let state;
+    const step = (fees24h) => {
+      const out = evaluateRule(rule, { price: 1, fees24h }, state);
+      state = out.state;
+      return out.message;
+    };
+
+    assert.equal(step(1500), null);
+    assert.equal(step(999.5), "24h fees $999.50 fell below $1000");
+    assert.equal(step(800), null);
+    assert.equal(step(1200), null);
+    assert.match(step(10), /fell below/);
+    assert.equal(step(NaN), null);
+  });
+
+  test("band rules without a band never fire", () => {
+    assert.equal(evaluateRule({ type: "cross" }, { prevPrice: 1, price: 5 }).message, null);
+    assert.equal(evaluateRule({ type: "near", pct: 50 }, { price: 5 }).message, null);
+  });
+});
+
+describe("createAlertEngine", () => {
+  const setup = async (name, rules) => {
+    const dir = path.join(dataDir, name);
+    const rulesStore = createJsonStore(path.join(dir, "alert-rules.json"));
+    const historyStore = createJsonStore(path.join(dir, "alert-history.json"));
+    for (const rule of rules) await rulesStore.create({ pool: POOL, enabled: true, ...rule });
+
+    const delivered = [];
+    const record = (name) => async (alert) => delivered.push({ sink: name, alert });
+    const sinks = {
+      banner: record("banner"),
+      log: record("log"),
+      webhook: async () => {
+        throw new Error("Webhook returned HTTP 500");
+      },
+    };
+    const engine = createAlertEngine({ dataDir: dir, rulesStore, historyStore, sinks });
+    return { dir, engine, delivered, historyStore };
+  };
+
+  test("seeds the previous price from hourly.json and fires on the first crossing", async () => {
+    const { dir, engine, delivered, historyStore } = await setup("seeded", [
+      { type: "cross", lower: 3000, upper: 3500, sinks: ["banner", "log"] },
+    ]);
+    await fs.mkdir(poolDir(dir, POOL), { recursive: true });
+    await fs.writeFile(
+      path.join(poolDir(dir, POOL), "hourly.json"),
+      JSON.stringify([hour(0, 3100), hour(1, 3450)])
+    );
+
+    await engine.onCandles(POOL, [hour(2, 3520)]);
+
+    assert.deepEqual(
+      delivered.map((d) => d.sink),
+      ["banner", "log"]
+    );
+    const [entry] = await historyStore.list();
+    assert.equal(entry.ts, T0 + 2 * HOUR);
+    assert.equal(entry.price, 3520);
+    assert.match(entry.message, /crossed above upper bound 3500/);
+    assert.deepEqual(entry.delivery, { banner: "ok", log: "ok" });
+  });
+
+  test("resolves bands from saved positions and skips disabled rules", async () => {
+    const positions = createJsonStore(positionsFile(path.join(dataDir, "position")));
+    const { id } = await positions.create({ pool: POOL, lower: 3000, upper: 3500 });
+    const { engine, historyStore } = await setup("position", [
+      { type: "cross", positionId: id, sinks: ["banner"] },
+      { type: "cross", lower: 1, upper: 2, sinks: ["banner"], enabled: false },
+    ]);
+
+    await engine.onCandles(POOL, [hour(0, 2950), hour(1, 3050), hour(2, 1.5)]);
+
+    const history = await historyStore.list();
+    assert.deepEqual(
+      history.map((h) => h.message),
+      [
+        "Price crossed above lower bound 3000 (now 3050)",
+        "Price crossed below lower bound 3000 (now 1.5)",
+      ]
+    );
+  });
+
+  test("sums fees over the trailing 24h and replaces a revised open candle", async () => {
+    const { engine, historyStore } = await setup("fees", [
+      { type: "fees", threshold: 2000, sinks: ["banner"] },
+    ]);
+
+    await engine.onCandles(POOL, [hour(0, 3000, 1000)]);
+    await engine.onCandles(POOL, [hour(1, 3000, 1500)]);
+    // Counted once more, the revised candle would keep the total at $3000
+    await engine.onCandles(POOL, [hour(1, 3000, 500)]);
+    await engine.onCandles(POOL, [hour(2, 3000, 2000)]);
+    // Hours 0 and 1 leave the window, then hour 2 does
+    await engine.onCandles(POOL, [hour(25, 3000, 0)]);
+    await engine.onCandles(POOL, [hour(26, 3000, 0)]);
+
+    const history = await historyStore.list();
+    assert.deepEqual(
+      history.map((h) => [h.ts, h.message]),
+      [
+        [T0, "24h fees $1000.00 fell below $2000"],
+        [T0 + HOUR, "24h fees $1500.00 fell below $2000"],
+        [T0 + 26 * HOUR, "24h fees $0.00 fell below $2000"],
+      ]
+    );
+  });
+
+  test("a failing sink is recorded and does not stop the others", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { engine, delivered, historyStore } = await setup("failing", [
+      { type: "cross", lower: 3000, upper: 3500, sinks: ["webhook", "banner"] },
+    ]);
+
+    await engine.onCandles(POOL, [hour(0, 2900), hour(1, 3100)]);
+
+    assert.deepEqual(
+      delivered.map((d) => d.sink),
+      ["banner"]
+    );
+    const [entry] = await historyStore.list();
+    assert.deepEqual(entry.delivery, { webhook: "Webhook returned HTTP 500", banner: "ok" });
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe("deleting a position that rules use", () => {
+  test("is refused with the rule ids until those rules are removed", async () => {
+    const dir = path.join(dataDir, "in-use");
+    const positions = createJsonStore(positionsFile(dir));
+    const rulesStore = createJsonStore(path.join(dir, "alert-rules.json"));
+    const { id } = await positions.create({ pool: POOL, lower: 3000, upper: 3500 });
+    const rule = await rulesStore.create({ pool: POOL, type: "cross", positionId: id });
+
+    const app = express();
+    app.use("/positions", createPositionsRouter(dir, { rulesStore }));
+    app.use(errorHandler);
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const remove = () =>
+      fetch(`http://localhost:${server.address().port}/positions/${id}`, { method: "DELETE" });
+
+    try {
+      const refused = await remove();
+      assert.equal(refused.status, 409);
+      assert.deepEqual(await refused.json(), {
+        error: `Position ${id} is used by alert rules`,
+        code: "POSITION_IN_USE",
+        ruleIds: [rule.id],
+      });
+      assert.ok(await positions.get(id));
+
+      await rulesStore.remove(rule.id);
+      assert.equal((await remove()).status, 204);
+      assert.equal(await positions.get(id), null);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe("createSinks", () => {
+  const alert = { ruleId: "r1", pool: POOL, message: "hello" };
+
+  test("log appends one JSON line per alert and banner publishes to the feed", async () => {
+    const published = [];
+    const logFile = path.join(dataDir, "sinks", "alerts.log");
+    const sinks = createSinks({
+      logFile,
+      feed: { publish: (...args) => published.push(args) },
+    });
+
+    await sinks.log(alert);
+    await sinks.log({ ...alert, message: "again" });
+    await sinks.banner(alert);
+
+    const lines = (await fs.readFile(logFile, "utf8")).trim().split("\n");
+    assert.deepEqual(lines.map(JSON.parse), [alert, { ...alert, message: "again" }]);
+    assert.deepEqual(published, [[POOL, "alert", alert]]);
+  });
+
+  test("webhook posts the alert, and fails on an error status or a timeout", async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        if (req.url === "/ok") res.end();
+        else if (req.url === "/fail") res.writeHead(503).end();
+        // "/hang" never answers
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const base = `http://localhost:${server.address().port}`;
+
+    try {
+      const sinks = createSinks({ logFile: null, webhookTimeoutMs: 200 });
+      await sinks.webhook(alert, { webhookUrl: `${base}/ok` });
+      assert.deepEqual(received, [alert]);
+
+      await assert.rejects(sinks.webhook(alert, { webhookUrl: `${base}/fail` }), {
+        message: "Webhook returned HTTP 503",
+      });
+      await assert.rejects(sinks.webhook(alert, { webhookUrl: `${base}/hang` }), {
+        message: "Webhook timed out after 200 ms",
+      });
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,228 @@
+// Candle resampling and the /api candles route's windowing and field filtering
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createApiRouter, optionalTs, parseDuration, resample } from "../api.js";
+import { errorHandler } from "../errors.js";
+import { poolDir } from "../pools.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+// Midnight UTC
+const T0 = 1_699_920_000;
+
+// Hour i with close `price`, opening at the previous hour's price
+const hour = (i, price) => ({
+  periodStartUnix: T0 + i * HOUR,
+  token0Price: price,
+  open: price - 1,
+  high: price + 2,
+  low: price - 3,
+  close: price,
+  feesUSD: 10,
+  volumeUSD: 1000,
+  tvlUSD: 5e6 + i,
+});
+
+describe("parseDuration", () => {
+  test("maps hours to hourly.json and days to daily.json", () => {
+    assert.deepEqual(parseDuration("4h"), { seconds: 4 * HOUR, dataset: "hourly" });
+    assert.deepEqual(parseDuration("30d"), { seconds: 30 * DAY, dataset: "daily" });
+  });
+
+  test("rejects zero, units other than h and d, and junk", () => {
+    for (const text of ["0h", "1w", "h", "1.5h", "-1d", "", undefined]) {
+      assert.equal(parseDuration(text), null, String(text));
+    }
+  });
+});
+
+test("optionalTs tells absent from invalid", () => {
+  assert.equal(optionalTs(undefined), undefined);
+  assert.equal(optionalTs(""), undefined);
+  assert.equal(optionalTs("1700000000"), 1700000000);
+  assert.ok(Number.isNaN(optionalTs("1.5")));
+  assert.ok(Number.isNaN(optionalTs("-1")));
+});
+
+describe("resample", () => {
+  test("builds UTC-aligned buckets with OHLC, summed flows and closing TVL", () => {
+    // 01:00-06:00 in 4h buckets: 00:00 holds 01-03h, 04:00 holds 04-06h
+    const rows = [1, 2, 3, 4, 5, 6].map((i) => hour(i, 100 + i));
+    const [first, second] = resample(rows, 4 * HOUR);
+
+    assert.deepEqual(first, {
+      timestamp: T0,
+      price: 103,
+      open: 100,
+      high: 105,
+      low: 98,
+      close: 103,
+      feesUSD: 30,
+      volumeUSD: 3000,
+      tvlUSD: 5e6 + 3,
+    });
+    assert.equal(second.timestamp, T0 + 4 * HOUR);
+    assert.equal(second.open, 103);
+    assert.equal(second.close, 106);
+    assert.equal(second.feesUSD, 30);
+  });
+
+  test("one-hour buckets keep every row", () => {
+    const rows = [0, 1, 2].map((i) => hour(i, 100));
+    assert.deepEqual(
+      resample(rows, HOUR).map((c) => c.timestamp),
+      rows.map((r) => r.periodStartUnix)
+    );
+  });
+
+  test("falls back to the snapshot price for missing OHLC and token1Price", () => {
+    const [candle] = resample(
+      [
+        {
+          periodStartUnix: T0,
+          token1Price: "0.0005",
+          open: "0",
+          high: null,
+          feesUSD: "1.5",
+        },
+      ],
+      DAY
+    );
+    assert.equal(candle.price, 2000);
+    assert.deepEqual(
+      [candle.open, candle.high, candle.low, candle.close],
+      [2000, 2000, 2000, 2000]
+    );
+    assert.equal(candle.feesUSD, 1.5);
+    assert.equal(candle.volumeUSD, 0);
+    assert.equal(candle.tvlUSD, null);
+  });
+});
+
+describe("GET /api/pools/:address/candles", () => {
+  let dataDir;
+  let server;
+  let base;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "api-test-"));
+    const dir = poolDir(dataDir, POOL);
+    await fs.mkdir(dir, { recursive: true });
+    // Stored out of order; the route sorts by timestamp
+    const hours = Array.from({ length: 48 }, (_, i) => hour(i, 2000 + i)).reverse();
+    await fs.writeFile(path.join(dir, "hourly.json"), JSON.stringify(hours));
+
+    const app = express();
+    app.use("/api", createApiRouter(dataDir));
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://localhost:${server.address().port}/api/pools/${POOL}/candles`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+    if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const get = async (query) => {
+    const res = await fetch(`${base}?${new URLSearchParams(query)}`);
+    return { status: res.status, type: res.headers.get("content-type"), body: await res.text() };
+  };
+  const getJson = async (query) => {
+    const { status, body } = await get(query);
+    return { status, body: JSON.parse(body) };
+  };
+
+  test("returns only the requested fields, plus the timestamp", async () => {
+    const { status, body } = await getJson({ interval: "24h", fields: "close,feesUSD" });
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      pool: POOL,
+      interval: "24h",
+      from: T0,
+      to: T0 + DAY,
+      candles: [
+        { timestamp: T0, close: 2023, feesUSD: 240 },
+        { timestamp: T0 + DAY, close: 2047, feesUSD: 240 },
+      ],
+    });
+  });
+
+  test("defaults to every field in hourly candles", async () => {
+    const { body } = await getJson({});
+    assert.equal(body.candles.length, 48);
+    assert.deepEqual(Object.keys(body.candles[0]), [
+      "timestamp",
+      "price",
+      "open",
+      "high",
+      "low",
+      "close",
+      "feesUSD",
+      "volumeUSD",
+      "tvlUSD",
+    ]);
+  });
+
+  test("from and to bound the rows and limit keeps the newest candles", async () => {
+    const from = T0 + 10 * HOUR;
+    const to = T0 + 20 * HOUR;
+    const { body } = await getJson({ from, to, fields: "price" });
+    assert.equal(body.candles.length, 11);
+    assert.equal(body.from, from);
+    assert.equal(body.to, to);
+
+    const limited = await getJson({ interval: "4h", limit: 2, fields: "price" });
+    assert.deepEqual(limited.body.candles, [
+      { timestamp: T0 + 40 * HOUR, price: 2043 },
+      { timestamp: T0 + 44 * HOUR, price: 2047 },
+    ]);
+  });
+
+  test("CSV output has the filtered columns", async () => {
+    const { status, type, body } = await get({
+      interval: "24h",
+      fields: "open,close",
+      format: "csv",
+    });
+    assert.equal(status, 200);
+    assert.match(type, /text\/csv/);
+    const lines = body.trim().split(/\r?\n/);
+    assert.equal(lines[0], "timestamp,open,close");
+    assert.equal(lines.length, 3);
+  });
+
+  test("rejects bad parameters with a 400", async () => {
+    const cases = [
+      [{ fields: "close,vwap" }, "Unknown field: vwap"],
+      [{ interval: "1w" }, "interval must look like 1h, 4h or 1d"],
+      [{ from: "yesterday" }, "from and to must be unix seconds"],
+      [{ limit: 0 }, "limit must be between 1 and 10000"],
+      [{ format: "xml" }, "format must be one of: json, csv"],
+    ];
+    for (const [query, error] of cases) {
+      const { status, body } = await getJson(query);
+      assert.equal(status, 400);
+      assert.deepEqual(body, { error, code: "BAD_REQUEST" });
+    }
+  });
+
+  test("day intervals read daily.json, which this pool lacks", async () => {
+    const { status, body } = await getJson({ interval: "1d" });
+    assert.equal(status, 404);
+    assert.deepEqual(body, {
+      error: `No daily data for pool ${POOL}`,
+      code: "MISSING_DATA",
+      pool: POOL,
+      dataset: "daily",
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Config resolution: defaults, then the config file, then env vars, and the
+// ConfigError each unusable value raises
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { ConfigError, DEFAULT_ENDPOINT, DEFAULT_POOL, loadConfig } from "../config.js";
+
+const POOL_B = "0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8";
+
+let cwd;
+
+before(async () => {
+  cwd = await fs.mkdtemp(path.join(os.tmpdir(), "config-test-"));
+});
+
+after(async () => {
+  if (cwd) await fs.rm(cwd, { recursive: true, force: true });
+});
+
+const writeConfig = (data, name = "config.json") =>
+  fs.writeFile(path.join(cwd, name), typeof data === "string" ? data : JSON.stringify(data));
+
+describe("loadConfig", () => {
+  test("uses the defaults without a config file or env vars", async () => {
+    assert.deepEqual(await loadConfig({ env: {}, cwd }), {
+      port: 3000,
+      dataDir: path.join(cwd, "data"),
+      allowedOrigins: ["http://localhost:5173", "http://localhost:4173"],
+      pools: [DEFAULT_POOL],
+      subgraphUrl: DEFAULT_ENDPOINT,
+    });
+  });
+
+  test("the config file overrides the defaults and env vars override both", async () => {
+    await writeConfig({ port: 4000, dataDir: "/srv/lp", pools: [POOL_B.toUpperCase()] });
+    try {
+      const fromFile = await loadConfig({ env: {}, cwd });
+      assert.equal(fromFile.port, 4000);
+      assert.equal(fromFile.dataDir, "/srv/lp");
+      // Addresses are stored lowercase
+      assert.deepEqual(fromFile.pools, [POOL_B]);
+      assert.equal(fromFile.subgraphUrl, DEFAULT_ENDPOINT);
+
+      const env = {
+        PORT: "5000",
+        POOL_ADDRESS: ` ${DEFAULT_POOL}, ${POOL_B} ,`,
+        ALLOWED_ORIGINS: "https://lp.example.com/,*",
+        SUBGRAPH_URL: "",
+      };
+      const fromEnv = await loadConfig({ env, cwd });
+      assert.equal(fromEnv.port, 5000);
+      assert.equal(fromEnv.dataDir, "/srv/lp");
+      assert.deepEqual(fromEnv.pools, [DEFAULT_POOL, POOL_B]);
+      // Trailing slashes are dropped; "*" is kept as is
+      assert.deepEqual(fromEnv.allowedOrigins, ["https://lp.example.com", "*"]);
+      // An empty env var is unset
+      assert.equal(fromEnv.subgraphUrl, DEFAULT_ENDPOINT);
+    } finally {
+      await fs.rm(path.join(cwd, "config.json"));
+    }
+  });
+
+  test("CONFIG_FILE names another file, relative to the working directory", async () => {
+    await writeConfig({ dataDir: "lp-data" }, "lp.json");
+    const config = await loadConfig({ env: { CONFIG_FILE: "lp.json" }, cwd });
+    assert.equal(config.dataDir, path.join(cwd, "lp-data"));
+
+    // Optional only when it isn't named
+    await assert.rejects(
+      loadConfig({ env: { CONFIG_FILE: "missing.json" }, cwd }),
+      (e) => e instanceof ConfigError && /^Cannot read config file .*missing\.json/.test(e.message)
+    );
+  });
+
+  test("rejects config files that aren't a JSON object of known keys", async () => {
+    const cases = [
+      ["{ port: 1 }", /is not valid JSON/],
+      ["[]", /must hold a JSON object/],
+      ["null", /must hold a JSON object/],
+      [{ port: 3000, poolAddress: DEFAULT_POOL }, /Unknown key "poolAddress"/],
+    ];
+    for (const [data, message] of cases) {
+      await writeConfig(data, "bad.json");
+      await assert.rejects(
+        loadConfig({ env: { CONFIG_FILE: "bad.json" }, cwd }),
+        (e) => e instanceof ConfigError && e.name === "ConfigError" && message.test(e.message)
+      );
+    }
+  });
+
+  test("rejects unusable values from either source", async () => {
+    const cases = [
+      [{ PORT: "http" }, "port must be an integer between 1 and 65535, got NaN"],
+      [{ PORT: "70000" }, "port must be an integer between 1 and 65535, got 70000"],
+      [{ POOL_ADDRESS: "," }, "pools must list at least one pool address"],
+      [{ POOL_ADDRESS: "0x1234" }, "Invalid pool address in pools: 0x1234"],
+      [
+        { ALLOWED_ORIGINS: "lp.example.com" },
+        'allowedOrigins must be URLs or "*", got lp.example.com',
+      ],
+      [{ SUBGRAPH_URL: "subgraph" }, "subgraphUrl must be a URL, got subgraph"],
+    ];
+    for (const [env, message] of cases) {
+      await assert.rejects(loadConfig({ env, cwd }), new ConfigError(message));
+    }
+
+    const fileCases = [
+      [{ dataDir: "" }, "dataDir must be a non-empty path"],
+      [{ pools: DEFAULT_POOL }, "pools must be a list of non-empty strings"],
+      [
+        { allowedOrigins: ["http://localhost:5173", ""] },
+        "allowedOrigins must be a list of non-empty strings",
+      ],
+    ];
+    for (const [data, message] of fileCases) {
+      await writeConfig(data, "bad.json");
+      await assert.rejects(
+        loadConfig({ env: { CONFIG_FILE: "bad.json" }, cwd }),
+        new ConfigError(message)
+      );
+    }
+  });
+});
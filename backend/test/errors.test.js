@@ -0,0 +1,134 @@
+// HTTP errors: the helpers' statuses and codes, and the JSON the error and
+// not-found handlers answer with
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import {
+  HttpError,
+  badRequest,
+  errorHandler,
+  invalidPool,
+  missingData,
+  notFound,
+  notFoundHandler,
+  positionInUse,
+  subgraphError,
+} from "../errors.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+
+test("the helpers build HttpErrors with their status, code and details", () => {
+  const cases = [
+    [badRequest("lower must be below upper"), 400, "BAD_REQUEST", {}],
+    [badRequest("Bad field", { field: "x" }), 400, "BAD_REQUEST", { field: "x" }],
+    [notFound("Rule not found"), 404, "NOT_FOUND", {}],
+    [invalidPool("0x12"), 400, "INVALID_POOL", { pool: "0x12" }],
+    [missingData("ticks", POOL), 404, "MISSING_DATA", { pool: POOL, dataset: "ticks" }],
+    [positionInUse("p1", ["r1"]), 409, "POSITION_IN_USE", { ruleIds: ["r1"] }],
+    [subgraphError("timeout"), 502, "SUBGRAPH_ERROR", {}],
+  ];
+  for (const [err, status, code, details] of cases) {
+    assert.ok(err instanceof HttpError && err instanceof Error);
+    assert.equal(err.name, "HttpError");
+    assert.equal(err.status, status);
+    assert.equal(err.code, code);
+    assert.deepEqual(err.details, details);
+  }
+  assert.equal(missingData("ticks", POOL).message, `No ticks data for pool ${POOL}`);
+  assert.equal(subgraphError("timeout").message, "Subgraph request failed: timeout");
+});
+
+describe("errorHandler and notFoundHandler", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.get("/http", () => {
+      throw positionInUse("p1", ["r1", "r2"]);
+    });
+    app.post("/json", (req, res) => res.json(req.body));
+    app.get("/too-large", () => {
+      throw Object.assign(new Error("Payload too large"), { status: 413 });
+    });
+    app.get("/crash", () => {
+      throw new Error("disk on fire");
+    });
+    // A stream that fails after its headers went out
+    app.get("/stream", (req, res, next) => {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.write("partial");
+      next(new Error("stream broke"));
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+  });
+
+  const json = async (res) => ({ status: res.status, body: await res.json() });
+
+  test("an HttpError answers with its status, code and details", async () => {
+    assert.deepEqual(await json(await fetch(`${base}/http`)), {
+      status: 409,
+      body: {
+        error: "Position p1 is used by alert rules",
+        code: "POSITION_IN_USE",
+        ruleIds: ["r1", "r2"],
+      },
+    });
+  });
+
+  test("a malformed JSON body is a BAD_JSON 400", async () => {
+    const res = await fetch(`${base}/json`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{ nope",
+    });
+    assert.deepEqual(await json(res), {
+      status: 400,
+      body: { error: "Request body is not valid JSON", code: "BAD_JSON" },
+    });
+  });
+
+  test("other client errors keep their status and message", async () => {
+    assert.deepEqual(await json(await fetch(`${base}/too-large`)), {
+      status: 413,
+      body: { error: "Payload too large", code: "BAD_REQUEST" },
+    });
+  });
+
+  test("anything else is logged and answered as a 500 without details", async (t) => {
+    const logged = t.mock.method(console, "error", () => {});
+    assert.deepEqual(await json(await fetch(`${base}/crash?x=1`)), {
+      status: 500,
+      body: { error: "Internal server error", code: "INTERNAL" },
+    });
+    assert.equal(logged.mock.callCount(), 1);
+    assert.equal(logged.mock.calls[0].arguments[0], "GET /crash?x=1 failed:");
+    assert.equal(logged.mock.calls[0].arguments[1].message, "disk on fire");
+  });
+
+  test("a response already under way is ended as it is", async (t) => {
+    const logged = t.mock.method(console, "error", () => {});
+    const res = await fetch(`${base}/stream`);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "partial");
+    assert.equal(logged.mock.callCount(), 0);
+  });
+
+  test("unmatched paths get a JSON 404", async () => {
+    assert.deepEqual(await json(await fetch(`${base}/nowhere`, { method: "DELETE" })), {
+      status: 404,
+      body: { error: "Not found: DELETE /nowhere", code: "NOT_FOUND" },
+    });
+  });
+});
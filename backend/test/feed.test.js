@@ -0,0 +1,130 @@
+// Live feed: change detection on the pool files, fan-out and the SSE stream
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+
+import { createFeed } from "../feed.js";
+import { poolDir } from "../pools.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const HOUR = 3600;
+const hour = (i, feesUSD = 10) => ({ periodStartUnix: i * HOUR, token0Price: 3000, feesUSD });
+
+let dataDir;
+let feed;
+// Bumped on every write so each one has a new mtime, however fast the tests run
+let mtime = 1_700_000_000;
+
+const writeText = async (dataset, text) => {
+  const file = path.join(poolDir(dataDir, POOL), `${dataset}.json`);
+  await fs.writeFile(file, text);
+  mtime += 1;
+  await fs.utimes(file, mtime, mtime);
+};
+const write = (dataset, rows) => writeText(dataset, JSON.stringify(rows));
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "feed-test-"));
+  await fs.mkdir(poolDir(dataDir, POOL), { recursive: true });
+  await fs.writeFile(
+    path.join(poolDir(dataDir, POOL), "pool.json"),
+    JSON.stringify({ address: POOL })
+  );
+  await write("hourly", [hour(0), hour(1)]);
+  await write("daily", [{ dayStartUnix: 0, feesUSD: 240 }]);
+  await write("ticks", [{ tickLower: 0, tickUpper: 60 }]);
+
+  // Polled by hand below
+  feed = createFeed(dataDir, { intervalMs: 60 * 60 * 1000 });
+  await feed.ready;
+});
+
+after(async () => {
+  feed?.stop();
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const collect = () => {
+  const events = [];
+  const unsubscribe = feed.subscribe(POOL.toUpperCase(), (e) => events.push(e));
+  return { events, unsubscribe };
+};
+
+test("the first poll is a baseline and an untouched file publishes nothing", async () => {
+  const { events, unsubscribe } = collect();
+  await feed.poll();
+  unsubscribe();
+  assert.deepEqual(events, []);
+});
+
+test("new hourly rows and a revised last row are published as candles", async () => {
+  const { events, unsubscribe } = collect();
+  // Hour 1 kept accumulating fees, hour 2 is new
+  await write("hourly", [hour(0), hour(1, 25), hour(2)]);
+  await feed.poll();
+  // Rewritten with the same rows: nothing changed
+  await write("hourly", [hour(0), hour(1, 25), hour(2)]);
+  await feed.poll();
+  unsubscribe();
+
+  assert.deepEqual(events, [{ event: "candle", data: [hour(1, 25), hour(2)] }]);
+});
+
+test("daily rows go out as day events and ticks as a full snapshot", async () => {
+  const all = [];
+  const unsubscribe = feed.subscribeAll((e) => all.push(e));
+  await write("daily", [{ dayStartUnix: 0, feesUSD: 240 }, { dayStartUnix: 86400, feesUSD: 5 }]);
+  await write("ticks", [{ tickLower: 60, tickUpper: 120 }]);
+  await feed.poll();
+  unsubscribe();
+
+  assert.deepEqual(all, [
+    { address: POOL, event: "day", data: [{ dayStartUnix: 86400, feesUSD: 5 }] },
+    { address: POOL, event: "ticks", data: [{ tickLower: 60, tickUpper: 120 }] },
+  ]);
+});
+
+test("a half-written file is skipped until it parses", async () => {
+  const { events, unsubscribe } = collect();
+  await writeText("hourly", '[{"periodStartUnix":');
+  await feed.poll();
+  assert.deepEqual(events, []);
+
+  await write("hourly", [hour(0), hour(1, 25), hour(2), hour(3)]);
+  await feed.poll();
+  unsubscribe();
+  assert.deepEqual(events, [{ event: "candle", data: [hour(3)] }]);
+});
+
+test("the stream sends a pool's events as SSE", async () => {
+  const server = http.createServer((req, res) => feed.stream(POOL, req, res));
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  try {
+    const received = await new Promise((resolve, reject) => {
+      const req = http.get(`http://localhost:${server.address().port}`, (res) => {
+        assert.equal(res.headers["content-type"], "text/event-stream");
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          body += chunk;
+          if (body === ": connected\n\n") feed.publish(POOL, "alert", { message: "hi" });
+          if (body.includes("event: alert")) {
+            req.destroy();
+            resolve(body);
+          }
+        });
+      });
+      req.on("error", reject);
+    });
+    assert.equal(received, ': connected\n\nevent: alert\ndata: {"message":"hi"}\n\n');
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
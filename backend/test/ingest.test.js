@@ -0,0 +1,148 @@
+// Ingest and subgraph paging against mock-subgraph.js, run on a free port
+// with its own data directory
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { ingestPool } from "../ingest.js";
+import {
+  createSubgraphClient,
+  fetchOwnerPositions,
+  fetchPool,
+  fetchPoolDayDatas,
+  fetchPoolHourDatas,
+  fetchTicks,
+} from "../subgraph.js";
+import { listPools, poolDir } from "../pools.js";
+
+const BACKEND = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const POOL = "0x1111111111111111111111111111111111111111";
+const OWNER = "0x000000000000000000000000000000000000beef";
+
+let mock;
+let endpoint;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "ingest-test-"));
+  mock = spawn(
+    process.execPath,
+    ["mock-subgraph.js", "--port", "0", "--out", dataDir, "--owner", OWNER],
+    { cwd: BACKEND, stdio: ["ignore", "pipe", "inherit"] }
+  );
+  endpoint = await new Promise((resolve, reject) => {
+    let out = "";
+    mock.stdout.on("data", (chunk) => {
+      out += chunk;
+      const match = out.match(/http:\/\/localhost:\d+/);
+      if (match) resolve(match[0]);
+    });
+    mock.on("exit", (code) => reject(new Error(`mock-subgraph exited with ${code}`)));
+  });
+});
+
+after(async () => {
+  mock?.kill();
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const isAscending = (values) => values.every((v, i) => i === 0 || v > values[i - 1]);
+
+test("hourly rows page past the 1000-row limit without gaps or repeats", async () => {
+  const client = createSubgraphClient(endpoint);
+  const now = Math.floor(Date.now() / 1000);
+  const rows = await fetchPoolHourDatas(client, POOL, now - 1500 * 3600);
+
+  const starts = rows.map((r) => Number(r.periodStartUnix));
+  assert.ok(rows.length >= 1500, `expected at least 1500 hours, got ${rows.length}`);
+  assert.ok(starts.every((ts, i) => i === 0 || ts - starts[i - 1] === 3600));
+  assert.ok(starts[0] > now - 1500 * 3600);
+});
+
+test("day rows and ticks follow their cursors across pages", async () => {
+  const client = createSubgraphClient(endpoint);
+  const now = Math.floor(Date.now() / 1000);
+
+  const days = await fetchPoolDayDatas(client, POOL, now - 200 * 86400);
+  assert.ok(days.length >= 200 && days.length <= 201);
+  assert.ok(isAscending(days.map((r) => Number(r.date))));
+
+  const ticks = await fetchTicks(client, POOL);
+  assert.equal(ticks.length, 1200);
+  assert.ok(isAscending(ticks.map((t) => Number(t.tickIdx))));
+  const net = ticks.reduce((sum, t) => sum + BigInt(t.liquidityNet), 0n);
+  assert.equal(net, 0n);
+});
+
+test("a subgraph error is surfaced", async () => {
+  const client = createSubgraphClient(endpoint);
+  await assert.rejects(client.request("{ swaps(first: 1) { id } }"), /does not answer/);
+  assert.throws(() => createSubgraphClient(""), /endpoint is required/);
+});
+
+test("ingestPool writes every dataset, a snapshot and the pool metadata", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const counts = await ingestPool({ endpoint, poolAddress: POOL, outDir: dataDir, now });
+
+  assert.ok(counts.hourly >= 720 && counts.hourly <= 721);
+  assert.ok(counts.daily >= 365 && counts.daily <= 366);
+  // One range between each pair of neighbouring ticks
+  assert.equal(counts.ticks, 1199);
+  // The mock's data is clean, so the quality checks find nothing to report
+  for (const dataset of ["hourly", "daily", "ticks"]) {
+    assert.equal(counts.quality[dataset].status, "ok", dataset);
+    assert.deepEqual(counts.quality[dataset].counts, {}, dataset);
+  }
+
+  const dir = poolDir(dataDir, POOL);
+  const read = async (name) => JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+  const [hourly, daily, ticks, snapshot] = await Promise.all([
+    read("hourly.json"),
+    read("daily.json"),
+    read("ticks.json"),
+    read(`snapshots/${now}.json`),
+  ]);
+  assert.equal(hourly.length, counts.hourly);
+  assert.equal(daily.length, counts.daily);
+  assert.equal(ticks.length, counts.ticks);
+  assert.ok(isAscending(hourly.map((r) => r.periodStartUnix)));
+  assert.equal(typeof hourly[0].token0Price, "number");
+
+  // Chart orientation: USDC per WETH, the active range holding the price
+  const active = ticks.find((r) => r.priceLowerUSD <= 2500 && 2500 < r.priceUpperUSD);
+  assert.ok(active && active.amount0 > 0 && active.amount1 > 0);
+  for (const range of ticks) {
+    assert.ok(range.priceLowerUSD < range.priceUpperUSD);
+    assert.ok(range.usdValue >= 0);
+  }
+
+  // The snapshot keeps this run's ticks with the pool's tick and price
+  assert.deepEqual(snapshot.ticks, ticks);
+  const { pool } = await fetchPool(createSubgraphClient(endpoint), POOL);
+  assert.equal(snapshot.ingestedAt, now);
+  assert.equal(snapshot.tick, Number(pool.tick));
+  assert.ok(Math.abs(snapshot.price - 2500) < 1);
+
+  const [meta] = await listPools(dataDir);
+  assert.equal(meta.address, POOL);
+  assert.equal(meta.ingestedAt, now);
+  assert.deepEqual(
+    [meta.token0.symbol, meta.token1.symbol, meta.feeTier],
+    ["USDC", "WETH", 3000]
+  );
+});
+
+test("owner positions for the ingested pool come back from the mock", async () => {
+  const client = createSubgraphClient(endpoint);
+  const positions = await fetchOwnerPositions(client, OWNER);
+  assert.equal(positions.length, 3);
+  assert.ok(positions.every((p) => p.pool.id === POOL && p.owner === OWNER));
+  assert.ok(isAscending(positions.map((p) => p.id)));
+
+  assert.deepEqual(await fetchOwnerPositions(client, `0x${"0".repeat(40)}`), []);
+});
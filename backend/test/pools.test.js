@@ -0,0 +1,120 @@
+// Pool listing and the per-pool data routes
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createPoolsRouter, isAddress, isPoolAddress, listPools, poolDir } from "../pools.js";
+import { errorHandler } from "../errors.js";
+
+const POOL_A = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const POOL_B = "0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8";
+const meta = (address, feeTier) => ({
+  address,
+  feeTier,
+  token0: { symbol: "USDC", decimals: 6 },
+  token1: { symbol: "WETH", decimals: 18 },
+});
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "pools-test-"));
+  const write = async (dir, name, data) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, name), JSON.stringify(data));
+  };
+  // Listed in reverse to check the sort
+  await write(poolDir(dataDir, POOL_B), "pool.json", meta(POOL_B, 3000));
+  await write(poolDir(dataDir, POOL_A), "pool.json", meta(POOL_A, 500));
+  await write(poolDir(dataDir, POOL_A), "hourly.json", [{ periodStartUnix: 1 }]);
+  // Still ingesting: no pool.json yet
+  await fs.mkdir(poolDir(dataDir, "0x1111111111111111111111111111111111111111"));
+  await fs.mkdir(path.join(dataDir, "pools", "not-a-pool"));
+});
+
+after(async () => {
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("addresses are 20 hex bytes in either case", () => {
+  assert.equal(isAddress(POOL_A), true);
+  assert.equal(isAddress(POOL_A.toUpperCase()), true);
+  for (const bad of ["", "0x1234", `${POOL_A}00`, POOL_A.slice(2), null]) {
+    assert.equal(isAddress(bad), false);
+  }
+  assert.equal(isPoolAddress, isAddress);
+  assert.equal(poolDir("data", POOL_A.toUpperCase()), path.join("data", "pools", POOL_A));
+});
+
+test("listPools returns pools with metadata, sorted by address", async () => {
+  assert.deepEqual(await listPools(dataDir), [meta(POOL_A, 500), meta(POOL_B, 3000)]);
+  assert.deepEqual(await listPools(path.join(dataDir, "missing")), []);
+});
+
+describe("pool routes", () => {
+  let server;
+  let base;
+  const streamed = [];
+
+  before(async () => {
+    const feed = {
+      stream: (address, req, res) => {
+        streamed.push(address);
+        res.end();
+      },
+    };
+    const app = express();
+    app.use("/pools", createPoolsRouter(dataDir, { feed }));
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://localhost:${server.address().port}/pools`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+  });
+
+  const get = async (url) => {
+    const res = await fetch(`${base}${url}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  test("serve the listing, a pool's metadata and its datasets", async () => {
+    assert.deepEqual((await get("/")).body, [meta(POOL_A, 500), meta(POOL_B, 3000)]);
+    assert.deepEqual((await get(`/${POOL_A}`)).body, meta(POOL_A, 500));
+    const hourly = await get(`/${POOL_A.toUpperCase()}/hourly`);
+    assert.deepEqual(hourly.body, [{ periodStartUnix: 1 }]);
+  });
+
+  test("answer bad addresses, unknown and missing datasets with JSON errors", async () => {
+    assert.deepEqual(await get("/0x1234/hourly"), {
+      status: 400,
+      body: { error: "Invalid pool address: 0x1234", code: "INVALID_POOL", pool: "0x1234" },
+    });
+    assert.deepEqual(await get(`/${POOL_A}/swaps`), {
+      status: 404,
+      body: { error: "Unknown dataset: swaps", code: "NOT_FOUND", dataset: "swaps" },
+    });
+    assert.deepEqual(await get(`/${POOL_B}/ticks`), {
+      status: 404,
+      body: {
+        error: `No ticks data for pool ${POOL_B}`,
+        code: "MISSING_DATA",
+        pool: POOL_B,
+        dataset: "ticks",
+      },
+    });
+  });
+
+  test("hand the stream route to the feed", async () => {
+    const res = await fetch(`${base}/${POOL_A}/stream`);
+    await res.text();
+    assert.deepEqual(streamed, [POOL_A]);
+    assert.equal((await get("/0x1234/stream")).status, 400);
+  });
+});
@@ -0,0 +1,120 @@
+// Saved position validation and the /positions CRUD routes
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createPositionsRouter, validatePosition } from "../positions.js";
+import { errorHandler } from "../errors.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const valid = {
+  name: "ETH 2.9k-3.1k",
+  pool: POOL,
+  lower: 2900,
+  upper: 3100,
+  deposit: 1000,
+  entryTime: 1_700_000_000,
+  entryPrice: null,
+};
+
+test("validatePosition names the first bad field", () => {
+  assert.equal(validatePosition(valid), null);
+  assert.equal(validatePosition({ ...valid, entryPrice: 3000 }), null);
+
+  for (const [fields, message] of [
+    [{ name: "  " }, "name is required"],
+    [{ name: 5 }, "name is required"],
+    [{ name: "x".repeat(81) }, "name must be at most 80 characters"],
+    [{ pool: "0x1234" }, "pool must be a pool address"],
+    [{ lower: 0 }, "lower and upper must be positive numbers"],
+    [{ upper: "3100" }, "lower and upper must be positive numbers"],
+    [{ lower: 3100, upper: 2900 }, "lower must be below upper"],
+    [{ deposit: -5 }, "deposit must be a positive number"],
+    [{ entryTime: 1.5 }, "entryTime must be a unix timestamp in seconds"],
+    [{ entryTime: -1 }, "entryTime must be a unix timestamp in seconds"],
+    [{ entryPrice: 0 }, "entryPrice must be a positive number"],
+  ]) {
+    assert.equal(validatePosition({ ...valid, ...fields }), message, JSON.stringify(fields));
+  }
+});
+
+describe("/positions", () => {
+  let dataDir;
+  let server;
+  let base;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "positions-test-"));
+    const app = express();
+    app.use(express.json());
+    app.use("/positions", createPositionsRouter(dataDir));
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://localhost:${server.address().port}/positions`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+    if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const send = async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  };
+
+  test("create fills in defaults and normalizes the name and pool", async () => {
+    const startedAt = Math.floor(Date.now() / 1000);
+    const { status, body } = await send("POST", "", {
+      name: "  wide ",
+      pool: POOL.toUpperCase(),
+      lower: 2000,
+      upper: 4000,
+      deposit: 500,
+      unknown: true,
+    });
+    assert.equal(status, 201);
+    assert.equal(body.name, "wide");
+    assert.equal(body.pool, POOL);
+    assert.equal(body.entryPrice, null);
+    assert.ok(body.entryTime >= startedAt);
+    assert.equal(body.unknown, undefined);
+
+    assert.deepEqual((await send("GET", `/${body.id}`)).body, body);
+    assert.deepEqual((await send("GET", "")).body, [body]);
+  });
+
+  test("validation errors are 400s with the message", async () => {
+    assert.deepEqual(await send("POST", "", { ...valid, lower: 3200 }), {
+      status: 400,
+      body: { error: "lower must be below upper", code: "BAD_REQUEST" },
+    });
+
+    const { body: created } = await send("POST", "", valid);
+    // An update is checked merged with the stored position
+    assert.deepEqual(await send("PUT", `/${created.id}`, { upper: 2800 }), {
+      status: 400,
+      body: { error: "lower must be below upper", code: "BAD_REQUEST" },
+    });
+    const { status, body } = await send("PUT", `/${created.id}`, { upper: 3300 });
+    assert.equal(status, 200);
+    assert.equal(body.upper, 3300);
+    assert.equal(body.lower, 2900);
+  });
+
+  test("unknown ids are 404s", async () => {
+    const notFound = { status: 404, body: { error: "Position not found", code: "NOT_FOUND" } };
+    assert.deepEqual(await send("GET", "/missing"), notFound);
+    assert.deepEqual(await send("PUT", "/missing", { deposit: 1 }), notFound);
+    assert.deepEqual(await send("DELETE", "/missing"), notFound);
+  });
+});
@@ -0,0 +1,122 @@
+// Tick snapshots: listing, point-in-time lookup and the ticks.json fallback
+// for pools ingested before snapshots existed
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import {
+  SNAPSHOT_DIR,
+  listSnapshots,
+  readSnapshot,
+  sampleSnapshots,
+  snapshotAsOf,
+} from "../snapshots.js";
+import { poolDir } from "../pools.js";
+import { tickToPrice } from "../../shared/priceMath.js";
+
+const VERSIONED = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const LEGACY = "0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8";
+const EMPTY = "0x1111111111111111111111111111111111111111";
+const meta = (ingestedAt) => ({
+  ingestedAt,
+  tick: 194878,
+  token0: { symbol: "USDC", decimals: 6 },
+  token1: { symbol: "WETH", decimals: 18 },
+});
+const ticksAt = (ts) => [{ tickLower: 0, tickUpper: 60, ingestedAt: ts }];
+
+let dataDir;
+
+const writeJson = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data));
+};
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "snapshots-test-"));
+
+  const versioned = poolDir(dataDir, VERSIONED);
+  for (const ts of [300, 100, 200]) {
+    await writeJson(path.join(versioned, SNAPSHOT_DIR, `${ts}.json`), {
+      ingestedAt: ts,
+      tick: 1,
+      price: ts * 10,
+      ticks: ticksAt(ts),
+    });
+  }
+  // Left behind by an interrupted write; not a snapshot
+  await writeJson(path.join(versioned, SNAPSHOT_DIR, "400.json.tmp"), {});
+  await writeJson(path.join(versioned, "pool.json"), meta(300));
+  await writeJson(path.join(versioned, "ticks.json"), ticksAt(300));
+
+  const legacy = poolDir(dataDir, LEGACY);
+  await writeJson(path.join(legacy, "pool.json"), meta(150));
+  await writeJson(path.join(legacy, "ticks.json"), ticksAt(150));
+
+  // Metadata but no ticks yet
+  await writeJson(path.join(poolDir(dataDir, EMPTY), "pool.json"), meta(150));
+});
+
+after(async () => {
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("snapshotAsOf picks the latest snapshot taken at or before a time", () => {
+  const timestamps = [100, 200, 300];
+  assert.equal(snapshotAsOf(timestamps, 50), null);
+  assert.equal(snapshotAsOf(timestamps, 100), 100);
+  assert.equal(snapshotAsOf(timestamps, 299), 200);
+  assert.equal(snapshotAsOf(timestamps, 1000), 300);
+  assert.equal(snapshotAsOf([], 1000), null);
+});
+
+test("sampleSnapshots starts at the one in effect and thins the rest", () => {
+  const timestamps = [100, 200, 300, 400, 500, 600];
+  assert.deepEqual(
+    sampleSnapshots(timestamps, { from: 250, to: 500, max: 10 }),
+    [200, 300, 400, 500]
+  );
+  assert.deepEqual(sampleSnapshots(timestamps, { from: 50, max: 10 }), timestamps);
+  // Evenly spaced, keeping both ends
+  assert.deepEqual(sampleSnapshots(timestamps, { max: 3 }), [100, 400, 600]);
+  assert.deepEqual(sampleSnapshots(timestamps, { max: 1 }), [600]);
+});
+
+describe("versioned snapshots", () => {
+  test("are listed oldest first, ignoring other files", async () => {
+    assert.deepEqual(await listSnapshots(dataDir, VERSIONED), [100, 200, 300]);
+  });
+
+  test("are read by timestamp, and the one in effect serves a past time", async () => {
+    const timestamps = await listSnapshots(dataDir, VERSIONED);
+    const snapshot = await readSnapshot(dataDir, VERSIONED, snapshotAsOf(timestamps, 250));
+    assert.deepEqual(snapshot, { ingestedAt: 200, tick: 1, price: 2000, ticks: ticksAt(200) });
+    assert.equal(await readSnapshot(dataDir, VERSIONED, 250), null);
+  });
+});
+
+describe("pools from before snapshots", () => {
+  test("list ticks.json as one snapshot dated by pool.json", async () => {
+    assert.deepEqual(await listSnapshots(dataDir, LEGACY), [150]);
+    assert.equal(snapshotAsOf(await listSnapshots(dataDir, LEGACY), 1000), 150);
+  });
+
+  test("read it with the price of the pool's tick", async () => {
+    assert.deepEqual(await readSnapshot(dataDir, LEGACY, 150), {
+      ingestedAt: 150,
+      tick: 194878,
+      price: tickToPrice(194878, 6, 18, true),
+      ticks: ticksAt(150),
+    });
+    assert.equal(await readSnapshot(dataDir, LEGACY, 100), null);
+  });
+
+  test("have none without ticks.json or any data at all", async () => {
+    assert.deepEqual(await listSnapshots(dataDir, EMPTY), []);
+    assert.deepEqual(await listSnapshots(dataDir, `0x${"2".repeat(40)}`), []);
+    assert.equal(await readSnapshot(dataDir, EMPTY, 150), null);
+  });
+});
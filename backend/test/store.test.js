@@ -0,0 +1,92 @@
+// JSON file store: records, the newest-first cap and serialized writes
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createJsonStore } from "../store.js";
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+});
+
+after(async () => {
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const fileFor = (name) => path.join(dataDir, name, "records.json");
+
+test("creates, reads, updates and removes records", async () => {
+  const store = createJsonStore(fileFor("crud"));
+  assert.deepEqual(await store.list(), []);
+
+  const created = await store.create({ name: "a" });
+  assert.equal(typeof created.id, "string");
+  assert.equal(created.createdAt, created.updatedAt);
+  assert.deepEqual(await store.get(created.id), created);
+
+  const updated = await store.update(created.id, { name: "b", id: "ignored" });
+  assert.equal(updated.id, created.id);
+  assert.equal(updated.name, "b");
+  assert.equal(await store.update("missing", { name: "c" }), null);
+
+  assert.equal(await store.remove("missing"), false);
+  assert.equal(await store.remove(created.id), true);
+  assert.equal(await store.get(created.id), null);
+});
+
+test("concurrent writes are applied one after another", async () => {
+  const file = fileFor("concurrent");
+  const store = createJsonStore(file);
+  const created = await Promise.all(
+    Array.from({ length: 25 }, (_, i) => store.create({ n: i }))
+  );
+  // Without the queue each create would read the same list and overwrite the rest
+  const records = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.deepEqual(
+    records.map((r) => r.n),
+    created.map((r) => r.n)
+  );
+  assert.equal(records.length, 25);
+
+  // A read queued behind writes sees them
+  const [, , list] = await Promise.all([
+    store.update(created[0].id, { n: 100 }),
+    store.remove(created[1].id),
+    store.list(),
+  ]);
+  assert.equal(list.length, 24);
+  assert.equal(list[0].n, 100);
+});
+
+test("a failed write does not block the ones queued after it", async () => {
+  const file = fileFor("failing");
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, "not json");
+  const store = createJsonStore(file);
+
+  const failed = store.create({ n: 1 });
+  const listed = store.list();
+  await assert.rejects(failed, SyntaxError);
+  await assert.rejects(listed, SyntaxError);
+
+  await fs.writeFile(file, "[]");
+  await store.create({ n: 2 });
+  assert.deepEqual(
+    (await store.list()).map((r) => r.n),
+    [2]
+  );
+});
+
+test("limit keeps only the newest records", async () => {
+  const store = createJsonStore(fileFor("limited"), { limit: 3 });
+  for (let n = 0; n < 5; n++) await store.create({ n });
+  assert.deepEqual(
+    (await store.list()).map((r) => r.n),
+    [2, 3, 4]
+  );
+});
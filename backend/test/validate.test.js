@@ -0,0 +1,263 @@
+// Data quality checks: each issue type the series and tick checks report,
+// the summary and the /health/data route
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import {
+  createHealthRouter,
+  describeCounts,
+  summarizeIssues,
+  validateSeries,
+  validateTicks,
+} from "../validate.js";
+import { errorHandler } from "../errors.js";
+import { poolDir } from "../pools.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+const HOUR = 3600;
+const T0 = 1_699_920_000;
+
+const hour = (i, price = 2000) => ({ periodStartUnix: T0 + i * HOUR, token0Price: price });
+const hours = (indexes) => indexes.map((i) => hour(i));
+const range = (tickLower, tickUpper, usdValue = 100) => ({
+  tickLower,
+  tickUpper,
+  priceLowerUSD: 1000 + tickLower,
+  priceUpperUSD: 1000 + tickUpper,
+  usdValue,
+});
+
+describe("validateSeries", () => {
+  test("a complete series has no issues", () => {
+    assert.deepEqual(validateSeries(hours([0, 1, 2, 3]), HOUR, { now: T0 + 4 * HOUR }), []);
+  });
+
+  test("rows without a usable timestamp or price are invalid", () => {
+    const rows = [hour(0), { token0Price: 2000 }, { ...hour(2), token0Price: "n/a" }, hour(3)];
+    assert.deepEqual(validateSeries(rows, HOUR), [
+      { type: "invalid", index: 1, ts: null },
+      { type: "invalid", index: 2, ts: T0 + 2 * HOUR },
+      // The invalid row doesn't fill its hour
+      { type: "gap", from: T0 + HOUR, to: T0 + 2 * HOUR, missing: 2 },
+    ]);
+  });
+
+  test("a timestamp earlier than the row before it is out of order", () => {
+    assert.deepEqual(validateSeries(hours([0, 2, 1, 3]), HOUR), [
+      { type: "out-of-order", index: 2, ts: T0 + HOUR, after: T0 + 2 * HOUR },
+    ]);
+  });
+
+  test("a repeated timestamp is a duplicate, reported once", () => {
+    assert.deepEqual(validateSeries(hours([0, 1, 1, 1, 2]), HOUR), [
+      { type: "duplicate", ts: T0 + HOUR, count: 3 },
+    ]);
+  });
+
+  test("a gap runs from the first missing period to the last", () => {
+    assert.deepEqual(validateSeries(hours([0, 1, 4]), HOUR), [
+      { type: "gap", from: T0 + 2 * HOUR, to: T0 + 3 * HOUR, missing: 2 },
+    ]);
+  });
+
+  test("a series is stale once two periods pass without a row", () => {
+    const rows = hours([0, 1, 2]);
+    // The hour after the last row may still be in progress
+    assert.deepEqual(validateSeries(rows, HOUR, { now: T0 + 4 * HOUR - 1 }), []);
+    assert.deepEqual(validateSeries(rows, HOUR, { now: T0 + 5 * HOUR }), [
+      { type: "stale", from: T0 + 3 * HOUR, to: T0 + 5 * HOUR, missing: 2 },
+    ]);
+    // Without `now` the check is skipped
+    assert.deepEqual(validateSeries(rows, HOUR), []);
+  });
+
+  test("a price far from its neighbours' median is an outlier", () => {
+    // 2600 is 30% above the 2000 median; 2400 (20%) is within the limit
+    const rows = [0, 1, 2, 3, 4, 5, 6].map((i) => hour(i, i === 3 ? 2600 : 2000));
+    assert.deepEqual(validateSeries(rows, HOUR), [
+      { type: "outlier", ts: T0 + 3 * HOUR, price: 2600, median: 2000 },
+    ]);
+    rows[3] = hour(3, 2400);
+    assert.deepEqual(validateSeries(rows, HOUR), []);
+  });
+});
+
+describe("validateTicks", () => {
+  test("neighbouring ranges that share a tick are fine", () => {
+    assert.deepEqual(validateTicks([range(0, 60), range(60, 120)]), []);
+  });
+
+  test("reports unusable rows, inverted ranges and overlaps", () => {
+    const ticks = [
+      range(0, 60),
+      range(120, 60),
+      { ...range(180, 240), priceUpperUSD: "?" },
+      range(240, 300, -1),
+      range(30, 90),
+      // Ticks in order but prices not
+      { ...range(300, 360), priceLowerUSD: 2000 },
+    ];
+    assert.deepEqual(validateTicks(ticks), [
+      { type: "inverted", index: 1, tickLower: 120, tickUpper: 60 },
+      { type: "invalid", index: 2 },
+      { type: "invalid", index: 3 },
+      { type: "inverted", index: 5, tickLower: 300, tickUpper: 360 },
+      { type: "overlap", index: 4, tickLower: 30, overlaps: 0 },
+    ]);
+  });
+});
+
+describe("summarizeIssues", () => {
+  const issues = [
+    { type: "gap", from: 1, to: 2, missing: 2 },
+    { type: "outlier", ts: 3 },
+    { type: "gap", from: 5, to: 5, missing: 1 },
+  ];
+
+  test("counts issues by type and takes the worst severity", () => {
+    assert.deepEqual(summarizeIssues([]), { status: "ok", counts: {}, issues: [] });
+
+    const summary = summarizeIssues(issues);
+    assert.equal(summary.status, "warning");
+    assert.deepEqual(summary.counts, { gap: 2, outlier: 1 });
+    assert.deepEqual(summary.issues[0], { severity: "warning", ...issues[0] });
+
+    assert.equal(summarizeIssues([...issues, { type: "duplicate", ts: 4 }]).status, "error");
+  });
+
+  test("limit caps the listed issues but not the counts", () => {
+    const summary = summarizeIssues(issues, 1);
+    assert.equal(summary.issues.length, 1);
+    assert.deepEqual(summary.counts, { gap: 2, outlier: 1 });
+    assert.deepEqual(summarizeIssues(issues, 0).issues, []);
+  });
+
+  test("describeCounts writes counts for log lines", () => {
+    assert.equal(describeCounts({ gap: 2, outlier: 1 }), "2 gap, 1 outlier");
+    assert.equal(describeCounts({}), "");
+  });
+});
+
+describe("GET /health/data", () => {
+  let dataDir;
+  let server;
+  let base;
+  let lastHour;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "validate-test-"));
+    const dir = poolDir(dataDir, POOL);
+    await fs.mkdir(dir, { recursive: true });
+    const write = (name, data) => fs.writeFile(path.join(dir, name), JSON.stringify(data));
+
+    // The last ten hours up to the current one, missing the fifth; no daily.json
+    lastHour = Math.floor(Date.now() / 1000 / HOUR) * HOUR;
+    const hourly = [10, 9, 8, 7, 6, 4, 3, 2, 1, 0].map((n) => ({
+      periodStartUnix: lastHour - n * HOUR,
+      token0Price: 2000,
+    }));
+    await write("hourly.json", hourly);
+    await write("ticks.json", [range(0, 60), range(60, 120)]);
+    await write("pool.json", { address: POOL });
+
+    const app = express();
+    app.use("/health", createHealthRouter(dataDir));
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://localhost:${server.address().port}/health/data`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server?.close(resolve));
+    if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const get = async (query = {}) => {
+    const res = await fetch(`${base}?${new URLSearchParams(query)}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  test("reports each dataset, a missing file as an error", async () => {
+    const { status, body } = await get();
+    assert.equal(status, 200);
+    assert.equal(body.status, "error");
+    assert.equal(body.from, null);
+
+    const [pool] = body.pools;
+    assert.equal(pool.address, POOL);
+    assert.equal(pool.status, "error");
+
+    const { hourly, daily, ticks } = pool.datasets;
+    assert.deepEqual(hourly, {
+      rows: 10,
+      from: lastHour - 10 * HOUR,
+      to: lastHour,
+      status: "warning",
+      counts: { gap: 1 },
+      issues: [
+        {
+          severity: "warning",
+          type: "gap",
+          from: lastHour - 5 * HOUR,
+          to: lastHour - 5 * HOUR,
+          missing: 1,
+        },
+      ],
+    });
+    assert.deepEqual(daily, {
+      rows: 0,
+      from: null,
+      to: null,
+      status: "error",
+      counts: { missing: 1 },
+      issues: [{ severity: "error", type: "missing" }],
+    });
+    assert.deepEqual(ticks, { rows: 2, status: "ok", counts: {}, issues: [] });
+  });
+
+  test("from and to keep only the issues in the window", async () => {
+    const { body } = await get({ pool: POOL, to: lastHour - 6 * HOUR });
+    assert.equal(body.to, lastHour - 6 * HOUR);
+    assert.equal(body.pools[0].datasets.hourly.status, "ok");
+    // Issues without a time, like a missing file, always apply
+    assert.equal(body.pools[0].datasets.daily.status, "error");
+  });
+
+  test("limit caps the issues listed per dataset", async () => {
+    const { body } = await get({ limit: 0 });
+    assert.deepEqual(body.pools[0].datasets.hourly.issues, []);
+    assert.deepEqual(body.pools[0].datasets.hourly.counts, { gap: 1 });
+  });
+
+  test("rejects bad parameters and pools that were never ingested", async () => {
+    const cases = [
+      [
+        { pool: "0x1234" },
+        400,
+        { error: "Invalid pool address: 0x1234", code: "INVALID_POOL", pool: "0x1234" },
+      ],
+      [{ from: "soon" }, 400, { error: "from and to must be unix seconds", code: "BAD_REQUEST" }],
+      [{ limit: 1001 }, 400, { error: "limit must be between 0 and 1000", code: "BAD_REQUEST" }],
+    ];
+    for (const [query, status, body] of cases) {
+      const res = await get(query);
+      assert.equal(res.status, status);
+      assert.deepEqual(res.body, body);
+    }
+
+    const other = "0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8";
+    const res = await get({ pool: other });
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, {
+      error: `Pool not ingested: ${other}`,
+      code: "NOT_FOUND",
+      pool: other,
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// Uncollected fees from the fee growth counters, as Pool.getFeeGrowthInside
+// computes them, and the position fields mapped from the subgraph
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import { createWalletRouter, mapWalletPosition } from "../wallet.js";
+import { errorHandler } from "../errors.js";
+import { tickToPrice, tickToSqrtPriceX96 } from "../../shared/priceMath.js";
+
+const Q256 = 2n ** 256n;
+// With liquidity 2^64, a growth of amount * 2^64 per unit is exactly `amount` raw
+const LIQUIDITY = 2n ** 64n;
+const growth = (raw) => raw * 2n ** 64n;
+const GLOBAL = 10n ** 40n;
+// 5 USDC and 0.002 WETH, raw
+const FEES0 = 5_000_000n;
+const FEES1 = 2_000_000_000_000_000n;
+
+const TICK_LOWER = 194820;
+const TICK_UPPER = 195420;
+
+// A USDC / WETH 0.3% position; each test sets the fee growth outside its
+// ticks (and at its last update) so that FEES0 and FEES1 accrued inside
+function position({ tick, lowerOutside = [0n, 0n], upperOutside = [0n, 0n], last = [0n, 0n] }) {
+  return {
+    id: "42",
+    owner: "0x000000000000000000000000000000000000beef",
+    liquidity: String(LIQUIDITY),
+    depositedToken0: "1000",
+    depositedToken1: "0.5",
+    withdrawnToken0: "0",
+    withdrawnToken1: "0",
+    collectedFeesToken0: "1.25",
+    collectedFeesToken1: "0.0004",
+    feeGrowthInside0LastX128: String(last[0]),
+    feeGrowthInside1LastX128: String(last[1]),
+    transaction: { timestamp: "1700000000" },
+    pool: {
+      id: "0x8AD599C3A0FF1DE082011EFDDC58F1908EB6E6D8",
+      feeTier: "3000",
+      tick: String(tick),
+      sqrtPrice: String(tickToSqrtPriceX96(tick)),
+      feeGrowthGlobal0X128: String(GLOBAL),
+      feeGrowthGlobal1X128: String(GLOBAL),
+      token0: { id: "0xa0b8", symbol: "USDC", decimals: "6" },
+      token1: { id: "0xc02a", symbol: "WETH", decimals: "18" },
+    },
+    tickLower: {
+      tickIdx: String(TICK_LOWER),
+      feeGrowthOutside0X128: String(lowerOutside[0]),
+      feeGrowthOutside1X128: String(lowerOutside[1]),
+    },
+    tickUpper: {
+      tickIdx: String(TICK_UPPER),
+      feeGrowthOutside0X128: String(upperOutside[0]),
+      feeGrowthOutside1X128: String(upperOutside[1]),
+    },
+  };
+}
+
+const fees = (p) => [p.uncollectedFees0, p.uncollectedFees1];
+
+describe("uncollected fees", () => {
+  test("in range: global growth minus the growth outside both ticks", () => {
+    // below = lowerOutside, above = upperOutside
+    const lowerOutside = [GLOBAL - growth(FEES0) - 7n, GLOBAL - growth(FEES1) - 9n];
+    const p = mapWalletPosition(
+      position({ tick: 195000, lowerOutside, upperOutside: [7n, 9n] })
+    );
+    assert.equal(p.inRange, true);
+    assert.deepEqual(fees(p), [5, 0.002]);
+    assert.ok(Math.abs(p.uncollectedValue - (5 + 0.002 * p.price)) < 1e-9);
+  });
+
+  test("below the range: lowerOutside minus upperOutside", () => {
+    // below = global - lowerOutside, above = upperOutside
+    const upperOutside = [3n, 4n];
+    const lowerOutside = [growth(FEES0) + 3n, growth(FEES1) + 4n];
+    const p = mapWalletPosition(position({ tick: 194000, lowerOutside, upperOutside }));
+    assert.equal(p.inRange, false);
+    assert.deepEqual(fees(p), [5, 0.002]);
+  });
+
+  test("above the range: upperOutside minus lowerOutside", () => {
+    // below = lowerOutside, above = global - upperOutside
+    const lowerOutside = [11n, 12n];
+    const upperOutside = [growth(FEES0) + 11n, growth(FEES1) + 12n];
+    const p = mapWalletPosition(position({ tick: 196000, lowerOutside, upperOutside }));
+    assert.equal(p.inRange, false);
+    assert.deepEqual(fees(p), [5, 0.002]);
+  });
+
+  test("subtracts the growth already accounted at the last update", () => {
+    const lowerOutside = [GLOBAL - growth(3n * FEES0), GLOBAL - growth(3n * FEES1)];
+    const last = [growth(2n * FEES0), growth(2n * FEES1)];
+    const p = mapWalletPosition(position({ tick: 195000, lowerOutside, last }));
+    assert.deepEqual(fees(p), [5, 0.002]);
+  });
+
+  test("wraps mod 2^256 when the counters overflow", () => {
+    // Outside growth above the global counter, as after the global wraps
+    const lowerOutside = [GLOBAL + 1000n, GLOBAL + 1000n];
+    const upperOutside = [Q256 - 1000n - growth(FEES0), Q256 - 1000n - growth(FEES1)];
+    const p = mapWalletPosition(position({ tick: 195000, lowerOutside, upperOutside }));
+    assert.deepEqual(fees(p), [5, 0.002]);
+
+    // A last-seen inside growth just below 2^256 that has since wrapped past 0
+    const wrapped = mapWalletPosition(
+      position({
+        tick: 195000,
+        lowerOutside: [GLOBAL - growth(FEES0) + 100n, GLOBAL - growth(FEES1) + 100n],
+        last: [Q256 - 100n, Q256 - 100n],
+      })
+    );
+    assert.deepEqual(fees(wrapped), [5, 0.002]);
+  });
+
+  test("no growth since the last update leaves nothing uncollected", () => {
+    const p = mapWalletPosition(position({ tick: 195000, lowerOutside: [GLOBAL, GLOBAL] }));
+    assert.deepEqual(fees(p), [0, 0]);
+    assert.equal(p.uncollectedValue, 0);
+  });
+});
+
+describe("mapWalletPosition", () => {
+  test("quotes bounds like the dashboard: lower from tickUpper", () => {
+    const p = mapWalletPosition(position({ tick: 195000 }));
+    assert.equal(p.pool, "0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8");
+    assert.equal(p.lower, tickToPrice(TICK_UPPER, 6, 18, true));
+    assert.equal(p.upper, tickToPrice(TICK_LOWER, 6, 18, true));
+    assert.ok(p.lower < p.price && p.price < p.upper);
+    assert.ok(p.amount0 > 0 && p.amount1 > 0);
+    assert.ok(Math.abs(p.value - (p.amount0 + p.amount1 * p.price)) < 1e-9);
+    assert.deepEqual(
+      [p.feeTier, p.openedAt, p.collectedFees0, p.deposited1],
+      [3000, 1700000000, 1.25, 0.5]
+    );
+  });
+
+  test("the active range includes tickLower and excludes tickUpper", () => {
+    assert.equal(mapWalletPosition(position({ tick: TICK_LOWER })).inRange, true);
+    assert.equal(mapWalletPosition(position({ tick: TICK_UPPER - 1 })).inRange, true);
+    assert.equal(mapWalletPosition(position({ tick: TICK_UPPER })).inRange, false);
+  });
+});
+
+describe("GET /wallet/:owner/positions", () => {
+  // A stand-in subgraph answering every request with `body`
+  const withSubgraph = async (body, run) => {
+    const subgraph = express().post("/", (req, res) => res.json(body));
+    const upstream = subgraph.listen(0);
+    await new Promise((resolve) => upstream.once("listening", resolve));
+    const app = express();
+    app.use("/wallet", createWalletRouter(`http://localhost:${upstream.address().port}/`));
+    app.use(errorHandler);
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    try {
+      await run(`http://localhost:${server.address().port}/wallet`);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      await new Promise((resolve) => upstream.close(resolve));
+    }
+  };
+  const OWNER = "0x000000000000000000000000000000000000BEEF";
+
+  test("maps each position for a lower-cased owner", async () => {
+    const raw = position({ tick: 195000 });
+    await withSubgraph({ data: { positions: [raw] } }, async (base) => {
+      const res = await fetch(`${base}/${OWNER}/positions`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {
+        owner: OWNER.toLowerCase(),
+        count: 1,
+        positions: [mapWalletPosition(raw)],
+      });
+    });
+  });
+
+  test("rejects a bad owner and reports subgraph errors as a 502", async () => {
+    await withSubgraph({ errors: [{ message: "indexer down" }] }, async (base) => {
+      const bad = await fetch(`${base}/0x123/positions`);
+      assert.equal(bad.status, 400);
+      assert.equal((await bad.json()).error, "Invalid owner address: 0x123");
+
+      const res = await fetch(`${base}/${OWNER}/positions`);
+      assert.equal(res.status, 502);
+      assert.deepEqual(await res.json(), {
+        error: "Subgraph request failed: indexer down",
+        code: "SUBGRAPH_ERROR",
+      });
+    });
+  });
+});
@@ -0,0 +1,267 @@
+// =====================
+//  Data Quality Checks
+//  /health/data?pool=&from=&to=&limit=
+//
+//  Series (hourly, daily): gaps, stale data, duplicate or out-of-order
+//  timestamps, rows without a usable timestamp or price, and price spikes
+//  against the neighbouring candles. Ticks: inverted or overlapping ranges
+//  and rows with unusable values. Ingestion runs the same checks and prints
+//  what it finds, without dropping anything.
+// =====================
+
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+
+import { isPoolAddress, listPools, poolDir } from "./pools.js";
+import { optionalTs, rowPrice, rowTs } from "./api.js";
+import { badRequest, invalidPool, notFound } from "./errors.js";
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const MAX_ISSUES = 1000;
+
+// Prices further than this (in log terms, ~22%) from the median of the three
+// candles either side are reported as spikes
+const OUTLIER_DEVIATION = 0.2;
+const OUTLIER_NEIGHBOURS = 3;
+
+// Errors mean the file is malformed; warnings may be genuine market data
+// (the subgraph skips hours without swaps) but deserve a look
+const SEVERITY = {
+  missing: "error",
+  invalid: "error",
+  duplicate: "error",
+  "out-of-order": "error",
+  inverted: "error",
+  overlap: "error",
+  gap: "warning",
+  stale: "warning",
+  outlier: "warning",
+};
+
+const SERIES = [
+  { dataset: "hourly", periodSeconds: HOUR },
+  { dataset: "daily", periodSeconds: DAY },
+];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Issues in a time series, in file order. `now` enables the stale check.
+export function validateSeries(rows, periodSeconds, { now } = {}) {
+  const issues = [];
+  const counts = new Map();
+  const valid = [];
+  let prevTs = null;
+
+  rows.forEach((r, index) => {
+    const ts = rowTs(r);
+    const price = rowPrice(r);
+    if (!Number.isFinite(ts) || !(price > 0)) {
+      issues.push({ type: "invalid", index, ts: Number.isFinite(ts) ? ts : null });
+      return;
+    }
+    if (prevTs != null && ts < prevTs) {
+      issues.push({ type: "out-of-order", index, ts, after: prevTs });
+    }
+    prevTs = ts;
+    counts.set(ts, (counts.get(ts) ?? 0) + 1);
+    valid.push({ ts, price });
+  });
+
+  for (const [ts, count] of counts) {
+    if (count > 1) issues.push({ type: "duplicate", ts, count });
+  }
+
+  // One row per timestamp, in time order, for the gap and spike checks
+  const byTs = new Map(valid.map((v) => [v.ts, v]));
+  const sorted = [...byTs.values()].sort((a, b) => a.ts - b.ts);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const step = sorted[i].ts - sorted[i - 1].ts;
+    if (step > periodSeconds) {
+      issues.push({
+        type: "gap",
+        from: sorted[i - 1].ts + periodSeconds,
+        to: sorted[i].ts - periodSeconds,
+        missing: Math.round(step / periodSeconds) - 1,
+      });
+    }
+  }
+
+  const last = sorted[sorted.length - 1];
+  // The current period may still be in progress, so allow one missing
+  if (now != null && last && now - last.ts >= 2 * periodSeconds) {
+    issues.push({
+      type: "stale",
+      from: last.ts + periodSeconds,
+      to: now,
+      missing: Math.floor((now - last.ts) / periodSeconds) - 1,
+    });
+  }
+
+  sorted.forEach((v, i) => {
+    const neighbours = [
+      ...sorted.slice(Math.max(0, i - OUTLIER_NEIGHBOURS), i),
+      ...sorted.slice(i + 1, i + 1 + OUTLIER_NEIGHBOURS),
+    ].map((n) => n.price);
+    if (neighbours.length < 2) return;
+    const reference = median(neighbours);
+    if (Math.abs(Math.log(v.price / reference)) > OUTLIER_DEVIATION) {
+      issues.push({ type: "outlier", ts: v.ts, price: v.price, median: reference });
+    }
+  });
+
+  return issues;
+}
+
+// Issues in ticks.json rows: one row per range between initialized ticks
+export function validateTicks(ticks) {
+  const issues = [];
+  const valid = [];
+
+  ticks.forEach((t, index) => {
+    const tickLower = Number(t.tickLower);
+    const tickUpper = Number(t.tickUpper);
+    const values = [tickLower, tickUpper, t.priceLowerUSD, t.priceUpperUSD, t.usdValue].map(Number);
+    if (!values.every(Number.isFinite) || Number(t.usdValue) < 0) {
+      issues.push({ type: "invalid", index });
+      return;
+    }
+    if (tickLower >= tickUpper || Number(t.priceLowerUSD) >= Number(t.priceUpperUSD)) {
+      issues.push({ type: "inverted", index, tickLower, tickUpper });
+      return;
+    }
+    valid.push({ index, tickLower, tickUpper });
+  });
+
+  valid.sort((a, b) => a.tickLower - b.tickLower);
+  for (let i = 1; i < valid.length; i++) {
+    const prev = valid[i - 1];
+    const cur = valid[i];
+    if (cur.tickLower < prev.tickUpper) {
+      issues.push({
+        type: "overlap",
+        index: cur.index,
+        tickLower: cur.tickLower,
+        overlaps: prev.index,
+      });
+    }
+  }
+
+  return issues;
+}
+
+// Time-stamped issues overlapping [from, to]; issues without a time are kept
+function inWindow(issue, from, to) {
+  const start = issue.from ?? issue.ts;
+  const end = issue.to ?? issue.ts;
+  if (start == null) return true;
+  return (from === undefined || end >= from) && (to === undefined || start <= to);
+}
+
+const worst = (statuses) =>
+  statuses.includes("error") ? "error" : statuses.includes("warning") ? "warning" : "ok";
+
+// { status, counts: { type: n }, issues } with each issue tagged by severity
+export function summarizeIssues(issues, limit = MAX_ISSUES) {
+  const counts = {};
+  for (const issue of issues) counts[issue.type] = (counts[issue.type] ?? 0) + 1;
+  return {
+    status: worst(Object.keys(counts).map((type) => SEVERITY[type])),
+    counts,
+    issues: issues.slice(0, limit).map((issue) => ({ severity: SEVERITY[issue.type], ...issue })),
+  };
+}
+
+// "2 gap, 1 outlier" for log lines
+export function describeCounts(counts) {
+  return Object.entries(counts)
+    .map(([type, n]) => `${n} ${type}`)
+    .join(", ");
+}
+
+async function readDataset(dir, dataset) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dir, `${dataset}.json`), "utf8"));
+    return Array.isArray(data) ? data : null;
+  } catch (e) {
+    if (e.code === "ENOENT" || e instanceof SyntaxError) return null;
+    throw e;
+  }
+}
+
+export function createHealthRouter(dataDir) {
+  const router = express.Router();
+
+  // Reads the raw files rather than the API's cached copies, which are
+  // already filtered and sorted
+  router.get("/data", async (req, res, next) => {
+    try {
+      const pool = req.query.pool == null ? undefined : String(req.query.pool).toLowerCase();
+      if (pool != null && !isPoolAddress(pool)) throw invalidPool(req.query.pool);
+      const from = optionalTs(req.query.from);
+      const to = optionalTs(req.query.to);
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw badRequest("from and to must be unix seconds");
+      }
+      const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 0 || limit > MAX_ISSUES) {
+        throw badRequest(`limit must be between 0 and ${MAX_ISSUES}`);
+      }
+
+      const pools = (await listPools(dataDir)).filter((p) => pool == null || p.address === pool);
+      if (pool != null && !pools.length) throw notFound(`Pool not ingested: ${pool}`, { pool });
+
+      const now = Math.floor(Date.now() / 1000);
+      const reports = [];
+      for (const meta of pools) {
+        const dir = poolDir(dataDir, meta.address);
+        const datasets = {};
+
+        for (const { dataset, periodSeconds } of SERIES) {
+          const rows = await readDataset(dir, dataset);
+          const issues = rows
+            ? validateSeries(rows, periodSeconds, { now }).filter((i) => inWindow(i, from, to))
+            : [{ type: "missing" }];
+          const times = (rows ?? []).map(rowTs).filter(Number.isFinite);
+          datasets[dataset] = {
+            rows: rows?.length ?? 0,
+            from: times.length ? Math.min(...times) : null,
+            to: times.length ? Math.max(...times) : null,
+            ...summarizeIssues(issues, limit),
+          };
+        }
+
+        // Ticks are a snapshot of now, so the time window doesn't apply
+        const ticks = await readDataset(dir, "ticks");
+        datasets.ticks = {
+          rows: ticks?.length ?? 0,
+          ...summarizeIssues(ticks ? validateTicks(ticks) : [{ type: "missing" }], limit),
+        };
+
+        reports.push({
+          address: meta.address,
+          status: worst(Object.values(datasets).map((d) => d.status)),
+          datasets,
+        });
+      }
+
+      res.json({
+        generatedAt: now,
+        from: from ?? null,
+        to: to ?? null,
+        status: worst(reports.map((r) => r.status)),
+        pools: reports,
+      });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+}
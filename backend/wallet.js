@@ -0,0 +1,125 @@
+// =====================
+//  Wallet Positions
+//  /wallet/:owner/positions: an owner's open NonfungiblePositionManager
+//  positions, read from the configured subgraph on each request. Point
+//  subgraphUrl at mock-subgraph.js to try it without the hosted service.
+//
+//  Prices follow the dashboard (token1 quoted in token0, e.g. USDC per WETH),
+//  so `lower` comes from tickUpper. Amounts and fees are in whole tokens;
+//  `value` and `uncollectedValue` are in token0.
+// =====================
+
+import express from "express";
+
+import { isAddress } from "./pools.js";
+import { badRequest, subgraphError } from "./errors.js";
+import { createSubgraphClient, fetchOwnerPositions } from "./subgraph.js";
+import { sqrtPriceX96ToPrice, tickToPrice } from "../shared/priceMath.js";
+import { amountsForLiquidity, liquidityFromRaw } from "../shared/position.js";
+
+const Q128 = 2n ** 128n;
+const Q256 = 2n ** 256n;
+
+// Fee growth counters are uint256 and wrap, so differences are taken mod 2^256
+const subMod = (a, b) => (((a - b) % Q256) + Q256) % Q256;
+
+// Fee growth per unit of liquidity inside [tickLower, tickUpper) for token
+// `i`, as Pool.getFeeGrowthInside computes it
+function feeGrowthInside(p, i) {
+  const tick = Number(p.pool.tick);
+  const global = BigInt(p.pool[`feeGrowthGlobal${i}X128`]);
+  const lowerOutside = BigInt(p.tickLower[`feeGrowthOutside${i}X128`]);
+  const upperOutside = BigInt(p.tickUpper[`feeGrowthOutside${i}X128`]);
+
+  const below =
+    tick >= Number(p.tickLower.tickIdx) ? lowerOutside : subMod(global, lowerOutside);
+  const above =
+    tick < Number(p.tickUpper.tickIdx) ? upperOutside : subMod(global, upperOutside);
+  return subMod(subMod(global, below), above);
+}
+
+// Raw fees earned since the position's last update. Fees already credited to
+// tokensOwed by an earlier update aren't in the subgraph, so this can
+// understate what collect() would return.
+function uncollectedRaw(p, i) {
+  const last = BigInt(p[`feeGrowthInside${i}LastX128`]);
+  return (BigInt(p.liquidity) * subMod(feeGrowthInside(p, i), last)) / Q128;
+}
+
+export function mapWalletPosition(p) {
+  const decimals0 = Number(p.pool.token0.decimals);
+  const decimals1 = Number(p.pool.token1.decimals);
+  const tick = Number(p.pool.tick);
+  const tickLower = Number(p.tickLower.tickIdx);
+  const tickUpper = Number(p.tickUpper.tickIdx);
+
+  const price = sqrtPriceX96ToPrice(p.pool.sqrtPrice, decimals0, decimals1, true);
+  const lower = tickToPrice(tickUpper, decimals0, decimals1, true);
+  const upper = tickToPrice(tickLower, decimals0, decimals1, true);
+  const { amount0, amount1 } = amountsForLiquidity(
+    liquidityFromRaw(p.liquidity, decimals0, decimals1),
+    lower,
+    upper,
+    price
+  );
+  const fees0 = Number(uncollectedRaw(p, 0)) / 10 ** decimals0;
+  const fees1 = Number(uncollectedRaw(p, 1)) / 10 ** decimals1;
+  const token = (t) => ({ id: t.id, symbol: t.symbol, decimals: Number(t.decimals) });
+
+  return {
+    id: p.id,
+    pool: p.pool.id.toLowerCase(),
+    feeTier: Number(p.pool.feeTier),
+    token0: token(p.pool.token0),
+    token1: token(p.pool.token1),
+    openedAt: Number(p.transaction?.timestamp) || null,
+    tickLower,
+    tickUpper,
+    tick,
+    liquidity: String(p.liquidity),
+    lower,
+    upper,
+    price,
+    // The pool's active range is [tickLower, tickUpper)
+    inRange: tick >= tickLower && tick < tickUpper,
+    amount0,
+    amount1,
+    value: amount0 + amount1 * price,
+    uncollectedFees0: fees0,
+    uncollectedFees1: fees1,
+    uncollectedValue: fees0 + fees1 * price,
+    collectedFees0: Number(p.collectedFeesToken0),
+    collectedFees1: Number(p.collectedFeesToken1),
+    deposited0: Number(p.depositedToken0),
+    deposited1: Number(p.depositedToken1),
+    withdrawn0: Number(p.withdrawnToken0),
+    withdrawn1: Number(p.withdrawnToken1),
+  };
+}
+
+export function createWalletRouter(subgraphUrl) {
+  const client = createSubgraphClient(subgraphUrl);
+  const router = express.Router();
+
+  router.get("/:owner/positions", async (req, res, next) => {
+    try {
+      const owner = String(req.params.owner).toLowerCase();
+      if (!isAddress(owner)) throw badRequest(`Invalid owner address: ${req.params.owner}`);
+
+      let rows;
+      try {
+        rows = await fetchOwnerPositions(client, owner);
+      } catch (e) {
+        // graphql-request puts the subgraph's own errors on e.response
+        throw subgraphError(e.response?.errors?.[0]?.message ?? e.message);
+      }
+
+      const positions = rows.map(mapWalletPosition);
+      res.json({ owner, count: positions.length, positions });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+}
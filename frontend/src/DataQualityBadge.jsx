@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+
+import { BORDER, CARD_BG, MUTED, TEXT } from "./theme.js";
+import { fmtAmount } from "./format.js";
+
+const WARNING_COLOR = "#fbbf24";
+const ERROR_COLOR = "#f43f5e";
+
+const formatTime = (unixSec) => {
+  const d = new Date(unixSec * 1000);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  return `${mm}/${dd} ${hh}:00`;
+};
+
+const issueCount = (report) => Object.values(report.counts).reduce((a, n) => a + n, 0);
+
+function describeIssue(issue, dataset) {
+  const unit = dataset === "daily" ? "day" : "hour";
+  const plural = (n) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+  switch (issue.type) {
+    case "gap":
+      return `${plural(issue.missing)} missing from ${formatTime(issue.from)}`;
+    case "stale":
+      return `No new data for ${plural(issue.missing + 1)}`;
+    case "duplicate":
+      return `${issue.count} rows for ${formatTime(issue.ts)}`;
+    case "out-of-order":
+      return `Row ${issue.index} (${formatTime(issue.ts)}) is out of order`;
+    case "invalid":
+      return `Row ${issue.index} has no usable ${dataset === "ticks" ? "values" : "time or price"}`;
+    case "outlier": {
+      const price = fmtAmount(issue.price, 2);
+      const around = fmtAmount(issue.median, 2);
+      return `Price spike at ${formatTime(issue.ts)}: ${price} vs ${around} around it`;
+    }
+    case "inverted":
+      return `Tick range ${issue.tickLower}–${issue.tickUpper} is inverted`;
+    case "overlap":
+      return `Tick range from ${issue.tickLower} overlaps the one before it`;
+    case "missing":
+      return `${dataset}.json is missing`;
+    default:
+      return issue.type;
+  }
+}
+
+// Warning badge for /health/data issues in the viewed window; `datasets`
+// maps a dataset name to its report ({ status, counts, issues })
+export default function DataQualityBadge({ datasets }) {
+  const [open, setOpen] = useState(false);
+
+  const entries = Object.entries(datasets).filter(([, d]) => d && d.status !== "ok");
+  if (!entries.length) return null;
+
+  const isError = entries.some(([, d]) => d.status === "error");
+  const color = isError ? ERROR_COLOR : WARNING_COLOR;
+  const total = entries.reduce((acc, [, d]) => acc + issueCount(d), 0);
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        style={{
+          padding: "8px 12px",
+          borderRadius: 10,
+          border: `1px solid ${color}`,
+          background: "transparent",
+          cursor: "pointer",
+          fontWeight: 600,
+          color,
+        }}
+      >
+        ⚠ {total} data issue{total === 1 ? "" : "s"}
+      </button>
+
+      {open ? (
+        <div
+          style={{
+            position: "absolute",
+            top: "calc(100% + 6px)",
+            left: 0,
+            zIndex: 10,
+            width: 380,
+            maxHeight: 300,
+            overflowY: "auto",
+            padding: 12,
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            background: CARD_BG,
+            color: TEXT,
+            fontSize: 13,
+          }}
+        >
+          {entries.map(([dataset, d]) => (
+            <div key={dataset} style={{ marginBottom: 8 }}>
+              <div style={{ color: MUTED, fontWeight: 700, marginBottom: 4 }}>{dataset}</div>
+              {d.issues.map((issue, i) => (
+                <div
+                  key={i}
+                  style={{ color: issue.severity === "error" ? ERROR_COLOR : TEXT, marginBottom: 2 }}
+                >
+                  {describeIssue(issue, dataset)}
+                </div>
+              ))}
+              {d.issues.length < issueCount(d) ? (
+                <div style={{ color: MUTED }}>…and more, see /health/data</div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
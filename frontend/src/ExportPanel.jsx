@@ -0,0 +1,60 @@
+import React from "react";
+
+import { toCsv } from "../../shared/csv.js";
+import { MUTED, cardStyle, labelStyle, smallBtn } from "./theme.js";
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking right away can cancel the download before the browser reads it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// `exports` is a list of { id, label, name, rows, json }; `json` defaults to
+// the rows. An export without rows is shown disabled with its `hint`.
+export default function ExportPanel({ exports }) {
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Export</div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr auto auto", gap: 8, alignItems: "center" }}>
+        {exports.map((x) => {
+          const ready = x.rows.length > 0;
+          return (
+            <React.Fragment key={x.id}>
+              <div>
+                <div style={labelStyle}>{x.label}</div>
+                <div style={{ fontSize: 12, color: MUTED }}>
+                  {ready ? `${x.rows.length} row${x.rows.length === 1 ? "" : "s"}` : x.hint}
+                </div>
+              </div>
+              <button
+                disabled={!ready}
+                onClick={() => download(`${x.name}.csv`, toCsv(x.rows), "text/csv")}
+                style={{ ...smallBtn, opacity: ready ? 1 : 0.5 }}
+              >
+                CSV
+              </button>
+              <button
+                disabled={!ready}
+                onClick={() =>
+                  download(
+                    `${x.name}.json`,
+                    JSON.stringify(x.json ?? x.rows, null, 2),
+                    "application/json"
+                  )
+                }
+                style={{ ...smallBtn, opacity: ready ? 1 : 0.5 }}
+              >
+                JSON
+              </button>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useMemo } from "react";
+import { Line as LineChartJs } from "react-chartjs-2";
+
+import { crosshairPlugin } from "./crosshair.js";
+import { BORDER, MUTED, cardStyle, labelStyle } from "./theme.js";
+import { fmtPct, fmtUSD0 } from "./format.js";
+
+const FEES_COLOR = "#22c55e";
+const VOLUME_COLOR = "#38bdf8";
+const TVL_COLOR = "#94a3b8";
+const YIELD_COLOR = "#fbbf24";
+
+const YEAR = 365 * 24 * 3600;
+
+const SERIES = [
+  { label: "Fees", color: FEES_COLOR },
+  { label: "Volume", color: VOLUME_COLOR },
+  { label: "TVL", color: TVL_COLOR },
+  { label: "Fee/TVL yield (APR)", color: YIELD_COLOR },
+];
+
+// Annualized fees over TVL for one period, in %
+const yieldPct = (p, periodSeconds) =>
+  Number.isFinite(p.feesUSD) && p.tvlUSD > 0
+    ? (p.feesUSD / p.tvlUSD) * (YEAR / periodSeconds) * 100
+    : null;
+
+// Fees, volume and TVL per period over the price chart's window. It shares the
+// price chart's x labels, so the crosshair and x zoom are synced by index.
+export default function FeeChart({ series, periodSeconds, pool, chartRef, onCrosshair, onZoom }) {
+  const yields = useMemo(
+    () => series.map((p) => yieldPct(p, periodSeconds)),
+    [series, periodSeconds]
+  );
+
+  const totals = useMemo(() => {
+    const sum = (key) => series.reduce((acc, p) => acc + (Number(p[key]) || 0), 0);
+    const fees = sum("feesUSD");
+    const avgTvl = series.length ? sum("tvlUSD") / series.length : 0;
+    const windowSeconds = periodSeconds * series.length;
+    return {
+      fees,
+      volume: sum("volumeUSD"),
+      tvl: series.length ? series[series.length - 1].tvlUSD : null,
+      // Window fees over average TVL, annualized
+      yieldPct: avgTvl > 0 ? (fees / avgTvl) * (YEAR / windowSeconds) * 100 : null,
+    };
+  }, [series, periodSeconds]);
+
+  const data = useMemo(
+    () => ({
+      labels: series.map((p) => p.label),
+      datasets: [
+        {
+          type: "bar",
+          label: "Fees (USD)",
+          data: series.map((p) => p.feesUSD),
+          yAxisID: "y",
+          backgroundColor: "rgba(34, 197, 94, 0.55)",
+          barPercentage: 0.8,
+          categoryPercentage: 1,
+        },
+        {
+          label: "Volume (USD)",
+          data: series.map((p) => p.volumeUSD),
+          yAxisID: "yVolume",
+          borderColor: VOLUME_COLOR,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          tension: 0.15,
+        },
+        {
+          label: "TVL (USD)",
+          data: series.map((p) => p.tvlUSD),
+          yAxisID: "yTvl",
+          borderColor: TVL_COLOR,
+          borderWidth: 1,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          tension: 0.15,
+        },
+        {
+          label: "Fee/TVL yield (APR %)",
+          data: yields,
+          yAxisID: "yYield",
+          borderColor: YIELD_COLOR,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          tension: 0.15,
+        },
+      ],
+    }),
+    [series, yields]
+  );
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      scales: {
+        x: {
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: MUTED, maxRotation: 0, autoSkip: true, maxTicksLimit: 10 },
+        },
+        y: {
+          beginAtZero: true,
+          grid: { color: BORDER },
+          border: { display: false },
+          ticks: { color: FEES_COLOR, maxTicksLimit: 5, callback: (v) => fmtUSD0(Number(v)) },
+        },
+        // Volume and TVL are orders of magnitude above fees; their values are
+        // read from the tooltip rather than extra axes
+        yVolume: { display: false, beginAtZero: true },
+        yTvl: { display: false },
+        yYield: {
+          position: "right",
+          beginAtZero: true,
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: YIELD_COLOR, maxTicksLimit: 5, callback: (v) => fmtPct(Number(v), 0) },
+        },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (item) =>
+              item.dataset.yAxisID === "yYield"
+                ? `${item.dataset.label}: ${fmtPct(item.parsed.y)}`
+                : `${item.dataset.label}: ${fmtUSD0(item.parsed.y)}`,
+          },
+        },
+        zoom: {
+          zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: false },
+            mode: "x",
+            onZoom,
+          },
+          pan: { enabled: false },
+        },
+        crosshair: { onMove: onCrosshair },
+      },
+    }),
+    [onCrosshair, onZoom]
+  );
+
+  const periodLabel = periodSeconds >= 24 * 3600 ? "day" : "hour";
+
+  return (
+    <div style={{ ...cardStyle, display: "flex", flexDirection: "column", height: "100%" }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "baseline",
+          gap: 18,
+          flexWrap: "wrap",
+          marginBottom: 8,
+        }}
+      >
+        <div style={{ fontWeight: 700 }}>
+          Fees, volume & TVL per {periodLabel}
+          {pool ? (
+            <span style={{ ...labelStyle, marginLeft: 8 }}>
+              {(pool.feeTier / 10000).toFixed(2)}% fee tier
+            </span>
+          ) : null}
+        </div>
+
+        <div style={{ fontSize: 13 }}>
+          <span style={labelStyle}>Window fees </span>
+          <b>{fmtUSD0(totals.fees)}</b>
+        </div>
+        <div style={{ fontSize: 13 }}>
+          <span style={labelStyle}>Volume </span>
+          <b>{fmtUSD0(totals.volume)}</b>
+        </div>
+        <div style={{ fontSize: 13 }}>
+          <span style={labelStyle}>TVL </span>
+          <b>{fmtUSD0(totals.tvl)}</b>
+        </div>
+        <div style={{ fontSize: 13 }}>
+          <span style={labelStyle}>Fee/TVL APR </span>
+          <b>{fmtPct(totals.yieldPct)}</b>
+        </div>
+
+        <div style={{ marginLeft: "auto", display: "flex", gap: 12, fontSize: 12 }}>
+          {SERIES.map((s) => (
+            <span key={s.label} style={{ ...labelStyle, display: "flex", alignItems: "center", gap: 5 }}>
+              <span style={{ width: 10, height: 3, background: s.color, display: "inline-block" }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ flex: 1, minHeight: 0 }}>
+        {series.length ? (
+          <LineChartJs ref={chartRef} data={data} options={options} plugins={[crosshairPlugin]} />
+        ) : (
+          <div style={{ color: MUTED, fontWeight: 600 }}>Loading...</div>
+        )}
+      </div>
+    </div>
+  );
+}
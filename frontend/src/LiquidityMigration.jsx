@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from "react";
+import { Bar } from "react-chartjs-2";
+
+import { liquidityInRange } from "../../shared/estimate.js";
+import { BORDER, CARD_BG, MUTED, TEXT, cardStyle, labelStyle } from "./theme.js";
+import { fmtPct, fmtUSD0 } from "./format.js";
+
+const BELOW_COLOR = "rgba(56, 189, 248, 0.6)";
+const ABOVE_COLOR = "rgba(251, 191, 36, 0.6)";
+
+const BANDS = [2, 5, 10];
+
+const formatSnapshot = (unixSec) => {
+  const d = new Date(unixSec * 1000);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  return `${mm}/${dd} ${hh}h`;
+};
+
+// Liquidity within ±band% of today's price in each tick snapshot, split at
+// the price, so deposits moving towards or away from it show over time.
+// `snapshots` are { ts, price, ticks }, oldest first.
+export default function LiquidityMigration({ snapshots, currentPrice }) {
+  const [band, setBand] = useState(5);
+
+  const rows = useMemo(() => {
+    if (!Number.isFinite(currentPrice)) return [];
+    const lo = currentPrice * (1 - band / 100);
+    const hi = currentPrice * (1 + band / 100);
+    return snapshots.map((s) => {
+      const near = liquidityInRange(s.ticks, lo, hi);
+      const below = liquidityInRange(s.ticks, lo, currentPrice);
+      return { ts: s.ts, price: s.price, below, above: near - below, near };
+    });
+  }, [snapshots, currentPrice, band]);
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const changePct = rows.length > 1 && first.near > 0 ? (last.near / first.near - 1) * 100 : null;
+
+  const data = useMemo(
+    () => ({
+      labels: rows.map((r) => formatSnapshot(r.ts)),
+      datasets: [
+        { label: "Below price", data: rows.map((r) => r.below), backgroundColor: BELOW_COLOR },
+        { label: "Above price", data: rows.map((r) => r.above), backgroundColor: ABOVE_COLOR },
+      ],
+    }),
+    [rows]
+  );
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      scales: {
+        x: {
+          stacked: true,
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: MUTED, maxRotation: 0, autoSkip: true, maxTicksLimit: 6 },
+        },
+        y: {
+          stacked: true,
+          beginAtZero: true,
+          grid: { color: BORDER },
+          border: { display: false },
+          ticks: { color: MUTED, maxTicksLimit: 5, callback: (v) => fmtUSD0(Number(v)) },
+        },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.dataset.label}: ${fmtUSD0(item.parsed.y)}`,
+            footer: (items) => {
+              const r = rows[items[0]?.dataIndex];
+              return r ? `Price then: ${fmtUSD0(r.price)}` : "";
+            },
+          },
+        },
+      },
+    }),
+    [rows]
+  );
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 12 }}>
+        <div style={{ fontWeight: 700 }}>Liquidity migration</div>
+        <select
+          value={band}
+          onChange={(e) => setBand(Number(e.target.value))}
+          style={{
+            marginLeft: "auto",
+            padding: "4px 8px",
+            borderRadius: 8,
+            border: `1px solid ${BORDER}`,
+            background: CARD_BG,
+            color: TEXT,
+            fontWeight: 600,
+          }}
+        >
+          {BANDS.map((b) => (
+            <option key={b} value={b}>
+              ±{b}% of price
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length ? (
+        <>
+          <div style={{ fontSize: 13, marginBottom: 10 }}>
+            <span style={labelStyle}>Near price: </span>
+            <b>{fmtUSD0(last.near)}</b>
+            {changePct != null ? (
+              <span style={{ color: MUTED }}>
+                {" "}
+                ({changePct >= 0 ? "+" : ""}
+                {fmtPct(changePct, 1)} since {formatSnapshot(first.ts)})
+              </span>
+            ) : null}
+          </div>
+          <div style={{ height: 180 }}>
+            <Bar data={data} options={options} />
+          </div>
+        </>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          No tick snapshots cover this window yet.
+        </div>
+      )}
+    </div>
+  );
+}
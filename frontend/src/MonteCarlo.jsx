@@ -0,0 +1,223 @@
+import React, { useMemo, useState } from "react";
+import { Line as LineChartJs } from "react-chartjs-2";
+
+import { HOLDING_PERIODS, realizedVolatility } from "./optimizer.js";
+import { MODELS, PATH_COUNTS, hourlyLogReturns, simulateRange } from "./monteCarlo.js";
+import { BORDER, BTN_BG, CARD_BG, LINE_COLOR, MUTED, TEXT, cardStyle, labelStyle } from "./theme.js";
+import { fmtInt, fmtPct, fmtUSD0, fmtUSD2 } from "./format.js";
+
+const BAND_OUTER = "rgba(56, 189, 248, 0.12)";
+const BAND_INNER = "rgba(56, 189, 248, 0.28)";
+const BOUND_COLOR = "#fbbf24";
+
+const selectStyle = {
+  padding: "4px 8px",
+  borderRadius: 8,
+  border: `1px solid ${BORDER}`,
+  background: CARD_BG,
+  color: TEXT,
+  fontWeight: 600,
+};
+
+const hourLabel = (h) => (h % 24 === 0 ? `Day ${h / 24}` : `+${h}h`);
+
+const band = (label, data, fill, backgroundColor) => ({
+  label,
+  data,
+  fill,
+  backgroundColor,
+  borderWidth: 0,
+  pointRadius: 0,
+  tension: 0.2,
+});
+
+// Forward simulation of the chart's range and deposit. Runs on demand:
+// thousands of paths take a noticeable moment, and the result states the
+// inputs it was run with.
+export default function MonteCarlo({ hourly, currentPrice, lower, upper, deposit, index }) {
+  const [holdingId, setHoldingId] = useState("7d");
+  const [modelId, setModelId] = useState("gbm");
+  const [paths, setPaths] = useState(PATH_COUNTS[1]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const run = () => {
+    const holding = HOLDING_PERIODS.find((h) => h.id === holdingId) ?? HOLDING_PERIODS[1];
+    const week = hourly.slice(-7 * 24).filter((h) => Number.isFinite(h.feesUSD));
+    const sim = simulateRange({
+      model: modelId,
+      price: currentPrice,
+      lower,
+      upper,
+      deposit,
+      volatility: realizedVolatility(hourly, 3600),
+      returns: hourlyLogReturns(hourly),
+      hourlyFees: week.length ? week.reduce((acc, h) => acc + h.feesUSD, 0) / week.length : NaN,
+      index,
+      hours: holding.hours,
+      paths,
+    });
+    setResult(sim ? { ...sim, holding, lower, upper, deposit } : null);
+    setError(sim ? "" : "Needs hourly history, a range around a known price and a deposit.");
+  };
+
+  const data = useMemo(() => {
+    if (!result) return null;
+    const labels = result.fan.map((r) => hourLabel(r.hour));
+    const series = (key) => result.fan.map((r) => r[key]);
+    const flat = (v) => result.fan.map(() => v);
+    return {
+      labels,
+      datasets: [
+        band("P5", series("p5"), false, BAND_OUTER),
+        band("P95", series("p95"), "-1", BAND_OUTER),
+        band("P25", series("p25"), false, BAND_INNER),
+        band("P75", series("p75"), "-1", BAND_INNER),
+        {
+          label: "Median",
+          data: series("p50"),
+          borderColor: LINE_COLOR,
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.2,
+        },
+        {
+          label: "Upper bound",
+          data: flat(result.upper),
+          borderColor: BOUND_COLOR,
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+        },
+        {
+          label: "Lower bound",
+          data: flat(result.lower),
+          borderColor: BOUND_COLOR,
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+        },
+      ],
+    };
+  }, [result]);
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      scales: {
+        x: {
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: MUTED, maxRotation: 0, autoSkip: true, maxTicksLimit: 8 },
+        },
+        y: {
+          grid: { color: BORDER },
+          border: { display: false },
+          ticks: { color: MUTED, maxTicksLimit: 6, callback: (v) => fmtInt(Number(v)) },
+        },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: { label: (item) => `${item.dataset.label}: ${fmtUSD2(item.parsed.y)}` },
+        },
+      },
+    }),
+    []
+  );
+
+  const rows = result
+    ? [
+        { label: "Fees", d: result.fees, fmt: fmtUSD0 },
+        { label: "Impermanent loss", d: result.ilUSD, fmt: fmtUSD0 },
+        { label: "Time in range", d: result.timeInRangePct, fmt: (v) => fmtPct(v, 0) },
+        { label: "Net return", d: result.netReturnPct, fmt: (v) => fmtPct(v, 1) },
+      ]
+    : [];
+
+  return (
+    <div style={{ ...cardStyle, gridColumn: "1 / -1" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+        <div style={{ fontWeight: 700, marginRight: "auto" }}>Monte Carlo projection</div>
+        <select value={modelId} onChange={(e) => setModelId(e.target.value)} style={selectStyle}>
+          {MODELS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        <select value={holdingId} onChange={(e) => setHoldingId(e.target.value)} style={selectStyle}>
+          {HOLDING_PERIODS.map((h) => (
+            <option key={h.id} value={h.id}>
+              {h.label}
+            </option>
+          ))}
+        </select>
+        <select value={paths} onChange={(e) => setPaths(Number(e.target.value))} style={selectStyle}>
+          {PATH_COUNTS.map((n) => (
+            <option key={n} value={n}>
+              {fmtInt(n)} paths
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={run}
+          style={{
+            padding: "6px 12px",
+            borderRadius: 8,
+            border: "none",
+            background: BTN_BG,
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+          }}
+        >
+          Run
+        </button>
+      </div>
+
+      {error ? <div style={{ color: MUTED, fontWeight: 600 }}>{error}</div> : null}
+
+      {result ? (
+        <div style={{ display: "flex", gap: 18, flexWrap: "wrap" }}>
+          <div style={{ flex: "0 0 320px" }}>
+            <div style={{ fontSize: 13, color: MUTED, marginBottom: 10 }}>
+              {fmtInt(result.paths)} {MODELS.find((m) => m.id === result.model)?.label} paths over{" "}
+              {result.holding.label} · {fmtInt(result.lower)} – {fmtInt(result.upper)} ·{" "}
+              {fmtUSD0(result.deposit)}
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr style={{ color: MUTED, textAlign: "right" }}>
+                  <th style={{ textAlign: "left", padding: "4px 6px" }} />
+                  <th style={{ padding: "4px 6px" }}>P5</th>
+                  <th style={{ padding: "4px 6px" }}>Median</th>
+                  <th style={{ padding: "4px 6px" }}>P95</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.label} style={{ textAlign: "right", borderTop: `1px solid ${BORDER}` }}>
+                    <td style={{ ...labelStyle, textAlign: "left", padding: "4px 6px" }}>{r.label}</td>
+                    <td style={{ padding: "4px 6px" }}>{r.fmt(r.d.p5)}</td>
+                    <td style={{ padding: "4px 6px", fontWeight: 700 }}>{r.fmt(r.d.p50)}</td>
+                    <td style={{ padding: "4px 6px" }}>{r.fmt(r.d.p95)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 12, color: MUTED, marginTop: 10 }}>
+              Fees use the last 7 days' average hourly pool fees and today's liquidity.
+              Net return is value + fees − deposit.
+            </div>
+          </div>
+          <div style={{ flex: 1, minWidth: 300, height: 260 }}>
+            <LineChartJs data={data} options={options} />
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
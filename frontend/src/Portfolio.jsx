@@ -0,0 +1,117 @@
+import React, { useMemo } from "react";
+
+import { summarizePortfolio } from "./portfolio.js";
+import { BORDER, MUTED, TEXT, cardStyle, labelStyle } from "./theme.js";
+import { fmtAmount, fmtInt, fmtPct, fmtUSD0 } from "./format.js";
+
+const IN_RANGE_COLOR = "#22c55e";
+const OUT_OF_RANGE_COLOR = "#f43f5e";
+
+const cell = { padding: "4px 6px" };
+
+const fmtApr = (v) => (Number.isFinite(v) ? fmtPct(v, 1) : "—");
+
+// Saved positions as one book. `holdings` carry the display fields (name,
+// pair, color) next to what summarizePortfolio reads; bands for the viewed
+// pool are dragged on the main chart.
+export default function Portfolio({ holdings }) {
+  const summary = useMemo(() => summarizePortfolio(holdings), [holdings]);
+
+  if (!holdings.length) {
+    return (
+      <div style={{ ...cardStyle, gridColumn: "1 / -1" }}>
+        <div style={{ fontWeight: 700, marginBottom: 12 }}>Portfolio</div>
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          Save positions to build a portfolio; each one gets its own band on the chart.
+        </div>
+      </div>
+    );
+  }
+
+  const exposure = summary.exposure.map((e) => `${fmtAmount(e.amount, 4)} ${e.symbol}`);
+  const totals = [
+    { label: "Total deposit", value: fmtUSD0(summary.deposit) },
+    { label: "Value now", value: fmtUSD0(summary.value) },
+    {
+      label: "In range now",
+      value: `${fmtUSD0(summary.inRangeValue)} (${summary.inRangeCount}/${summary.count})`,
+    },
+    { label: "Blended APR", value: fmtApr(summary.aprPct) },
+  ];
+
+  return (
+    <div style={{ ...cardStyle, gridColumn: "1 / -1" }}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Portfolio</div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginBottom: 12 }}>
+        {totals.map((t) => (
+          <div key={t.label}>
+            <div style={labelStyle}>{t.label}</div>
+            <div style={{ fontWeight: 700 }}>{t.value}</div>
+          </div>
+        ))}
+        <div>
+          <div style={labelStyle}>Net exposure</div>
+          <div style={{ fontWeight: 700 }}>
+            {exposure.length ? exposure.join(" · ") : "—"}
+          </div>
+        </div>
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ color: MUTED, textAlign: "right" }}>
+            <th style={{ ...cell, textAlign: "left" }}>Position</th>
+            <th style={cell}>Range</th>
+            <th style={cell}>Deposit</th>
+            <th style={cell}>Value now</th>
+            <th style={cell}>Holdings</th>
+            <th style={cell}>APR</th>
+          </tr>
+        </thead>
+        <tbody>
+          {holdings.map((h) => (
+            <tr key={h.id} style={{ textAlign: "right", borderTop: `1px solid ${BORDER}` }}>
+              <td style={{ ...cell, textAlign: "left" }}>
+                <span
+                  style={{
+                    display: "inline-block",
+                    width: 10,
+                    height: 10,
+                    borderRadius: 3,
+                    marginRight: 8,
+                    background: h.color,
+                  }}
+                />
+                <b style={{ color: TEXT }}>{h.name}</b>
+                <span style={{ color: MUTED }}> · {h.pair}</span>
+              </td>
+              <td style={cell}>
+                {fmtInt(h.lower)}–{fmtInt(h.upper)}{" "}
+                {h.valued ? (
+                  <span style={{ color: h.valued.inRange ? IN_RANGE_COLOR : OUT_OF_RANGE_COLOR }}>
+                    ●
+                  </span>
+                ) : null}
+              </td>
+              <td style={cell}>{fmtUSD0(h.deposit)}</td>
+              <td style={cell}>{h.valued ? fmtUSD0(h.valued.value) : "—"}</td>
+              <td style={cell}>
+                {h.valued
+                  ? `${fmtAmount(h.valued.amount0, 2)} ${h.token0} + ` +
+                    `${fmtAmount(h.valued.amount1, 4)} ${h.token1}`
+                  : "—"}
+              </td>
+              <td style={cell}>{fmtApr(h.aprPct)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ fontSize: 12, color: MUTED, marginTop: 10 }}>
+        Values and exposure are at each pool's latest price; APR is the 7-day fee estimate.
+        {summary.pending ? ` ${summary.pending} position(s) still loading their pool's price.` : ""}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useMemo } from "react";
+import { Line as LineChartJs } from "react-chartjs-2";
+
+import { positionCurve, evaluatePosition } from "../../shared/position.js";
+import { BORDER, MUTED, LINE_COLOR, cardStyle, labelStyle } from "./theme.js";
+import { fmtAmount, fmtPct, fmtUSD0, fmtUSD2 } from "./format.js";
+
+const VALUE_COLOR = "#38bdf8";
+const FEES_COLOR = "#22c55e";
+
+// Vertical markers for the range bounds and current price
+const priceMarkersPlugin = {
+  id: "priceMarkers",
+  afterDatasetsDraw(chart, args, opts) {
+    const xScale = chart.scales.x;
+    const { top, bottom } = chart.chartArea;
+    const { ctx } = chart;
+
+    for (const m of opts.markers ?? []) {
+      if (!Number.isFinite(m.value)) continue;
+      const x = xScale.getPixelForValue(m.value);
+      ctx.save();
+      ctx.strokeStyle = m.color;
+      ctx.lineWidth = 1;
+      if (m.dashed) ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
+      ctx.stroke();
+      ctx.restore();
+    }
+  },
+};
+
+export default function PositionCurve({ position, currentPrice, fees, pool }) {
+  const sym0 = pool?.token0.symbol ?? "token0";
+  const sym1 = pool?.token1.symbol ?? "token1";
+
+  const curve = useMemo(() => {
+    if (!position) return [];
+    const lo = Math.min(position.lower, currentPrice ?? position.lower);
+    const hi = Math.max(position.upper, currentPrice ?? position.upper);
+    return positionCurve(position, lo * 0.85, hi * 1.15, fees);
+  }, [position, currentPrice, fees]);
+
+  const now = useMemo(() => {
+    if (!position || !Number.isFinite(currentPrice)) return null;
+    return evaluatePosition(position, currentPrice, fees);
+  }, [position, currentPrice, fees]);
+
+  const data = useMemo(
+    () => ({
+      datasets: [
+        {
+          label: "Position value",
+          data: curve.map((c) => ({ x: c.price, y: c.value })),
+          borderColor: VALUE_COLOR,
+          pointRadius: 0,
+        },
+        {
+          label: "Value + 7d fees",
+          data: curve.map((c) => ({ x: c.price, y: c.value + c.fees })),
+          borderColor: FEES_COLOR,
+          borderDash: [6, 4],
+          pointRadius: 0,
+        },
+        {
+          label: "HODL",
+          data: curve.map((c) => ({ x: c.price, y: c.hodl })),
+          borderColor: LINE_COLOR,
+          borderWidth: 1,
+          pointRadius: 0,
+        },
+      ],
+    }),
+    [curve]
+  );
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      scales: {
+        x: {
+          type: "linear",
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: MUTED, maxTicksLimit: 5, callback: (v) => fmtUSD0(Number(v)) },
+        },
+        y: {
+          grid: { color: BORDER },
+          border: { display: false },
+          ticks: { color: MUTED, callback: (v) => fmtUSD0(Number(v)) },
+        },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            title: (items) => `Price ${fmtUSD2(items[0]?.parsed.x)}`,
+            afterBody: (items) => {
+              const c = curve[items[0]?.dataIndex];
+              return c ? [`IL vs HODL: ${fmtPct(c.il * 100)}`, `Net PnL: ${fmtUSD2(c.pnl)}`] : [];
+            },
+          },
+        },
+        priceMarkers: {
+          markers: position
+            ? [
+                { value: position.lower, color: "#2563eb" },
+                { value: position.upper, color: "#7c3aed" },
+                { value: currentPrice, color: MUTED, dashed: true },
+              ]
+            : [],
+        },
+      },
+    }),
+    [curve, position, currentPrice]
+  );
+
+  return (
+    <div style={{ ...cardStyle, display: "flex", flexDirection: "column", height: "100%" }}>
+      <div style={{ fontWeight: 700, marginBottom: 8 }}>Position value vs. price</div>
+
+      {position ? (
+        <>
+          <div style={{ flex: 1, minHeight: 0 }}>
+            <LineChartJs data={data} options={options} plugins={[priceMarkersPlugin]} />
+          </div>
+
+          <div
+            style={{
+              marginTop: 10,
+              display: "grid",
+              gridTemplateColumns: "1fr auto",
+              rowGap: 6,
+              columnGap: 12,
+              fontSize: 13,
+            }}
+          >
+            <div style={labelStyle}>Liquidity (L)</div>
+            <div style={{ fontWeight: 700 }}>{fmtAmount(position.liquidity, 2)}</div>
+
+            <div style={labelStyle}>At entry</div>
+            <div style={{ fontWeight: 700 }}>
+              {fmtAmount(position.amount1)} {sym1} + {fmtAmount(position.amount0, 2)} {sym0}
+            </div>
+
+            <div style={labelStyle}>Now</div>
+            <div style={{ fontWeight: 700 }}>
+              {now ? `${fmtAmount(now.amount1)} ${sym1} + ${fmtAmount(now.amount0, 2)} ${sym0}` : "—"}
+            </div>
+
+            <div style={labelStyle}>Value / IL now</div>
+            <div style={{ fontWeight: 700 }}>
+              {now ? `${fmtUSD2(now.value)} / ${fmtPct(now.il * 100)}` : "—"}
+            </div>
+
+            <div style={labelStyle}>Net PnL after 7d fees</div>
+            <div style={{ fontWeight: 700 }}>{now ? fmtUSD2(now.pnl) : "—"}</div>
+          </div>
+        </>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          Set a range and deposit, then Calculate.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from "react";
+
+import { HOLDING_PERIODS, optimizeRange, realizedVolatility } from "./optimizer.js";
+import { BORDER, CARD_BG, MUTED, TEXT, cardStyle, labelStyle, smallBtn } from "./theme.js";
+import { fmtInt, fmtPct, fmtUSD2 } from "./format.js";
+
+// Suggested ranges for the current deposit; Apply moves the chart bounds
+export default function RangeOptimizer({ hourly, daily, currentPrice, deposit, index, onApply }) {
+  const [holdingId, setHoldingId] = useState("7d");
+  const holding = HOLDING_PERIODS.find((h) => h.id === holdingId) ?? HOLDING_PERIODS[1];
+
+  // Short holds use hourly returns; longer ones the daily history, which
+  // reaches further back
+  const volatility = useMemo(() => {
+    const hourlyVol = realizedVolatility(hourly, 3600);
+    const dailyVol = realizedVolatility(daily, 24 * 3600);
+    return holding.hours <= 7 * 24 ? (hourlyVol ?? dailyVol) : (dailyVol ?? hourlyVol);
+  }, [hourly, daily, holding.hours]);
+
+  const result = useMemo(() => {
+    const week = hourly.slice(-7 * 24).filter((h) => Number.isFinite(h.feesUSD));
+    const hourlyFees = week.length
+      ? week.reduce((acc, h) => acc + h.feesUSD, 0) / week.length
+      : NaN;
+    return optimizeRange({
+      price: currentPrice,
+      deposit,
+      volatility,
+      holdingHours: holding.hours,
+      hourlyFees,
+      index,
+    });
+  }, [hourly, currentPrice, deposit, volatility, holding.hours, index]);
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 12 }}>
+        <div style={{ fontWeight: 700 }}>Range optimizer</div>
+        <select
+          value={holdingId}
+          onChange={(e) => setHoldingId(e.target.value)}
+          style={{
+            marginLeft: "auto",
+            padding: "4px 8px",
+            borderRadius: 8,
+            border: `1px solid ${BORDER}`,
+            background: CARD_BG,
+            color: TEXT,
+            fontWeight: 600,
+          }}
+        >
+          {HOLDING_PERIODS.map((h) => (
+            <option key={h.id} value={h.id}>
+              Hold {h.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ fontSize: 13, marginBottom: 10 }}>
+        <span style={labelStyle}>Realized volatility: </span>
+        <b>{Number.isFinite(volatility) ? fmtPct(volatility * 100, 1) : "—"}</b>
+        <span style={labelStyle}> annualized</span>
+      </div>
+
+      {result?.suggestions.length ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {result.suggestions.map((s) => (
+            <div
+              key={s.id}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1fr auto",
+                gap: 4,
+                padding: 8,
+                borderRadius: 10,
+                border: `1px solid ${BORDER}`,
+                fontSize: 13,
+              }}
+            >
+              <div style={{ fontWeight: 700 }}>
+                {s.label}{" "}
+                <span style={{ color: MUTED, fontWeight: 600 }}>±{fmtPct(s.widthPct, 1)}</span>
+              </div>
+              <button onClick={() => onApply(s.lower, s.upper)} style={smallBtn}>
+                Apply
+              </button>
+              <div style={{ gridColumn: "1 / -1", color: MUTED }}>
+                {fmtInt(s.lower)} – {fmtInt(s.upper)} · in range {fmtPct(s.timeInRange * 100, 0)}
+              </div>
+              <div style={{ gridColumn: "1 / -1" }}>
+                Fees {fmtUSD2(s.fees)} − IL {fmtUSD2(s.il)} ={" "}
+                <b>{fmtUSD2(s.score)}</b>{" "}
+                <span style={{ color: MUTED }}>({fmtPct(s.aprPct, 1)} APR)</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          Needs price history, tick data and a deposit.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useMemo, useState } from "react";
+import { Line as LineChartJs } from "react-chartjs-2";
+
+import { STRATEGIES, simulateRebalancing } from "./rebalance.js";
+import { BORDER, CARD_BG, LINE_COLOR, MUTED, TEXT, cardStyle, labelStyle } from "./theme.js";
+import { fmtInt, fmtPct, fmtUSD2 } from "./format.js";
+
+const STRATEGY_COLOR = "#38bdf8";
+const PASSIVE_COLOR = "#a78bfa";
+
+const inputStyle = {
+  width: 72,
+  padding: "4px 8px",
+  borderRadius: 8,
+  border: `1px solid ${BORDER}`,
+  boxSizing: "border-box",
+};
+
+const selectStyle = {
+  padding: "4px 8px",
+  borderRadius: 8,
+  border: `1px solid ${BORDER}`,
+  background: CARD_BG,
+  color: TEXT,
+  fontWeight: 600,
+};
+
+const cell = { padding: "4px 6px" };
+
+const toNumber = (text) => Number(String(text).replaceAll(",", "").trim());
+
+const dayLabel = (ts) => {
+  const d = new Date(ts * 1000);
+  return `${String(d.getMonth() + 1).padStart(2, "0")}/${String(d.getDate()).padStart(2, "0")}`;
+};
+
+const equityLine = (label, data, borderColor, dashed) => ({
+  label,
+  data,
+  borderColor,
+  borderDash: dashed ? [6, 4] : undefined,
+  borderWidth: 2,
+  pointRadius: 0,
+  tension: 0.1,
+});
+
+// Rule-driven range management over the backtest window, next to the static
+// range and HODL. `series` is the window's hourly candles; the first range is
+// the chart's. A blank swap cost means the pool's fee tier.
+export default function Rebalancer({
+  series,
+  lower,
+  upper,
+  deposit,
+  index,
+  indexes,
+  tickSpec,
+  poolFeePct,
+  windowLabel,
+}) {
+  const [type, setType] = useState("recenter");
+  const [widthText, setWidthText] = useState("5");
+  const [outHoursText, setOutHoursText] = useState("6");
+  const [edgeText, setEdgeText] = useState("10");
+  const [gasText, setGasText] = useState("10");
+  const [swapText, setSwapText] = useState("");
+
+  const result = useMemo(() => {
+    const swapPct = swapText.trim() ? toNumber(swapText) : poolFeePct;
+    return simulateRebalancing({
+      series,
+      lower,
+      upper,
+      deposit,
+      index,
+      indexes,
+      tickSpec,
+      strategy: {
+        type,
+        widthPct: toNumber(widthText),
+        outHours: toNumber(outHoursText),
+        edgePct: toNumber(edgeText),
+      },
+      gasUSD: Math.max(0, toNumber(gasText)) || 0,
+      swapPct: Math.max(0, swapPct) || 0,
+    });
+  }, [
+    series,
+    lower,
+    upper,
+    deposit,
+    index,
+    indexes,
+    tickSpec,
+    poolFeePct,
+    type,
+    widthText,
+    outHoursText,
+    edgeText,
+    gasText,
+    swapText,
+  ]);
+
+  const data = useMemo(() => {
+    if (!result) return null;
+    return {
+      labels: result.strategy.rows.map((r) => dayLabel(r.ts)),
+      datasets: [
+        equityLine("Strategy", result.strategy.rows.map((r) => r.equity), STRATEGY_COLOR),
+        equityLine("Passive", result.passive.rows.map((r) => r.equity), PASSIVE_COLOR),
+        equityLine("HODL", result.hodl.rows.map((r) => r.equity), LINE_COLOR, true),
+      ],
+    };
+  }, [result]);
+
+  const options = useMemo(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      scales: {
+        x: {
+          grid: { display: false },
+          border: { display: false },
+          ticks: { color: MUTED, maxRotation: 0, autoSkip: true, maxTicksLimit: 8 },
+        },
+        y: {
+          grid: { color: BORDER },
+          border: { display: false },
+          ticks: { color: MUTED, maxTicksLimit: 6, callback: (v) => fmtInt(Number(v)) },
+        },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: { label: (item) => `${item.dataset.label}: ${fmtUSD2(item.parsed.y)}` },
+        },
+      },
+    }),
+    []
+  );
+
+  const columns = result ? [result.strategy, result.passive, result.hodl] : [];
+  const rows = [
+    { label: "Net PnL", value: (c) => fmtUSD2(c.pnl) },
+    { label: "Fees earned", value: (c) => (c.fees != null ? fmtUSD2(c.fees) : "—") },
+    { label: "Gas + swap costs", value: (c) => (c.costs != null ? fmtUSD2(c.costs) : "—") },
+    { label: "Rebalances", value: (c) => (c.rebalances != null ? fmtInt(c.rebalances) : "—") },
+    {
+      label: "Time in range",
+      value: (c) => (c.timeInRangePct != null ? fmtPct(c.timeInRangePct, 1) : "—"),
+    },
+    { label: "Final value (+ fees)", value: (c) => fmtUSD2(c.finalEquity) },
+  ];
+
+  const field = (label, value, onChange, placeholder) => (
+    <label style={{ ...labelStyle, display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+      {label}
+      <input
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value)}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{ ...cardStyle, gridColumn: "1 / -1" }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 12,
+          flexWrap: "wrap",
+          marginBottom: 12,
+        }}
+      >
+        <div style={{ fontWeight: 700, marginRight: "auto" }}>
+          Rebalancing strategy ({windowLabel})
+        </div>
+        <select value={type} onChange={(e) => setType(e.target.value)} style={selectStyle}>
+          {STRATEGIES.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        {field("Re-center at ±%", widthText, setWidthText)}
+        {type === "edge"
+          ? field("Edge %", edgeText, setEdgeText)
+          : field("Hours out", outHoursText, setOutHoursText)}
+        {field("Gas $", gasText, setGasText)}
+        {field("Swap cost %", swapText, setSwapText, String(poolFeePct ?? ""))}
+      </div>
+
+      {result ? (
+        <div style={{ display: "flex", gap: 18, flexWrap: "wrap" }}>
+          <div style={{ flex: "0 0 360px" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr style={{ color: MUTED, textAlign: "right" }}>
+                  <th style={{ ...cell, textAlign: "left" }} />
+                  <th style={{ ...cell, color: STRATEGY_COLOR }}>Strategy</th>
+                  <th style={{ ...cell, color: PASSIVE_COLOR }}>Passive</th>
+                  <th style={cell}>HODL</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.label} style={{ textAlign: "right", borderTop: `1px solid ${BORDER}` }}>
+                    <td style={{ ...labelStyle, ...cell, textAlign: "left" }}>{r.label}</td>
+                    {columns.map((c, i) => (
+                      <td key={i} style={{ ...cell, fontWeight: i === 0 ? 700 : 400 }}>
+                        {r.value(c)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 12, color: MUTED, marginTop: 10 }}>
+              Ends in {fmtInt(result.strategy.range.lower)} –{" "}
+              {fmtInt(result.strategy.range.upper)}.
+              Each rebalance pays gas plus the swap cost on the value moved between tokens; fees
+              are collected, not compounded.
+            </div>
+          </div>
+          <div style={{ flex: 1, minWidth: 300, height: 240 }}>
+            <LineChartJs data={data} options={options} />
+          </div>
+        </div>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          Needs hourly history in the window, a range, a deposit and a valid rule.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+
+import { BORDER, BTN_BG, MUTED, TEXT, cardStyle, smallBtn } from "./theme.js";
+import { fmtInt, fmtUSD0 } from "./format.js";
+
+export default function SavedPositions({
+  positions,
+  pools,
+  activeId,
+  error,
+  onSave,
+  onLoad,
+  onUpdate,
+  onDelete,
+}) {
+  const [name, setName] = useState("");
+
+  const poolName = (address) => {
+    const p = pools.find((x) => x.address === address);
+    return p ? `${p.token0.symbol}/${p.token1.symbol}` : address.slice(0, 8);
+  };
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Saved positions</div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 96px", gap: 8, marginBottom: 12 }}>
+        <input
+          value={name}
+          placeholder="Name this range"
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          style={{
+            width: "100%",
+            minWidth: 0,
+            padding: "8px 10px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            boxSizing: "border-box",
+          }}
+        />
+        <button
+          onClick={save}
+          style={{
+            borderRadius: 10,
+            border: "none",
+            background: BTN_BG,
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+          }}
+        >
+          Save
+        </button>
+      </div>
+
+      {error ? (
+        <div style={{ marginBottom: 8, color: "crimson", fontWeight: 600 }}>{error}</div>
+      ) : null}
+
+      {positions.length ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, maxHeight: 220, overflowY: "auto" }}>
+          {positions.map((p) => (
+            <div
+              key={p.id}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                paddingTop: 8,
+                borderTop: `1px solid ${BORDER}`,
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700, color: p.id === activeId ? "#38bdf8" : TEXT }}>
+                  {p.name}
+                </div>
+                <div style={{ color: MUTED, fontSize: 12 }}>
+                  {poolName(p.pool)} · {fmtInt(p.lower)}–{fmtInt(p.upper)} · {fmtUSD0(p.deposit)}
+                </div>
+              </div>
+              <button style={smallBtn} onClick={() => onLoad(p)}>
+                Load
+              </button>
+              <button style={smallBtn} onClick={() => onUpdate(p)}>
+                Update
+              </button>
+              <button style={smallBtn} onClick={() => onDelete(p)}>
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>No saved positions yet.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React from "react";
+
+import { SWAP_DIRECTIONS } from "../../shared/swap.js";
+import { BORDER, CARD_BG, MUTED, TEXT, SWAP_COLOR, cardStyle, labelStyle } from "./theme.js";
+import { fmtAmount, fmtInt, fmtPct, fmtUSD2 } from "./format.js";
+
+// Ticks listed before the rest are summarised as a count
+const MAX_TICKS_SHOWN = 6;
+
+const selectStyle = {
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: `1px solid ${BORDER}`,
+  background: CARD_BG,
+  color: TEXT,
+  fontWeight: 600,
+};
+
+const inputStyle = {
+  width: "100%",
+  minWidth: 0,
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: `1px solid ${BORDER}`,
+  boxSizing: "border-box",
+};
+
+const stat = (label, value) => (
+  <div key={label}>
+    <div style={labelStyle}>{label}</div>
+    <div style={{ fontWeight: 700 }}>{value}</div>
+  </div>
+);
+
+// A trade walked through the latest tick distribution (see swap.js). The
+// inputs live in the dashboard so the path can be drawn on the price chart.
+export default function SwapSimulator({
+  direction,
+  amountText,
+  onDirection,
+  onAmount,
+  result,
+  pool,
+}) {
+  const symbol0 = pool?.token0.symbol ?? "token0";
+  const symbol1 = pool?.token1.symbol ?? "token1";
+  const [symbolIn, symbolOut] = direction === "sell" ? [symbol1, symbol0] : [symbol0, symbol1];
+  const label = (d) => (d.id === "sell" ? `Sell ${symbol1}` : `Buy ${symbol1}`);
+
+  const crossed = result?.crossed.filter((c) => Number.isFinite(c.tick)) ?? [];
+  const shown = crossed.slice(0, MAX_TICKS_SHOWN).map((c) => c.tick);
+  const moveText = result
+    ? `${result.priceMovePct >= 0 ? "+" : ""}${fmtPct(result.priceMovePct, 2)}`
+    : "";
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Swap simulator</div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "140px 1fr", gap: 8, marginBottom: 12 }}>
+        <select value={direction} onChange={(e) => onDirection(e.target.value)} style={selectStyle}>
+          {SWAP_DIRECTIONS.map((d) => (
+            <option key={d.id} value={d.id}>
+              {label(d)}
+            </option>
+          ))}
+        </select>
+        <input
+          value={amountText}
+          placeholder={`${symbolIn} in`}
+          onChange={(e) => onAmount(e.target.value)}
+          style={inputStyle}
+        />
+      </div>
+
+      {result ? (
+        <>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr",
+              gap: 10,
+              marginBottom: 10,
+            }}
+          >
+            {stat("Receive", `${fmtAmount(result.amountOut, 4)} ${symbolOut}`)}
+            {stat("Execution price (incl. fee)", fmtUSD2(result.executionPrice))}
+            {stat("Price impact (excl. fee)", fmtPct(result.priceImpactPct, 3))}
+            {stat("Pool fee", `${fmtAmount(result.fee, 4)} ${symbolIn}`)}
+            {stat("Price after", `${fmtInt(result.endPrice)} (${moveText})`)}
+          </div>
+          <div style={{ fontSize: 13, color: MUTED }}>
+            Crosses{" "}
+            <b style={{ color: SWAP_COLOR }}>{fmtInt(result.crossed.length)}</b> tick
+            {result.crossed.length === 1 ? "" : "s"}
+            {shown.length ? `: ${shown.join(", ")}` : ""}
+            {crossed.length > shown.length ? ` and ${crossed.length - shown.length} more` : ""}.
+          </div>
+          {result.filled ? null : (
+            <div style={{ marginTop: 8, color: "crimson", fontWeight: 600 }}>
+              The pool runs out of liquidity; {fmtAmount(result.unfilled, 4)} {symbolIn} would
+              not fill.
+            </div>
+          )}
+        </>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          Enter a trade size to walk it through the pool's liquidity.
+        </div>
+      )}
+    </div>
+  );
+}
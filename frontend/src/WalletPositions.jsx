@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+
+import { BORDER, BTN_BG, MUTED, TEXT, cardStyle } from "./theme.js";
+import { fmtAmount, fmtInt, fmtUSD2 } from "./format.js";
+
+const IN_RANGE_COLOR = "#22c55e";
+const OUT_OF_RANGE_COLOR = "#f43f5e";
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+// On-chain positions of one owner. `positions` come from /wallet with value
+// and status already refreshed at the live price for the viewed pool.
+export default function WalletPositions({ owner, positions, error, onImport }) {
+  const [text, setText] = useState(owner);
+  const [inputErr, setInputErr] = useState("");
+
+  const submit = () => {
+    const address = text.trim();
+    if (!ADDRESS_RE.test(address)) {
+      setInputErr("Enter a 0x… wallet address");
+      return;
+    }
+    setInputErr("");
+    onImport(address.toLowerCase());
+  };
+
+  const shownErr = inputErr || error;
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Wallet positions</div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 96px", gap: 8, marginBottom: 12 }}>
+        <input
+          value={text}
+          placeholder="Owner address (0x…)"
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && submit()}
+          style={{
+            width: "100%",
+            minWidth: 0,
+            padding: "8px 10px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            boxSizing: "border-box",
+          }}
+        />
+        <button
+          onClick={submit}
+          style={{
+            borderRadius: 10,
+            border: "none",
+            background: BTN_BG,
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+          }}
+        >
+          Import
+        </button>
+      </div>
+
+      {shownErr ? (
+        <div style={{ marginBottom: 8, color: "crimson", fontWeight: 600 }}>{shownErr}</div>
+      ) : null}
+
+      {positions.length ? (
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            gap: 8,
+            maxHeight: 260,
+            overflowY: "auto",
+          }}
+        >
+          {positions.map((p) => (
+            <div
+              key={p.id}
+              style={{ paddingTop: 8, borderTop: `1px solid ${BORDER}`, fontSize: 13 }}
+            >
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <b style={{ color: TEXT }}>#{p.id}</b>
+                <span style={{ color: MUTED }}>
+                  {p.token0.symbol}/{p.token1.symbol} {(p.feeTier / 10000).toFixed(2)}%
+                </span>
+                <span
+                  style={{
+                    marginLeft: "auto",
+                    fontWeight: 700,
+                    color: p.inRange ? IN_RANGE_COLOR : OUT_OF_RANGE_COLOR,
+                  }}
+                >
+                  {p.inRange ? "In range" : "Out of range"}
+                </span>
+              </div>
+              <div style={{ color: MUTED }}>
+                {fmtInt(p.lower)}–{fmtInt(p.upper)} · value{" "}
+                <b style={{ color: TEXT }}>{fmtUSD2(p.value)}</b>
+              </div>
+              <div style={{ color: MUTED }}>
+                Uncollected {fmtAmount(p.uncollectedFees0, 2)} {p.token0.symbol} +{" "}
+                {fmtAmount(p.uncollectedFees1, 4)} {p.token1.symbol} (
+                <b style={{ color: TEXT }}>{fmtUSD2(p.uncollectedValue)}</b>)
+              </div>
+              <div style={{ color: MUTED }}>
+                Collected {fmtAmount(p.collectedFees0, 2)} {p.token0.symbol} +{" "}
+                {fmtAmount(p.collectedFees1, 4)} {p.token1.symbol}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ color: MUTED, fontWeight: 600 }}>
+          {owner
+            ? "No open positions for this owner."
+            : "Import an owner's positions to chart them."}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// Set VITE_API_BASE_URL at build time (e.g. in frontend/.env.local) to point
+// the dashboard at another backend
+const DEFAULT_API_BASE = "http://localhost:3000";
+export const API_BASE = (import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, "");
+export const POOLS_URL = `${API_BASE}/pools`;
+export const POSITIONS_URL = `${API_BASE}/positions`;
+
+export const poolDataUrl = (address, dataset) => `${POOLS_URL}/${address}/${dataset}`;
+
+// Resampled candles; params: interval, from, to, limit, fields (array)
+export function candlesUrl(address, { fields, ...params } = {}) {
+  const query = new URLSearchParams(params);
+  if (fields) query.set("fields", fields.join(","));
+  return `${API_BASE}/api/pools/${address}/candles?${query}`;
+}
+
+// Tick snapshots; params: from, to, max, include ("ticks" for full distributions)
+export function snapshotsUrl(address, params = {}) {
+  return `${API_BASE}/api/pools/${address}/snapshots?${new URLSearchParams(params)}`;
+}
+
+// Position estimate; params: lower, upper, deposit, entry (defaults to the latest price)
+export function reportUrl(address, params = {}) {
+  return `${API_BASE}/api/pools/${address}/report?${new URLSearchParams(params)}`;
+}
+
+// Data quality report; params: pool, from, to, limit
+export const dataHealthUrl = (params = {}) =>
+  `${API_BASE}/health/data?${new URLSearchParams(params)}`;
+
+async function requestJson(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+  if (res.status === 204) return null;
+
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(body?.error || `HTTP ${res.status} fetching ${url}`);
+  return body;
+}
+
+export const listPositions = () => requestJson(POSITIONS_URL);
+
+export const savePosition = (fields) =>
+  requestJson(POSITIONS_URL, { method: "POST", body: JSON.stringify(fields) });
+
+export const updatePosition = (id, fields) =>
+  requestJson(`${POSITIONS_URL}/${id}`, { method: "PUT", body: JSON.stringify(fields) });
+
+export const deletePosition = (id) =>
+  requestJson(`${POSITIONS_URL}/${id}`, { method: "DELETE" });
+
+// An owner's open on-chain positions, read by the backend from its subgraph
+export const listWalletPositions = (owner) =>
+  requestJson(`${API_BASE}/wallet/${owner}/positions`);
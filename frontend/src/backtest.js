@@ -0,0 +1,67 @@
+// =========================
+//   RANGE BACKTEST
+// =========================
+//
+// Replays a static range over hourly candles. The position is opened at the
+// first candle's price; each hour it earns its active-range share of that
+// hour's pool fees (see feeAttribution.js, the same share the estimator uses),
+// which is zero whenever the price was outside [lower, upper]. Given tick
+// snapshots, each hour is measured against the pool liquidity of its time.
+
+import { createPosition, evaluatePosition } from "../../shared/position.js";
+import { feeShareAt, indexAsOf } from "../../shared/feeAttribution.js";
+
+// `index` is the pool liquidity index from buildLiquidityIndex; `indexes`
+// (optional, { ts, index } per snapshot) take its place when non-empty
+export function runBacktest({ series, lower, upper, deposit, index, indexes }) {
+  if (!Array.isArray(series) || series.length < 2) return null;
+
+  const position = createPosition({
+    deposit,
+    lower,
+    upper,
+    entryPrice: series[0].price,
+  });
+  if (!position) return null;
+
+  let fees = 0;
+  let hoursInRange = 0;
+
+  const rows = series.map((h) => {
+    const inRange = h.price >= lower && h.price <= upper;
+    if (inRange) {
+      hoursInRange++;
+      const hourIndex = indexes?.length ? indexAsOf(indexes, h.ts) : index;
+      const share = feeShareAt(hourIndex, h.price, lower, upper, position.liquidity);
+      if (Number.isFinite(h.feesUSD)) fees += h.feesUSD * share;
+    }
+
+    const ev = evaluatePosition(position, h.price, fees);
+    return {
+      ts: h.ts,
+      price: h.price,
+      inRange,
+      fees,
+      value: ev.value,
+      hodl: ev.hodl,
+      equity: ev.value + fees,
+    };
+  });
+
+  const last = rows[rows.length - 1];
+  const end = evaluatePosition(position, last.price, fees);
+
+  return {
+    position,
+    rows,
+    hours: rows.length,
+    hoursInRange,
+    timeInRangePct: (hoursInRange / rows.length) * 100,
+    fees,
+    il: end.il,
+    finalValue: end.value,
+    finalEquity: last.equity,
+    hodlValue: end.hodl,
+    pnl: end.pnl,
+  };
+}
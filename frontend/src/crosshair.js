@@ -0,0 +1,80 @@
+// =========================
+//   SYNCED CROSSHAIR
+// =========================
+//
+// Charts that share the same x labels draw a vertical line at the hovered
+// index. The hovered chart reports the index through
+// options.plugins.crosshair.onMove(index, chart); the page then pushes it to
+// every linked chart with setCrosshair.
+
+export const crosshairPlugin = {
+  id: "crosshair",
+
+  afterEvent(chart, { event }, opts) {
+    const xScale = chart.scales.x;
+    if (!xScale || !opts?.onMove) return;
+
+    const { left, right, top, bottom } = chart.chartArea;
+    const inside = event.x >= left && event.x <= right && event.y >= top && event.y <= bottom;
+
+    if (event.type === "mouseout" || !inside) {
+      if (chart.$crosshairIndex != null) opts.onMove(null, chart);
+      return;
+    }
+    if (event.type !== "mousemove") return;
+
+    const index = Math.round(xScale.getValueForPixel(event.x));
+    if (index >= xScale.min && index <= xScale.max && index !== chart.$crosshairIndex) {
+      opts.onMove(index, chart);
+    }
+  },
+
+  afterDatasetsDraw(chart) {
+    const index = chart.$crosshairIndex;
+    const xScale = chart.scales.x;
+    if (index == null || !xScale || index < xScale.min || index > xScale.max) return;
+
+    const x = xScale.getPixelForValue(index);
+    const { top, bottom } = chart.chartArea;
+    const { ctx } = chart;
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(148, 163, 184, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
+
+// Moves a chart's crosshair; `tooltip` also shows its index-mode tooltip there
+export function setCrosshair(chart, index, { tooltip = false } = {}) {
+  chart.$crosshairIndex = index;
+
+  if (tooltip && chart.tooltip) {
+    const active =
+      index == null
+        ? []
+        : chart.data.datasets.flatMap((ds, datasetIndex) =>
+            ds.data[index] != null ? [{ datasetIndex, index }] : []
+          );
+    const x = index == null ? 0 : chart.scales.x.getPixelForValue(index);
+    chart.tooltip.setActiveElements(active, { x, y: chart.chartArea.top });
+  }
+
+  chart.draw();
+}
+
+// Copies one chart's x-axis zoom window onto the others
+export function syncZoom(source, charts) {
+  const { min, max } = source.scales.x;
+  for (const chart of charts) {
+    if (chart === source || !chart.zoomScale) continue;
+    const x = chart.scales.x;
+    if (x.min === min && x.max === max) continue;
+    chart.zoomScale("x", { min, max }, "none");
+  }
+}
@@ -0,0 +1,24 @@
+export const fmtInt = (n) =>
+  Number.isFinite(n)
+    ? new Intl.NumberFormat("en-US", { maximumFractionDigits: 0 }).format(n)
+    : "—";
+
+export const fmtUSD0 = (n) =>
+  Number.isFinite(n) ? `$${fmtInt(n)}` : "—";
+
+export const fmtUSD2 = (n) =>
+  Number.isFinite(n)
+    ? new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 2,
+      }).format(n)
+    : "—";
+
+export const fmtPct = (n, digits = 2) =>
+  Number.isFinite(n) ? `${n.toFixed(digits)}%` : "—";
+
+export const fmtAmount = (n, digits = 4) =>
+  Number.isFinite(n)
+    ? new Intl.NumberFormat("en-US", { maximumFractionDigits: digits }).format(n)
+    : "—";
@@ -0,0 +1,175 @@
+// =========================
+//   MONTE CARLO PROJECTION
+// =========================
+//
+// Simulates hourly price paths from now over a horizon and runs the position
+// along each one: it earns its active-range share of the average hourly pool
+// fees (feeAttribution.js) in hours spent inside [lower, upper] and is valued
+// against HODL at the end. Two price models:
+//
+//   gbm        driftless geometric Brownian motion at the realized hourly
+//              volatility (the same assumption as the range optimizer)
+//   bootstrap  hourly log returns resampled with replacement from the loaded
+//              history, keeping its fat tails; returns are demeaned so the
+//              history's trend isn't projected forward
+//
+// Paths are seeded, so the same inputs give the same distribution.
+
+import { createPosition, evaluatePosition } from "../../shared/position.js";
+import { feeShareAt } from "../../shared/feeAttribution.js";
+
+export const MODELS = [
+  { id: "gbm", label: "GBM" },
+  { id: "bootstrap", label: "Bootstrap" },
+];
+
+export const PATH_COUNTS = [1000, 2000, 5000];
+
+// Percentiles kept for the fan chart, per sampled hour
+const FAN_PERCENTILES = [5, 25, 50, 75, 95];
+const MAX_FAN_POINTS = 120;
+
+// mulberry32: small, fast and good enough for sampling paths
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box-Muller; the second variate is dropped to keep the generator stateless
+function normal(rng) {
+  const u = 1 - rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Log returns between consecutive hourly candles exactly an hour apart
+export function hourlyLogReturns(series) {
+  const out = [];
+  for (let i = 1; i < series.length; i++) {
+    const a = series[i - 1];
+    const b = series[i];
+    if (b.ts - a.ts === 3600 && a.price > 0 && b.price > 0) out.push(Math.log(b.price / a.price));
+  }
+  return out;
+}
+
+// Value at percentile `p` (0-100) of an ascending array, interpolated
+function percentileOf(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = ((sorted.length - 1) * p) / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function distribution(values) {
+  const sorted = Float64Array.from(values).sort();
+  const mean = sorted.reduce((acc, v) => acc + v, 0) / sorted.length;
+  return {
+    mean,
+    p5: percentileOf(sorted, 5),
+    p50: percentileOf(sorted, 50),
+    p95: percentileOf(sorted, 95),
+  };
+}
+
+// `returns` are hourly log returns (bootstrap) and `volatility` is annualized
+// (gbm); `index` comes from buildLiquidityIndex. Returns null when the inputs
+// can't describe a position or a price process.
+export function simulateRange({
+  model,
+  price,
+  lower,
+  upper,
+  deposit,
+  volatility,
+  returns,
+  hourlyFees,
+  index,
+  hours,
+  paths,
+  seed = 1,
+}) {
+  if (!(price > 0) || !(lower > 0) || !(upper > lower) || !(deposit > 0) || !(hours > 0)) {
+    return null;
+  }
+  const position = createPosition({ deposit, lower, upper, entryPrice: price });
+  if (!position) return null;
+
+  let step;
+  const rng = createRng(seed);
+  if (model === "bootstrap") {
+    if (!returns?.length) return null;
+    const mean = returns.reduce((acc, r) => acc + r, 0) / returns.length;
+    const demeaned = returns.map((r) => r - mean);
+    step = () => demeaned[Math.floor(rng() * demeaned.length)];
+  } else {
+    if (!(volatility > 0)) return null;
+    const sigma = volatility / Math.sqrt(365 * 24);
+    // Martingale drift so the expected price stays at today's
+    step = () => sigma * normal(rng) - (sigma * sigma) / 2;
+  }
+
+  const feesPerHour = Number.isFinite(hourlyFees) ? hourlyFees : 0;
+  const every = Math.max(1, Math.ceil(hours / MAX_FAN_POINTS));
+  const fanHours = [];
+  for (let h = 0; h <= hours; h += every) fanHours.push(h);
+  if (fanHours[fanHours.length - 1] !== hours) fanHours.push(hours);
+  // fanPrices[k * paths + i] = price of path i at fanHours[k]
+  const fanPrices = new Float64Array(fanHours.length * paths);
+
+  const fees = new Float64Array(paths);
+  const ilUSD = new Float64Array(paths);
+  const timeInRange = new Float64Array(paths);
+  const netReturn = new Float64Array(paths);
+
+  for (let i = 0; i < paths; i++) {
+    let logPrice = Math.log(price);
+    let p = price;
+    let earned = 0;
+    let inRangeHours = 0;
+    fanPrices[i] = price;
+    let k = 1;
+
+    for (let h = 1; h <= hours; h++) {
+      logPrice += step();
+      p = Math.exp(logPrice);
+      // Fees for hour h accrue at the price it ends on
+      if (p >= lower && p <= upper) {
+        inRangeHours++;
+        earned += feesPerHour * feeShareAt(index, p, lower, upper, position.liquidity);
+      }
+      if (fanHours[k] === h) fanPrices[k++ * paths + i] = p;
+    }
+
+    const end = evaluatePosition(position, p, earned);
+    fees[i] = earned;
+    ilUSD[i] = end.hodl - end.value;
+    timeInRange[i] = (inRangeHours / hours) * 100;
+    netReturn[i] = (end.pnl / deposit) * 100;
+  }
+
+  const fan = fanHours.map((hour, k) => {
+    const sorted = fanPrices.subarray(k * paths, (k + 1) * paths).sort();
+    const row = { hour };
+    for (const q of FAN_PERCENTILES) row[`p${q}`] = percentileOf(sorted, q);
+    return row;
+  });
+
+  return {
+    model,
+    paths,
+    hours,
+    position,
+    fees: distribution(fees),
+    ilUSD: distribution(ilUSD),
+    timeInRangePct: distribution(timeInRange),
+    netReturnPct: distribution(netReturn),
+    fan,
+  };
+}
@@ -0,0 +1,140 @@
+// =========================
+//   RANGE OPTIMIZER
+// =========================
+//
+// Scores ranges around the current price over a holding period, assuming
+// driftless lognormal price moves at the pool's realized volatility:
+//
+//   score = expected fees - expected IL
+//
+// expected fees = avg hourly pool fees × the position's share at the current
+//                 price (feeAttribution.js) × hours × expected time in range
+// expected IL   = E[hodl(P_T) - value(P_T)] over the terminal price
+//
+// Candidates are symmetric in log price (lower = P / m, upper = P × m), with
+// widths spanning a fraction to several multiples of the holding period's
+// expected move.
+
+import { createPosition, evaluatePosition } from "../../shared/position.js";
+import { feeShareAt } from "../../shared/feeAttribution.js";
+
+const YEAR = 365 * 24 * 3600;
+
+export const HOLDING_PERIODS = [
+  { id: "1d", label: "1 day", hours: 24 },
+  { id: "7d", label: "7 days", hours: 7 * 24 },
+  { id: "30d", label: "30 days", hours: 30 * 24 },
+];
+
+// Picked as the best score among candidates that are expected to stay in
+// range at least this share of the holding period
+export const PROFILES = [
+  { id: "conservative", label: "Conservative", minTimeInRange: 0.9 },
+  { id: "balanced", label: "Balanced", minTimeInRange: 0.7 },
+  { id: "aggressive", label: "Aggressive", minTimeInRange: 0.4 },
+];
+
+// Annualized stdev of log returns between consecutive points
+export function realizedVolatility(series, periodSeconds) {
+  const returns = [];
+  for (let i = 1; i < series.length; i++) {
+    const a = series[i - 1].price;
+    const b = series[i].price;
+    if (a > 0 && b > 0) returns.push(Math.log(b / a));
+  }
+  if (returns.length < 2) return null;
+
+  const mean = returns.reduce((acc, r) => acc + r, 0) / returns.length;
+  const variance =
+    returns.reduce((acc, r) => acc + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * (YEAR / periodSeconds));
+}
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(x) / Math.SQRT2));
+  const poly =
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Average over the period of P(|log move| <= halfWidth)
+function expectedTimeInRange(halfWidth, sigmaHourly, hours, steps = 24) {
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    const sd = sigmaHourly * Math.sqrt((hours * (i + 0.5)) / steps);
+    sum += sd > 0 ? 2 * normalCdf(halfWidth / sd) - 1 : 1;
+  }
+  return sum / steps;
+}
+
+// E[hodl - value] at the end of the period, on a normal grid over ±4 sd
+function expectedIL(position, price, sigmaPeriod, steps = 81) {
+  let weighted = 0;
+  let weights = 0;
+  for (let i = 0; i < steps; i++) {
+    const z = -4 + (8 * i) / (steps - 1);
+    const w = Math.exp(-(z * z) / 2);
+    // Martingale drift so the expected price stays at `price`
+    const p = price * Math.exp(sigmaPeriod * z - (sigmaPeriod * sigmaPeriod) / 2);
+    const ev = evaluatePosition(position, p);
+    weighted += w * (ev.hodl - ev.value);
+    weights += w;
+  }
+  return weighted / weights;
+}
+
+// `hourlyFees` is the pool's average fees per hour; `index` comes from
+// buildLiquidityIndex. Returns null when the inputs can't be scored.
+export function optimizeRange({
+  price,
+  deposit,
+  volatility,
+  holdingHours,
+  hourlyFees,
+  index,
+  steps = 40,
+}) {
+  if (!(price > 0) || !(deposit > 0) || !(volatility > 0) || !(holdingHours > 0)) return null;
+  if (!Number.isFinite(hourlyFees) || !index.length) return null;
+
+  const sigmaHourly = volatility * Math.sqrt(3600 / YEAR);
+  const sigmaPeriod = sigmaHourly * Math.sqrt(holdingHours);
+
+  const candidates = [];
+  for (let i = 0; i < steps; i++) {
+    // 0.1x to 4x the expected move, denser at the narrow end
+    const halfWidth = sigmaPeriod * 0.1 * 40 ** (i / (steps - 1));
+    const lower = price * Math.exp(-halfWidth);
+    const upper = price * Math.exp(halfWidth);
+    const position = createPosition({ deposit, lower, upper, entryPrice: price });
+    if (!position) continue;
+
+    const share = feeShareAt(index, price, lower, upper, position.liquidity);
+    const timeInRange = expectedTimeInRange(halfWidth, sigmaHourly, holdingHours);
+    const fees = hourlyFees * share * holdingHours * timeInRange;
+    const il = expectedIL(position, price, sigmaPeriod);
+    const score = fees - il;
+
+    candidates.push({
+      lower,
+      upper,
+      widthPct: (upper / price - 1) * 100,
+      timeInRange,
+      fees,
+      il,
+      score,
+      aprPct: (score / deposit) * (YEAR / (holdingHours * 3600)) * 100,
+    });
+  }
+
+  const suggestions = PROFILES.map((profile) => {
+    const best = candidates
+      .filter((c) => c.timeInRange >= profile.minTimeInRange)
+      .reduce((a, c) => (!a || c.score > a.score ? c : a), null);
+    return best ? { ...profile, ...best } : null;
+  }).filter(Boolean);
+
+  return { candidates, suggestions, sigmaPeriod };
+}
@@ -0,0 +1,72 @@
+// =========================
+//   PORTFOLIO
+// =========================
+//
+// Saved positions valued together, each at its own pool's current price.
+// Deposits and values are in each pool's token0 (the quote currency), so the
+// USD totals assume pools quoted in dollars; token exposure is summed per
+// symbol, so the same token held through two pools adds up.
+
+import { createPosition, evaluatePosition } from "../../shared/position.js";
+
+// A saved position at `price`, or null until the pool's price is known. A
+// position saved without an entry price is taken as entered now.
+export function valueHolding({ lower, upper, deposit, entryPrice }, price) {
+  if (!(price > 0)) return null;
+  const position = createPosition({ deposit, lower, upper, entryPrice: entryPrice ?? price });
+  if (!position) return null;
+  const { amount0, amount1, value } = evaluatePosition(position, price);
+  return {
+    price,
+    liquidity: position.liquidity,
+    amount0,
+    amount1,
+    value,
+    inRange: price >= lower && price <= upper,
+  };
+}
+
+// `holdings` are { deposit, aprPct, token0, token1, valued } with `valued`
+// from valueHolding (or null) and token0/token1 the pool's symbols.
+// The blended APR weights each estimate by its deposit.
+export function summarizePortfolio(holdings) {
+  let deposit = 0;
+  let value = 0;
+  let inRangeValue = 0;
+  let inRangeCount = 0;
+  let aprDeposit = 0;
+  let aprWeighted = 0;
+  let pending = 0;
+  const exposure = new Map();
+  const expose = (symbol, amount) => exposure.set(symbol, (exposure.get(symbol) ?? 0) + amount);
+
+  for (const h of holdings) {
+    deposit += h.deposit;
+    if (Number.isFinite(h.aprPct)) {
+      aprDeposit += h.deposit;
+      aprWeighted += h.aprPct * h.deposit;
+    }
+    if (!h.valued) {
+      pending++;
+      continue;
+    }
+    value += h.valued.value;
+    if (h.valued.inRange) {
+      inRangeValue += h.valued.value;
+      inRangeCount++;
+    }
+    expose(h.token0, h.valued.amount0);
+    expose(h.token1, h.valued.amount1);
+  }
+
+  return {
+    count: holdings.length,
+    pending,
+    deposit,
+    value,
+    inRangeValue,
+    inRangeCount,
+    aprPct: aprDeposit > 0 ? aprWeighted / aprDeposit : null,
+    exposure: [...exposure].map(([symbol, amount]) => ({ symbol, amount })),
+  };
+}
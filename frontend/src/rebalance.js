@@ -0,0 +1,147 @@
+// =========================
+//   REBALANCING SIMULATOR
+// =========================
+//
+// Replays the hourly candles like the range backtest (backtest.js), but lets
+// a rule move the range. Each hour the position first earns its active-range
+// share of that hour's fees, then the rule is checked at the hour's price:
+//
+//   recenter  re-center at ±widthPct once the price has been outside the
+//             range for `outHours` consecutive hours
+//   edge      re-center at ±widthPct as soon as the price is within
+//             `edgePct` of the range's width from either bound (or outside)
+//
+// A rebalance withdraws the position at the current price, swaps the part of
+// it the new range needs in the other token and deposits what is left.
+// Each one costs `gasUSD` plus `swapPct` of the swapped value (pool fee and
+// slippage). Fees are collected on the side and never compounded, so they
+// compare directly with the static backtest.
+
+import { createPosition, evaluatePosition } from "../../shared/position.js";
+import { feeShareAt, indexAsOf } from "../../shared/feeAttribution.js";
+import { snapBounds } from "../../shared/bounds.js";
+import { runBacktest } from "./backtest.js";
+
+export const STRATEGIES = [
+  { id: "recenter", label: "Re-center after hours out of range" },
+  { id: "edge", label: "Rebalance near a bound" },
+];
+
+// Range of ±widthPct around `price`, on usable ticks when `tickSpec` is known
+function centeredRange(price, widthPct, tickSpec) {
+  const lower = price * (1 - widthPct / 100);
+  const upper = price * (1 + widthPct / 100);
+  const snapped = snapBounds(lower, upper, tickSpec);
+  return snapped ? { lower: snapped.lower.price, upper: snapped.upper.price } : { lower, upper };
+}
+
+function shouldRebalance(strategy, price, { lower, upper }, hoursOut) {
+  if (strategy.type === "edge") {
+    const margin = ((upper - lower) * strategy.edgePct) / 100;
+    return price <= lower + margin || price >= upper - margin;
+  }
+  return hoursOut >= strategy.outHours;
+}
+
+// `strategy` is { type, widthPct, outHours, edgePct }; the first range is
+// [lower, upper] opened at the first candle, as in runBacktest. Returns the
+// strategy's run next to the passive backtest and HODL of the opening
+// amounts, or null when the inputs can't describe a position.
+export function simulateRebalancing({
+  series,
+  lower,
+  upper,
+  deposit,
+  index,
+  indexes,
+  tickSpec,
+  strategy,
+  gasUSD = 0,
+  swapPct = 0,
+}) {
+  if (!Array.isArray(series) || series.length < 2) return null;
+  if (!(strategy?.widthPct > 0) || !(strategy.widthPct < 100)) return null;
+  if (strategy.type === "edge" && !(strategy.edgePct > 0 && strategy.edgePct < 50)) return null;
+  if (strategy.type !== "edge" && !(strategy.outHours >= 1)) return null;
+
+  const passive = runBacktest({ series, lower, upper, deposit, index, indexes });
+  if (!passive) return null;
+
+  let position = passive.position;
+  let fees = 0;
+  let costs = 0;
+  let hoursOut = 0;
+  let hoursInRange = 0;
+  const events = [];
+
+  const rows = series.map((h) => {
+    const inRange = h.price >= position.lower && h.price <= position.upper;
+    if (inRange) {
+      hoursInRange++;
+      hoursOut = 0;
+      const hourIndex = indexes?.length ? indexAsOf(indexes, h.ts) : index;
+      const { lower: lo, upper: hi, liquidity } = position;
+      const share = feeShareAt(hourIndex, h.price, lo, hi, liquidity);
+      if (Number.isFinite(h.feesUSD)) fees += h.feesUSD * share;
+    } else {
+      hoursOut++;
+    }
+
+    if (shouldRebalance(strategy, h.price, position, hoursOut)) {
+      const range = centeredRange(h.price, strategy.widthPct, tickSpec);
+      const held = evaluatePosition(position, h.price);
+      // Sized on the withdrawn value; the costs are small next to it
+      const target = createPosition({ deposit: held.value, ...range, entryPrice: h.price });
+      const swapped = target ? Math.abs(held.amount1 - target.amount1) * h.price : 0;
+      const cost = gasUSD + (swapped * swapPct) / 100;
+      const next = createPosition({
+        deposit: held.value - cost,
+        ...range,
+        entryPrice: h.price,
+      });
+      if (next) {
+        costs += cost;
+        hoursOut = 0;
+        position = next;
+        events.push({ ts: h.ts, price: h.price, ...range, swapped, cost });
+      }
+    }
+
+    const value = evaluatePosition(position, h.price).value;
+    return { ts: h.ts, price: h.price, inRange, fees, value, equity: value + fees };
+  });
+
+  const last = rows[rows.length - 1];
+  const passiveRows = passive.rows;
+
+  return {
+    strategy: {
+      rows,
+      events,
+      rebalances: events.length,
+      hoursInRange,
+      timeInRangePct: (hoursInRange / rows.length) * 100,
+      fees,
+      costs,
+      finalValue: last.value,
+      finalEquity: last.equity,
+      pnl: last.equity - deposit,
+      range: { lower: position.lower, upper: position.upper },
+    },
+    passive: {
+      rows: passiveRows,
+      rebalances: 0,
+      timeInRangePct: passive.timeInRangePct,
+      fees: passive.fees,
+      costs: 0,
+      finalValue: passive.finalValue,
+      finalEquity: passive.finalEquity,
+      pnl: passive.pnl,
+    },
+    hodl: {
+      rows: passiveRows.map((r) => ({ ts: r.ts, equity: r.hodl })),
+      finalEquity: passive.hodlValue,
+      pnl: passive.hodlValue - deposit,
+    },
+  };
+}
@@ -7,46 +7,78 @@ import {
   LinearScale,
   PointElement,
   LineElement,
+  BarController,
+  BarElement,
+  Filler,
   Tooltip,
 } from "chart.js";
 
 import zoomPlugin from "chartjs-plugin-zoom";
 
-const HOURLY_URL = "http://localhost:3000/data/hourly.json";
-const DAILY_URL = "http://localhost:3000/data/daily.json";
-const TICKS_URL = "http://localhost:3000/data/ticks.json";
-
-// FANCY THEME: neon
-const APP_BG = "radial-gradient(1200px 600px at 50% -20%, #0ea5e9, transparent), #020617";
-const CARD_BG = "linear-gradient(180deg, #0b1220, #020617)";
-const BORDER = "#1e293b";
-const TITLE = "#e5e7eb";
-const TEXT = "#e5e7eb";
-const MUTED = "#94a3b8";
-const BTN_BG = "linear-gradient(135deg, #38bdf8, #22d3ee)";
-const LINE_COLOR = "#e5e7eb";
-const CARD_GLOW = "0 0 0 1px rgba(56,189,248,0.25), 0 20px 40px rgba(56,189,248,0.14)";
-const ACTIVE_BG = "rgba(56, 189, 248, 0.14)";
+import {
+  APP_BG,
+  CARD_BG,
+  BORDER,
+  TITLE,
+  TEXT,
+  MUTED,
+  BTN_BG,
+  LINE_COLOR,
+  CARD_GLOW,
+  ACTIVE_BG,
+  BAND_COLORS,
+  WALLET_COLOR,
+  SWAP_COLOR,
+  cardStyle,
+  labelStyle,
+} from "./theme.js";
+import { fmtAmount, fmtInt, fmtPct, fmtUSD0, fmtUSD2 } from "./format.js";
+import { runBacktest } from "./backtest.js";
+import { buildLiquidityIndex } from "../../shared/feeAttribution.js";
+import { estimateFees, liquidityInRange, positionReport, tickOverlapsRange } from "../../shared/estimate.js";
+import { snapBounds, snapToTick, tickSpecForPool } from "../../shared/bounds.js";
+import { valueHolding } from "./portfolio.js";
+import { amountsForLiquidity, liquidityFromRaw } from "../../shared/position.js";
+import { formatUrlState, parseUrlState } from "./urlState.js";
+import PositionCurve from "./PositionCurve.jsx";
+import FeeChart from "./FeeChart.jsx";
+import { crosshairPlugin, setCrosshair, syncZoom } from "./crosshair.js";
+import SavedPositions from "./SavedPositions.jsx";
+import RangeOptimizer from "./RangeOptimizer.jsx";
+import ExportPanel from "./ExportPanel.jsx";
+import LiquidityMigration from "./LiquidityMigration.jsx";
+import DataQualityBadge from "./DataQualityBadge.jsx";
+import MonteCarlo from "./MonteCarlo.jsx";
+import Portfolio from "./Portfolio.jsx";
+import Rebalancer from "./Rebalancer.jsx";
+import WalletPositions from "./WalletPositions.jsx";
+import SwapSimulator from "./SwapSimulator.jsx";
+import { simulateSwap } from "../../shared/swap.js";
+import {
+  POOLS_URL,
+  poolDataUrl,
+  candlesUrl,
+  snapshotsUrl,
+  dataHealthUrl,
+  reportUrl,
+  listPositions,
+  savePosition,
+  updatePosition,
+  deletePosition,
+  listWalletPositions,
+} from "./api.js";
+
+const EQUITY_COLOR = "#22c55e";
+const CANDLE_UP = "#22c55e";
+const CANDLE_DOWN = "#f43f5e";
+// Tick snapshots loaded for the chart window (backtest, liquidity as-of,
+// migration card)
+const MAX_SNAPSHOTS = 24;
+// Imported wallet positions are refetched this often for their fees
+const WALLET_REFRESH_MS = 60 * 1000;
 
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
-const fmtInt = (n) =>
-  Number.isFinite(n)
-    ? new Intl.NumberFormat("en-US", { maximumFractionDigits: 0 }).format(n)
-    : "—";
-
-const fmtUSD0 = (n) =>
-  Number.isFinite(n) ? `$${fmtInt(n)}` : "—";
-
-const fmtUSD2 = (n) =>
-  Number.isFinite(n)
-    ? new Intl.NumberFormat("en-US", {
-        style: "currency",
-        currency: "USD",
-        maximumFractionDigits: 2,
-      }).format(n)
-    : "—";
-
 const formatHour = (unixSec) => {
   const d = new Date(unixSec * 1000);
   const mm = String(d.getMonth() + 1).padStart(2, "0");
@@ -81,6 +113,60 @@ function extractPrice(d) {
   return NaN;
 }
 
+// Subgraph OHLC is in token0Price terms too; empty fields fall back to the price
+function extractOhlc(d, price) {
+  const pick = (v) => (Number(v) > 0 ? Number(v) : price);
+  return { open: pick(d.open), high: pick(d.high), low: pick(d.low), close: pick(d.close) };
+}
+
+// /api candles carry `timestamp`; rows pushed by the feed keep their file's
+// key (periodStartUnix in hourly.json, dayStartUnix in daily.json), which
+// also picks the label format
+const CANDLE_LABELS = { periodStartUnix: formatHour, dayStartUnix: formatDay };
+
+function mapCandleRow(d, tsKey) {
+  const ts = Number(d.timestamp ?? d[tsKey]);
+  const price = extractPrice(d);
+  const feesUSD = Number(d.feesUSD);
+  const volumeUSD = Number(d.volumeUSD);
+  const tvlUSD = Number(d.tvlUSD);
+  if (!Number.isFinite(ts) || !Number.isFinite(price)) return null;
+  return {
+    ts,
+    label: CANDLE_LABELS[tsKey](ts),
+    price,
+    ...extractOhlc(d, price),
+    feesUSD: Number.isFinite(feesUSD) ? feesUSD : null,
+    volumeUSD: Number.isFinite(volumeUSD) ? volumeUSD : null,
+    tvlUSD: Number.isFinite(tvlUSD) ? tvlUSD : null,
+  };
+}
+
+function mapTicks(arr) {
+  return arr
+    .map((t) => ({
+      tickLower: Number(t.tickLower),
+      tickUpper: Number(t.tickUpper),
+      priceLowerUSD: Number(t.priceLowerUSD),
+      priceUpperUSD: Number(t.priceUpperUSD),
+      usdValue: Number(t.usdValue),
+    }))
+    .filter(
+      (t) =>
+        Number.isFinite(t.priceLowerUSD) &&
+        Number.isFinite(t.priceUpperUSD) &&
+        Number.isFinite(t.usdValue)
+    );
+}
+
+// Insert streamed rows, replacing any with the same timestamp (a candle that
+// is still open gets re-sent as its fees accumulate)
+function mergeByTs(prev, rows) {
+  const byTs = new Map(prev.map((r) => [r.ts, r]));
+  for (const r of rows) byTs.set(r.ts, r);
+  return [...byTs.values()].sort((a, b) => a.ts - b.ts);
+}
+
 function computeYRange(values, padFrac = 0.06) {
   if (!values || values.length === 0) return { min: undefined, max: undefined };
   let lo = Infinity,
@@ -104,6 +190,24 @@ function computeYRange(values, padFrac = 0.06) {
 // =========================
 //   PLUGIN: BOUNDS + CURSOR
 // =========================
+//
+// chart.$lines holds draggable bound lines. Each names its `band` and `edge`
+// ("upper" / "lower"); the two edges of a band keep their order while dragged
+// and the band is shaded in its `fill`. `locked` lines can't be dragged and
+// `dash` draws them dashed.
+
+const BAND_FILL = "rgba(99, 102, 241, 0.12)";
+
+// Pairs the lines into { upper, lower } per band, in first-seen order
+function bandsOf(lines) {
+  const bands = new Map();
+  for (const line of lines ?? []) {
+    if (!bands.has(line.band)) bands.set(line.band, {});
+    bands.get(line.band)[line.edge] = line;
+  }
+  return [...bands.values()].filter((b) => b.upper && b.lower);
+}
+
 const rangeAndCursorPlugin = {
   id: "rangeAndCursor",
 
@@ -117,11 +221,12 @@ const rangeAndCursorPlugin = {
 
     if (!lines || !yScale || !chartArea) return;
 
+    // The price scale's own extent, which excludes the volume panel below it
     const inside =
       event.x >= chartArea.left &&
       event.x <= chartArea.right &&
-      event.y >= chartArea.top &&
-      event.y <= chartArea.bottom;
+      event.y >= yScale.top &&
+      event.y <= yScale.bottom;
 
     if (!state.dragging && event.type === "mousemove" && inside) {
       chart.$cursorY = event.y;
@@ -137,6 +242,7 @@ const rangeAndCursorPlugin = {
 
     if (event.type === "mousedown" && inside) {
       for (const line of [...lines].reverse()) {
+        if (line.locked) continue;
         const lineY = yScale.getPixelForValue(line.value);
         if (Math.abs(event.y - lineY) < 6) {
           state.dragging = line;
@@ -151,15 +257,15 @@ const rangeAndCursorPlugin = {
       const axisMin = Number.isFinite(yScale.min) ? yScale.min : newVal;
       const axisMax = Number.isFinite(yScale.max) ? yScale.max : newVal;
       newVal = clamp(newVal, axisMin, axisMax);
+      // Follow the pool's usable ticks while dragging
+      if (state.dragging.snap) newVal = state.dragging.snap(newVal);
 
-      const upper = lines.find((l) => l.label === "Upper Bound");
-      const lower = lines.find((l) => l.label === "Lower Bound");
+      const { dragging } = state;
+      const other = lines.find((l) => l.band === dragging.band && l !== dragging);
 
-      if (state.dragging.label === "Upper Bound") {
-        state.dragging.value = Math.max(newVal, lower.value);
-      } else {
-        state.dragging.value = Math.min(newVal, upper.value);
-      }
+      if (!other) dragging.value = newVal;
+      else if (dragging.edge === "upper") dragging.value = Math.max(newVal, other.value);
+      else dragging.value = Math.min(newVal, other.value);
 
       chart.draw();
     }
@@ -179,26 +285,35 @@ const rangeAndCursorPlugin = {
 
     if (!lines || !yScale || !xScale) return;
 
-    const upper = lines.find((l) => l.label === "Upper Bound");
-    const lower = lines.find((l) => l.label === "Lower Bound");
+    const bands = bandsOf(lines);
 
     const left = xScale.left;
     const right = xScale.right;
 
-    const yUpper = yScale.getPixelForValue(upper.value);
-    const yLower = yScale.getPixelForValue(lower.value);
-
+    // Keep bounds zoomed off-scale from drawing over the volume panel
     ctx.save();
-    ctx.fillStyle = "rgba(99, 102, 241, 0.12)";
-    ctx.fillRect(left, yUpper, right - left, yLower - yUpper);
-    ctx.restore();
+    ctx.beginPath();
+    ctx.rect(left, yScale.top, right - left, yScale.bottom - yScale.top);
+    ctx.clip();
+
+    for (const band of bands) {
+      const yUpper = yScale.getPixelForValue(band.upper.value);
+      const yLower = yScale.getPixelForValue(band.lower.value);
+      ctx.save();
+      ctx.fillStyle = band.upper.fill ?? BAND_FILL;
+      ctx.fillRect(left, yUpper, right - left, yLower - yUpper);
+      ctx.restore();
+    }
 
     for (const line of lines) {
       const y = yScale.getPixelForValue(line.value);
+      // Labels of several bands are spread across the width so they don't stack
+      const slot = bands.findIndex((b) => b.upper.band === line.band);
 
       ctx.save();
       ctx.strokeStyle = line.color;
       ctx.lineWidth = 2;
+      if (line.dash) ctx.setLineDash(line.dash);
       ctx.beginPath();
       ctx.moveTo(left, y);
       ctx.lineTo(right, y);
@@ -207,7 +322,7 @@ const rangeAndCursorPlugin = {
       const labelWidth = 118;
       const labelHeight = 24;
       const radius = 12;
-      const midX = (left + right) / 2;
+      const midX = left + ((right - left) * (slot + 1)) / (bands.length + 1);
       const x = midX - labelWidth / 2;
       const yBox = y - labelHeight / 2;
 
@@ -272,8 +387,8 @@ const rangeAndCursorPlugin = {
       const x0 = left + 6;
       const y0 = y - h / 2;
 
-      const top = chart.chartArea.top;
-      const bottom = chart.chartArea.bottom;
+      const top = yScale.top;
+      const bottom = yScale.bottom;
       const yClamped = Math.max(top, Math.min(bottom - h, y0));
 
       const r = 9;
@@ -297,6 +412,223 @@ const rangeAndCursorPlugin = {
       ctx.fillText(text, x0 + w / 2, yClamped + h / 2);
       ctx.restore();
     }
+
+    ctx.restore();
+  },
+};
+
+// =========================
+//   PLUGIN: CANDLESTICKS
+// =========================
+// Draws chart.$candles ({ open, high, low, close } per label) on the price
+// scale. The price line dataset stays in the chart for the x labels and
+// tooltip but is not stroked in this mode.
+const candlestickPlugin = {
+  id: "candlestick",
+
+  beforeDatasetsDraw(chart) {
+    const candles = chart.$candles;
+    const xScale = chart.scales.x;
+    const yScale = chart.scales.y;
+    if (!candles?.length || !xScale || !yScale) return;
+
+    const { ctx } = chart;
+    const slot = xScale.width / candles.length;
+    const bodyW = Math.max(1, Math.min(14, slot * 0.6));
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(xScale.left, yScale.top, xScale.width, yScale.bottom - yScale.top);
+    ctx.clip();
+
+    candles.forEach((c, i) => {
+      const x = xScale.getPixelForValue(i);
+      const yHigh = yScale.getPixelForValue(c.high);
+      const yLow = yScale.getPixelForValue(c.low);
+      const yOpen = yScale.getPixelForValue(c.open);
+      const yClose = yScale.getPixelForValue(c.close);
+      const color = c.close >= c.open ? CANDLE_UP : CANDLE_DOWN;
+
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, yHigh);
+      ctx.lineTo(x, yLow);
+      ctx.stroke();
+
+      const top = Math.min(yOpen, yClose);
+      ctx.fillRect(x - bodyW / 2, top, bodyW, Math.max(1, Math.abs(yClose - yOpen)));
+    });
+
+    ctx.restore();
+  },
+};
+
+// =========================
+//   PLUGIN: LIQUIDITY DEPTH
+// =========================
+// Horizontal histogram of tick usdValue drawn in the chart's right padding, so
+// it shares the price y-axis (including zoom). The slice between the bound
+// lines is highlighted from their live values, so it follows a drag. A
+// simulated swap (chart.$swap, from simulateSwap) is drawn over it.
+const DEPTH_WIDTH = 150;
+const DEPTH_BUCKETS = 60;
+
+function depthBuckets(ticks, lo, hi, n) {
+  const step = (hi - lo) / n;
+  const sums = new Array(n).fill(0);
+  if (!(step > 0)) return { sums, step };
+
+  for (const t of ticks) {
+    const tLo = Math.min(t.priceLowerUSD, t.priceUpperUSD);
+    const tHi = Math.max(t.priceLowerUSD, t.priceUpperUSD);
+    const span = tHi - tLo;
+    if (!(span > 0) || tHi <= lo || tLo >= hi) continue;
+
+    // Spread the tick's value over the buckets it overlaps, by price overlap
+    const a = Math.max(tLo, lo);
+    const b = Math.min(tHi, hi);
+    const i0 = Math.floor((a - lo) / step);
+    const i1 = Math.min(n - 1, Math.floor((b - lo) / step));
+    for (let i = i0; i <= i1; i++) {
+      const overlap = Math.min(b, lo + (i + 1) * step) - Math.max(a, lo + i * step);
+      if (overlap > 0) sums[i] += (t.usdValue * overlap) / span;
+    }
+  }
+  return { sums, step };
+}
+
+// The price span the swap moves through over the depth bars, a line per tick
+// range boundary it crosses and a dashed line at the post-swap price
+function drawSwapPath(chart, left, maxW) {
+  const swap = chart.$swap;
+  const yScale = chart.scales.y;
+  const { ctx, chartArea } = chart;
+  const { top, bottom } = yScale;
+  const yStart = yScale.getPixelForValue(swap.startPrice);
+  const yEnd = yScale.getPixelForValue(swap.endPrice);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(chartArea.left, top, left + maxW - chartArea.left, bottom - top);
+  ctx.clip();
+
+  ctx.fillStyle = `${SWAP_COLOR}33`;
+  ctx.fillRect(left, Math.min(yStart, yEnd), maxW, Math.abs(yEnd - yStart));
+
+  ctx.strokeStyle = `${SWAP_COLOR}99`;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (const c of swap.crossed) {
+    const y = Math.round(yScale.getPixelForValue(c.price)) + 0.5;
+    ctx.moveTo(left, y);
+    ctx.lineTo(left + maxW, y);
+  }
+  ctx.stroke();
+
+  // Arrow from the starting price to where the swap leaves it
+  const x = left + 4;
+  const dir = Math.sign(yEnd - yStart) || 1;
+  ctx.strokeStyle = SWAP_COLOR;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, yStart);
+  ctx.lineTo(x, yEnd);
+  ctx.moveTo(x - 4, yEnd - dir * 6);
+  ctx.lineTo(x, yEnd);
+  ctx.lineTo(x + 4, yEnd - dir * 6);
+  ctx.stroke();
+
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(chartArea.left, yEnd);
+  ctx.lineTo(chartArea.right, yEnd);
+  ctx.stroke();
+
+  const move = swap.priceMovePct;
+  ctx.fillStyle = SWAP_COLOR;
+  ctx.textAlign = "left";
+  ctx.textBaseline = dir > 0 ? "top" : "bottom";
+  ctx.font = "600 11px Inter";
+  ctx.fillText(
+    `After swap ${fmtInt(swap.endPrice)} (${move >= 0 ? "+" : ""}${move.toFixed(2)}%)`,
+    chartArea.left + 6,
+    yEnd + dir * 4
+  );
+  ctx.restore();
+}
+
+const liquidityDepthPlugin = {
+  id: "liquidityDepth",
+
+  afterDraw(chart) {
+    const ticks = chart.$depthTicks;
+    const yScale = chart.scales.y;
+    if (!ticks?.length || !yScale) return;
+
+    const { ctx } = chart;
+    const left = chart.width - DEPTH_WIDTH + 12;
+    const right = chart.width - 6;
+    const maxW = right - left;
+    const { top, bottom } = yScale;
+
+    const { sums, step } = depthBuckets(ticks, yScale.min, yScale.max, DEPTH_BUCKETS);
+    const max = Math.max(...sums);
+
+    const drawBars = (color) => {
+      ctx.fillStyle = color;
+      sums.forEach((v, i) => {
+        if (!(v > 0) || !(max > 0)) return;
+        const y0 = yScale.getPixelForValue(yScale.min + (i + 1) * step);
+        const y1 = yScale.getPixelForValue(yScale.min + i * step);
+        ctx.fillRect(left, y0 + 0.5, (v / max) * maxW, Math.max(1, y1 - y0 - 1));
+      });
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, maxW, bottom - top);
+    ctx.clip();
+    drawBars("rgba(148, 163, 184, 0.35)");
+    ctx.restore();
+
+    const bands = bandsOf(chart.$lines);
+    if (!bands.length) {
+      if (chart.$swap) drawSwapPath(chart, left, maxW);
+      return;
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    for (const { upper, lower } of bands) {
+      const yUpper = clamp(yScale.getPixelForValue(upper.value), top, bottom);
+      const yLower = clamp(yScale.getPixelForValue(lower.value), top, bottom);
+      ctx.rect(left, yUpper, maxW, yLower - yUpper);
+    }
+    ctx.clip();
+    drawBars("rgba(56, 189, 248, 0.85)");
+    ctx.restore();
+
+    // Ticks under overlapping bands are counted once
+    const ranges = bands.map(({ upper, lower }) => normalizeRange(lower.value, upper.value));
+    let inRange = 0;
+    for (const t of ticks) {
+      if (ranges.some(({ lo, hi }) => tickOverlapsRange(t, lo, hi))) inRange += t.usdValue;
+    }
+
+    ctx.save();
+    ctx.fillStyle = MUTED;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.font = "600 11px Inter";
+    ctx.fillText("Liquidity depth", left, bottom + 6);
+    ctx.fillStyle = TEXT;
+    ctx.fillText(`In range ${fmtUSD0(inRange)}`, left, bottom + 20);
+    ctx.restore();
+
+    if (chart.$swap) drawSwapPath(chart, left, maxW);
   },
 };
 
@@ -305,9 +637,14 @@ ChartJS.register(
   LinearScale,
   PointElement,
   LineElement,
+  BarController,
+  BarElement,
+  Filler,
   Tooltip,
   zoomPlugin,
-  rangeAndCursorPlugin
+  candlestickPlugin,
+  rangeAndCursorPlugin,
+  liquidityDepthPlugin
 );
 
 const TIMEFRAMES = [
@@ -318,89 +655,260 @@ const TIMEFRAMES = [
   { id: "1y", label: "Yearly", source: "daily", count: 365 },
 ];
 
+// Hourly history loaded by default: the 30 days ingest keeps, for the hourly
+// views, estimator, volatility and Monte Carlo. A daily window reaching further
+// back loads hourly candles from its start, for the backtest. Daily covers the
+// 1y view.
+const HOURLY_LIMIT = 30 * 24;
+const DAILY_LIMIT = 365;
+const CANDLE_FIELDS = ["price", "open", "high", "low", "close", "feesUSD", "volumeUSD", "tvlUSD"];
+
+const CHART_MODES = [
+  { id: "line", label: "Line" },
+  { id: "candles", label: "Candles" },
+];
+
+const poolLabel = (p) =>
+  `${p.token0.symbol}/${p.token1.symbol} ${(p.feeTier / 10000).toFixed(2)}%`;
+
 function normalizeRange(a, b) {
   const lo = Math.min(a, b);
   const hi = Math.max(a, b);
   return { lo, hi };
 }
 
-// Include ticks whose price interval overlaps [rangeLo, rangeHi]
-function tickOverlapsRange(tick, rangeLo, rangeHi) {
-  const pl = Number(tick.priceLowerUSD);
-  const pu = Number(tick.priceUpperUSD);
-  if (!Number.isFinite(pl) || !Number.isFinite(pu)) return false;
-  const lo = Math.min(pl, pu);
-  const hi = Math.max(pl, pu);
-  return hi >= rangeLo && lo <= rangeHi;
+// URL params checked against what the dashboard supports, with defaults
+function dashboardStateFromUrl(search) {
+  const s = parseUrlState(search);
+  return {
+    pool: s.pool ?? "",
+    view: TIMEFRAMES.some((t) => t.id === s.view) ? s.view : "7d",
+    mode: CHART_MODES.some((m) => m.id === s.mode) ? s.mode : "line",
+    bounds: s.lower && s.upper ? { lower: s.lower, upper: s.upper } : null,
+    deposit: s.deposit ?? "1000",
+    entry: s.entry ?? "",
+  };
 }
 
 export default function Test() {
   const chartRef = useRef(null);
+  const feeChartRef = useRef(null);
+
+  // Read once; later URL changes arrive through popstate
+  const [initialState] = useState(() => dashboardStateFromUrl(window.location.search));
 
   const [hourlyAll, setHourlyAll] = useState([]);
+  // Start of the hourly candles to load, once a window needs more than the default
+  const [hourlyFrom, setHourlyFrom] = useState(null);
   const [dailyAll, setDailyAll] = useState([]);
   const [ticksAll, setTicksAll] = useState([]);
-
-  const [view, setView] = useState("7d");
+  // Point-in-time tick distributions covering the chart window, oldest first
+  const [snapshots, setSnapshots] = useState([]);
+  const [liquidityAsOf, setLiquidityAsOf] = useState("latest");
+  // /health/data report for the pool, limited to the chart window
+  const [dataHealth, setDataHealth] = useState(null);
+
+  const [pools, setPools] = useState([]);
+  const [poolAddress, setPoolAddress] = useState(initialState.pool);
+
+  const [view, setView] = useState(initialState.view);
+  const [chartMode, setChartMode] = useState(initialState.mode);
+  const [backtestOn, setBacktestOn] = useState(false);
+  const [portfolioOn, setPortfolioOn] = useState(false);
   const [loadErr, setLoadErr] = useState("");
+  const [alerts, setAlerts] = useState([]);
 
-  const didInitBoundsRef = useRef(false);
-  const [upperValue, setUpperValue] = useState(1000);
-  const [lowerValue, setLowerValue] = useState(-1000);
+  // Bounds from a shared link take the place of the ±5% default
+  const didInitBoundsRef = useRef(initialState.bounds != null);
+  const [upperValue, setUpperValue] = useState(initialState.bounds?.upper ?? 1000);
+  const [lowerValue, setLowerValue] = useState(initialState.bounds?.lower ?? -1000);
 
   const [upperText, setUpperText] = useState("1000");
   const [lowerText, setLowerText] = useState("-1000");
 
-  const [depositText, setDepositText] = useState("1000");
+  const [depositText, setDepositText] = useState(initialState.deposit);
+  const [entryText, setEntryText] = useState(initialState.entry);
+  const [linkCopied, setLinkCopied] = useState(false);
 
-  const [calcRequested, setCalcRequested] = useState(false);
-  const [estFeesWeekly, setEstFeesWeekly] = useState("—");
-  const [estFeesDaily, setEstFeesDaily] = useState("—");
-  const [estApr, setEstApr] = useState("—");
+  // Inputs captured by Calculate; the estimate itself is derived from them so
+  // it follows live data without another click
+  const [calcInputs, setCalcInputs] = useState(null);
+
+  const [savedPositions, setSavedPositions] = useState([]);
+  const [activePositionId, setActivePositionId] = useState(null);
+  const [positionsErr, setPositionsErr] = useState("");
+  // Latest price and fee estimate per saved position in another pool, by id
+  const [otherPoolQuotes, setOtherPoolQuotes] = useState({});
+
+  // On-chain positions of an imported owner address (/wallet)
+  const [walletOwner, setWalletOwner] = useState("");
+  const [walletPositions, setWalletPositions] = useState([]);
+  const [walletErr, setWalletErr] = useState("");
+
+  // Simulated swap size is in the input token: token0 to buy, token1 to sell
+  const [swapDirection, setSwapDirection] = useState("buy");
+  const [swapAmountText, setSwapAmountText] = useState("");
 
   useEffect(() => setUpperText(fmtInt(upperValue)), [upperValue]);
   useEffect(() => setLowerText(fmtInt(lowerValue)), [lowerValue]);
 
   useEffect(() => {
-    const chart = chartRef.current;
-    if (!chart) return;
+    (async () => {
+      try {
+        const res = await fetch(POOLS_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${POOLS_URL}`);
+        const raw = await res.json();
+        const arr = Array.isArray(raw) ? raw : raw?.pools;
+        if (!Array.isArray(arr) || arr.length === 0)
+          throw new Error("No pools have been ingested yet");
 
-    chart.$lines = [
-      {
-        label: "Upper Bound",
-        color: "#7c3aed",
-        value: upperValue,
-        onDragEnd: setUpperValue,
-      },
-      {
-        label: "Lower Bound",
-        color: "#2563eb",
-        value: lowerValue,
-        onDragEnd: setLowerValue,
-      },
-    ];
-  }, [upperValue, lowerValue]);
+        setPools(arr);
+        // A linked pool that isn't ingested here falls back to the first one
+        setPoolAddress((prev) =>
+          arr.some((p) => p.address === prev) ? prev : arr[0].address
+        );
+      } catch (e) {
+        setLoadErr(String(e?.message || e));
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    listPositions()
+      .then((arr) => setSavedPositions(Array.isArray(arr) ? arr : []))
+      .catch((e) => setPositionsErr(String(e?.message || e)));
+  }, []);
+
+  // Refetched every minute, as uncollected fees only change on the subgraph
+  useEffect(() => {
+    if (!walletOwner) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const raw = await listWalletPositions(walletOwner);
+        if (cancelled) return;
+        setWalletPositions(Array.isArray(raw?.positions) ? raw.positions : []);
+        setWalletErr("");
+      } catch (e) {
+        if (!cancelled) setWalletErr(String(e?.message || e));
+      }
+    };
+    load();
+    const timer = setInterval(load, WALLET_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [walletOwner]);
+
+  const handleImportWallet = (owner) => {
+    if (owner === walletOwner) return;
+    setWalletPositions([]);
+    setWalletErr("");
+    setWalletOwner(owner);
+  };
+
+  const selectPool = (address) => {
+    if (address === poolAddress) return;
+    didInitBoundsRef.current = false;
+    setPoolAddress(address);
+    setHourlyAll([]);
+    setHourlyFrom(null);
+    setDailyAll([]);
+    setTicksAll([]);
+    setSnapshots([]);
+    setLiquidityAsOf("latest");
+    setDataHealth(null);
+    setLoadErr("");
+    setAlerts([]);
+    setCalcInputs(null);
+  };
+
+  // Back / forward restore the state a URL describes
+  const applyUrlState = (search) => {
+    const next = dashboardStateFromUrl(search);
+    if (next.pool && next.pool !== poolAddress) selectPool(next.pool);
+    setView(next.view);
+    setChartMode(next.mode);
+    if (next.bounds) {
+      didInitBoundsRef.current = true;
+      setLowerValue(next.bounds.lower);
+      setUpperValue(next.bounds.upper);
+    }
+    setDepositText(next.deposit);
+    setEntryText(next.entry);
+    setCalcInputs(null);
+  };
+
+  // The listener is added once and calls the latest render's applyUrlState
+  const applyUrlStateRef = useRef(applyUrlState);
+  useEffect(() => {
+    applyUrlStateRef.current = applyUrlState;
+  });
+  useEffect(() => {
+    const onPopState = () => applyUrlStateRef.current(window.location.search);
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const urlSearch = formatUrlState({
+    pool: poolAddress,
+    view,
+    mode: chartMode,
+    lower: lowerValue,
+    upper: upperValue,
+    deposit: depositText,
+    entry: entryText,
+  });
+
+  // Each settled change becomes a history entry; typing is debounced into one.
+  // Nothing is written until the bounds are real, and if the page was opened
+  // without params the first write replaces that bare entry.
+  const publishedUrlRef = useRef(window.location.search !== "");
+  useEffect(() => {
+    if (!poolAddress || !didInitBoundsRef.current) return;
+    if (urlSearch === window.location.search) return;
+    const timer = setTimeout(() => {
+      const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+      if (publishedUrlRef.current) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+      publishedUrlRef.current = true;
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [urlSearch, poolAddress]);
+
+  const handleCopyLink = async () => {
+    const { origin, pathname } = window.location;
+    try {
+      await navigator.clipboard.writeText(`${origin}${pathname}${urlSearch}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch (e) {
+      setLoadErr(`Could not copy link: ${e?.message || e}`);
+    }
+  };
 
   useEffect(() => {
+    if (!poolAddress) return;
+    let cancelled = false;
+    const url = candlesUrl(poolAddress, {
+      interval: "1h",
+      ...(hourlyFrom != null ? { from: hourlyFrom } : { limit: HOURLY_LIMIT }),
+      fields: CANDLE_FIELDS,
+    });
     (async () => {
       try {
-        const res = await fetch(HOURLY_URL);
-        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${HOURLY_URL}`);
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
         const raw = await res.json();
-        const arr = Array.isArray(raw) ? raw : raw?.poolHourDatas;
+        const arr = raw?.candles;
         if (!Array.isArray(arr) || arr.length === 0)
-          throw new Error("hourly.json has no array data");
+          throw new Error("No hourly candles for this pool");
 
         const sorted = [...arr].sort((a, b) => extractTs(a) - extractTs(b));
-        const mapped = sorted
-          .map((d) => {
-            const ts = extractTs(d);
-            const price = extractPrice(d);
-            if (!Number.isFinite(ts) || !Number.isFinite(price)) return null;
-            return { ts, label: formatHour(ts), price };
-          })
-          .filter(Boolean);
+        const mapped = sorted.map((d) => mapCandleRow(d, "periodStartUnix")).filter(Boolean);
 
+        if (cancelled) return;
         setHourlyAll(mapped);
 
         if (!didInitBoundsRef.current && mapped.length) {
@@ -410,79 +918,260 @@ export default function Test() {
           setUpperValue(last * 1.05);
         }
       } catch (e) {
-        setLoadErr(String(e?.message || e));
+        if (!cancelled) setLoadErr(String(e?.message || e));
       }
     })();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [poolAddress, hourlyFrom]);
 
   useEffect(() => {
+    if (!poolAddress) return;
+    let cancelled = false;
+    const url = candlesUrl(poolAddress, {
+      interval: "1d",
+      limit: DAILY_LIMIT,
+      fields: CANDLE_FIELDS,
+    });
     (async () => {
       try {
-        const res = await fetch(DAILY_URL);
-        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${DAILY_URL}`);
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
         const raw = await res.json();
-        const arr = Array.isArray(raw) ? raw : raw?.poolDayDatas;
+        const arr = raw?.candles;
         if (!Array.isArray(arr) || arr.length === 0)
-          throw new Error("daily.json has no array data");
+          throw new Error("No daily candles for this pool");
 
         const sorted = [...arr].sort((a, b) => extractTs(a) - extractTs(b));
-        const mapped = sorted
-          .map((d) => {
-            const ts = extractTs(d);
-            const price = extractPrice(d);
-            const feesUSD = Number(d.feesUSD);
-            if (!Number.isFinite(ts) || !Number.isFinite(price)) return null;
-            return {
-              ts,
-              label: formatDay(ts),
-              price,
-              feesUSD: Number.isFinite(feesUSD) ? feesUSD : null,
-            };
-          })
-          .filter(Boolean);
+        const mapped = sorted.map((d) => mapCandleRow(d, "dayStartUnix")).filter(Boolean);
 
+        if (cancelled) return;
         setDailyAll(mapped);
       } catch (e) {
-        setLoadErr((prev) => prev || String(e?.message || e));
+        if (!cancelled) setLoadErr((prev) => prev || String(e?.message || e));
       }
     })();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [poolAddress]);
 
   useEffect(() => {
+    if (!poolAddress) return;
+    let cancelled = false;
+    const url = poolDataUrl(poolAddress, "ticks");
     (async () => {
       try {
-        const res = await fetch(TICKS_URL);
-        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${TICKS_URL}`);
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
         const raw = await res.json();
         const arr = Array.isArray(raw) ? raw : raw?.ticks;
         if (!Array.isArray(arr) || arr.length === 0)
           throw new Error("ticks.json has no array data");
 
-        const mapped = arr
-          .map((t) => ({
-            priceLowerUSD: Number(t.priceLowerUSD),
-            priceUpperUSD: Number(t.priceUpperUSD),
-            usdValue: Number(t.usdValue),
-          }))
-          .filter(
-            (t) =>
-              Number.isFinite(t.priceLowerUSD) &&
-              Number.isFinite(t.priceUpperUSD) &&
-              Number.isFinite(t.usdValue)
-          );
+        const mapped = mapTicks(arr);
 
+        if (cancelled) return;
         setTicksAll(mapped);
       } catch (e) {
-        setLoadErr((prev) => prev || String(e?.message || e));
+        if (!cancelled) setLoadErr((prev) => prev || String(e?.message || e));
       }
     })();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [poolAddress]);
+
+  // Live updates pushed by the backend as new data is ingested
+  useEffect(() => {
+    if (!poolAddress || typeof EventSource === "undefined") return;
+    const source = new EventSource(poolDataUrl(poolAddress, "stream"));
+
+    const parse = (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        return Array.isArray(data) ? data : [];
+      } catch {
+        return [];
+      }
+    };
+
+    source.addEventListener("candle", (e) => {
+      const rows = parse(e).map((d) => mapCandleRow(d, "periodStartUnix")).filter(Boolean);
+      if (rows.length) setHourlyAll((prev) => mergeByTs(prev, rows));
+    });
+    source.addEventListener("day", (e) => {
+      const rows = parse(e).map((d) => mapCandleRow(d, "dayStartUnix")).filter(Boolean);
+      if (rows.length) setDailyAll((prev) => mergeByTs(prev, rows));
+    });
+    source.addEventListener("ticks", (e) => {
+      const ticks = mapTicks(parse(e));
+      if (ticks.length) setTicksAll(ticks);
+    });
+    // Fired by backend alert rules with the in-app banner sink
+    source.addEventListener("alert", (e) => {
+      try {
+        const alert = JSON.parse(e.data);
+        setAlerts((prev) => [{ ...alert, key: `${alert.ruleId}-${alert.firedAt}-${prev.length}` }, ...prev].slice(0, 5));
+      } catch {
+        // Ignore malformed events
+      }
+    });
+
+    return () => source.close();
+  }, [poolAddress]);
+
+  const pool = useMemo(
+    () => pools.find((p) => p.address === poolAddress) ?? null,
+    [pools, poolAddress]
+  );
+
+  const tickSpec = useMemo(() => tickSpecForPool(pool), [pool]);
+
+  // Bounds only rest on initializable ticks, whichever way they were set
+  useEffect(() => {
+    const snapped = snapBounds(lowerValue, upperValue, tickSpec);
+    if (!snapped) return;
+    if (snapped.lower.price !== lowerValue) setLowerValue(snapped.lower.price);
+    if (snapped.upper.price !== upperValue) setUpperValue(snapped.upper.price);
+  }, [lowerValue, upperValue, tickSpec]);
+
+  const boundTicks = useMemo(
+    () => snapBounds(lowerValue, upperValue, tickSpec),
+    [lowerValue, upperValue, tickSpec]
+  );
+
+  // Saved positions keep their list order as color order, across pools
+  const portfolioBands = useMemo(
+    () =>
+      savedPositions
+        .map((p, i) => ({ position: p, color: BAND_COLORS[i % BAND_COLORS.length] }))
+        .filter((b) => b.position.pool === poolAddress),
+    [savedPositions, poolAddress]
+  );
+
+  // A dragged portfolio band is saved with both bounds re-snapped, which
+  // also keeps them a tick spacing apart; a failed save puts it back
+  const handleMoveBound = useCallback(
+    async (p, edge, value) => {
+      const moved =
+        edge === "upper" ? { lower: p.lower, upper: value } : { lower: value, upper: p.upper };
+      const snapped = snapBounds(moved.lower, moved.upper, tickSpec);
+      const fields = snapped ? { lower: snapped.lower.price, upper: snapped.upper.price } : moved;
+      if (!(fields.lower < fields.upper)) return;
+      if (fields.lower === p.lower && fields.upper === p.upper) return;
+
+      const replace = (next) =>
+        setSavedPositions((prev) => prev.map((x) => (x.id === p.id ? next : x)));
+      replace({ ...p, ...fields });
+      try {
+        replace(await updatePosition(p.id, fields));
+        setPositionsErr("");
+      } catch (e) {
+        replace(p);
+        setPositionsErr(String(e?.message || e));
+      }
+    },
+    [tickSpec]
+  );
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+
+    const snap = tickSpec ? (v) => snapToTick(v, tickSpec)?.price ?? v : null;
+    if (portfolioOn) {
+      const short = (name) => (name.length > 12 ? `${name.slice(0, 11)}…` : name);
+      chart.$lines = portfolioBands.flatMap(({ position: p, color }) =>
+        ["upper", "lower"].map((edge) => ({
+          band: p.id,
+          edge,
+          label: `${edge === "upper" ? "▲" : "▼"} ${short(p.name)}`,
+          color,
+          // #rrggbbaa at ~12% opacity
+          fill: `${color}1f`,
+          value: p[edge],
+          onDragEnd: (v) => handleMoveBound(p, edge, v),
+          snap,
+        }))
+      );
+    } else {
+      chart.$lines = [
+        {
+          band: "range",
+          edge: "upper",
+          label: "Upper Bound",
+          color: "#7c3aed",
+          value: upperValue,
+          onDragEnd: setUpperValue,
+          snap,
+        },
+        {
+          band: "range",
+          edge: "lower",
+          label: "Lower Bound",
+          color: "#2563eb",
+          value: lowerValue,
+          onDragEnd: setLowerValue,
+          snap,
+        },
+      ];
+    }
+    // Imported on-chain positions sit on top, fixed where they were minted
+    for (const p of walletPositions) {
+      if (p.pool !== poolAddress) continue;
+      for (const edge of ["upper", "lower"]) {
+        chart.$lines.push({
+          band: `wallet-${p.id}`,
+          edge,
+          label: `${edge === "upper" ? "▲" : "▼"} #${p.id}`,
+          color: WALLET_COLOR,
+          fill: `${WALLET_COLOR}14`,
+          value: p[edge],
+          locked: true,
+          dash: [6, 4],
+        });
+      }
+    }
+    chart.draw();
+  }, [
+    upperValue,
+    lowerValue,
+    tickSpec,
+    portfolioOn,
+    portfolioBands,
+    handleMoveBound,
+    walletPositions,
+    poolAddress,
+  ]);
 
   const currentPrice = useMemo(() => {
     if (!hourlyAll.length) return null;
     return hourlyAll[hourlyAll.length - 1].price;
   }, [hourlyAll]);
 
+  // Imported positions in the viewed pool follow the live price; the rest keep
+  // the price of their last fetch. Uncollected fees stay as fetched.
+  const walletHoldings = useMemo(
+    () =>
+      walletPositions.map((p) => {
+        if (p.pool !== poolAddress || !Number.isFinite(currentPrice)) return p;
+        const liquidity = liquidityFromRaw(p.liquidity, p.token0.decimals, p.token1.decimals);
+        const { amount0, amount1 } = amountsForLiquidity(liquidity, p.lower, p.upper, currentPrice);
+        return {
+          ...p,
+          price: currentPrice,
+          amount0,
+          amount1,
+          value: amount0 + amount1 * currentPrice,
+          inRange: currentPrice >= p.lower && currentPrice <= p.upper,
+          uncollectedValue: p.uncollectedFees0 + p.uncollectedFees1 * currentPrice,
+        };
+      }),
+    [walletPositions, poolAddress, currentPrice]
+  );
+
   const feesSummary = useMemo(() => {
     const fees = dailyAll
       .map((d) => ({ ts: d.ts, feesUSD: Number(d.feesUSD) }))
@@ -518,16 +1207,162 @@ export default function Test() {
     return source.slice(-tf.count);
   }, [tf, hourlyAll, dailyAll]);
 
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    chart.$candles = chartMode === "candles" ? activeSeries : null;
+    chart.draw();
+  }, [chartMode, activeSeries]);
+
+  const windowStart = activeSeries[0]?.ts;
+
+  // A daily window that starts before the loaded hours widens the hourly load
+  // to its start. It only ever widens, so going back to a shorter window
+  // doesn't refetch, and history shorter than the window is asked for once.
+  const hourlyStart = hourlyAll[0]?.ts;
+  useEffect(() => {
+    if (tf.source !== "daily" || windowStart == null) return;
+    if (hourlyStart != null && hourlyStart <= windowStart) return;
+    setHourlyFrom((prev) => (prev != null && prev <= windowStart ? prev : windowStart));
+  }, [tf.source, windowStart, hourlyStart]);
+
+  useEffect(() => {
+    if (!poolAddress || windowStart == null) return;
+    let cancelled = false;
+    const url = snapshotsUrl(poolAddress, {
+      from: windowStart,
+      max: MAX_SNAPSHOTS,
+      include: "ticks",
+    });
+    (async () => {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+        const raw = await res.json();
+        const mapped = (raw?.snapshots ?? []).map((s) => ({
+          ts: Number(s.ingestedAt),
+          price: Number(s.price),
+          ticks: mapTicks(Array.isArray(s.ticks) ? s.ticks : []),
+        }));
+
+        if (cancelled) return;
+        setSnapshots(mapped);
+      } catch (e) {
+        if (!cancelled) setLoadErr((prev) => prev || String(e?.message || e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [poolAddress, windowStart]);
+
+  // Checked on the backend against the raw files, which still hold the rows
+  // the loaders above skip or reorder
+  useEffect(() => {
+    if (!poolAddress || windowStart == null) return;
+    let cancelled = false;
+    const url = dataHealthUrl({ pool: poolAddress, from: windowStart, limit: 20 });
+    (async () => {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+        const raw = await res.json();
+        if (!cancelled) setDataHealth(raw?.pools?.[0] ?? null);
+      } catch (e) {
+        if (!cancelled) setLoadErr((prev) => prev || String(e?.message || e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [poolAddress, windowStart]);
+
+  // Portfolio positions outside the viewed pool: the latest hourly price of
+  // their pool and a fee estimate from /api/pools/:address/report
+  useEffect(() => {
+    if (!portfolioOn) return;
+    const others = savedPositions.filter((p) => p.pool !== poolAddress);
+    if (!others.length) return;
+    let cancelled = false;
+    const getJson = async (url) => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+      return res.json();
+    };
+    (async () => {
+      try {
+        const addresses = [...new Set(others.map((p) => p.pool))];
+        const prices = {};
+        await Promise.all(
+          addresses.map(async (address) => {
+            const raw = await getJson(
+              candlesUrl(address, { interval: "1h", limit: 1, fields: ["price"] })
+            );
+            prices[address] = Number(raw?.candles?.[0]?.price);
+          })
+        );
+        const quotes = {};
+        await Promise.all(
+          others.map(async (p) => {
+            const params = { lower: p.lower, upper: p.upper, deposit: p.deposit };
+            if (p.entryPrice) params.entry = p.entryPrice;
+            const report = await getJson(reportUrl(p.pool, params));
+            quotes[p.id] = { price: prices[p.pool], aprPct: report?.aprPct ?? null };
+          })
+        );
+        if (!cancelled) setOtherPoolQuotes(quotes);
+      } catch (e) {
+        if (!cancelled) setPositionsErr(String(e?.message || e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [portfolioOn, savedPositions, poolAddress]);
+
+  // Range stats and the depth overlay read the latest ticks unless an older
+  // snapshot is picked; a pick that leaves the window falls back to latest
+  const asOfSnapshot = useMemo(
+    () =>
+      liquidityAsOf === "latest"
+        ? null
+        : (snapshots.find((s) => String(s.ts) === liquidityAsOf) ?? null),
+    [snapshots, liquidityAsOf]
+  );
+  const ticksAsOf = asOfSnapshot?.ticks ?? ticksAll;
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    chart.$depthTicks = ticksAsOf;
+    chart.draw();
+  }, [ticksAsOf]);
+
   const yRange = useMemo(() => {
-    const dataRange = computeYRange(activeSeries.map((p) => p.price), 0.06);
-    const combined = [
-      dataRange.min,
-      dataRange.max,
-      Number.isFinite(lowerValue) ? lowerValue : null,
-      Number.isFinite(upperValue) ? upperValue : null,
-    ].filter((v) => Number.isFinite(v));
+    // Candles fit their wicks, so intra-period breaches of a bound stay visible
+    const values =
+      chartMode === "candles"
+        ? activeSeries.flatMap((p) => [p.high, p.low])
+        : activeSeries.map((p) => p.price);
+    const dataRange = computeYRange(values, 0.06);
+    const bounds = portfolioOn
+      ? portfolioBands.flatMap((b) => [b.position.lower, b.position.upper])
+      : [lowerValue, upperValue];
+    for (const p of walletPositions) {
+      if (p.pool === poolAddress) bounds.push(p.lower, p.upper);
+    }
+    const combined = [dataRange.min, dataRange.max, ...bounds].filter((v) => Number.isFinite(v));
     return computeYRange(combined, 0.04);
-  }, [activeSeries, lowerValue, upperValue]);
+  }, [
+    activeSeries,
+    chartMode,
+    lowerValue,
+    upperValue,
+    portfolioOn,
+    portfolioBands,
+    walletPositions,
+    poolAddress,
+  ]);
 
   const applyUpper = (raw) => {
     const n = Number(String(raw).replaceAll(",", ""));
@@ -545,72 +1380,375 @@ export default function Test() {
     if (!Number.isFinite(currentPrice)) return;
     setLowerValue(currentPrice * 0.95);
     setUpperValue(currentPrice * 1.05);
-    const chart = chartRef.current;
-    if (chart?.resetZoom) chart.resetZoom();
+    for (const chart of [chartRef.current, feeChartRef.current]) {
+      if (chart?.resetZoom) chart.resetZoom();
+    }
   }, [currentPrice]);
 
+  // The price and fee charts share x labels: hovering or zooming the time
+  // axis of either one is mirrored on the other
+  const handleCrosshair = useCallback((index, source) => {
+    const fee = feeChartRef.current;
+    for (const chart of [chartRef.current, fee]) {
+      if (chart) setCrosshair(chart, index, { tooltip: chart === fee && source !== fee });
+    }
+  }, []);
+
+  const handleZoomSync = useCallback(({ chart, trigger }) => {
+    if (trigger === "api") return;
+    syncZoom(chart, [chartRef.current, feeChartRef.current].filter(Boolean));
+  }, []);
+
   const totalLiquidityInRange = useMemo(() => {
     const { lo, hi } = normalizeRange(lowerValue, upperValue);
     if (!Number.isFinite(lo) || !Number.isFinite(hi)) return null;
-    if (!ticksAll.length) return null;
+    if (!ticksAsOf.length) return null;
 
-    let sum = 0;
-    for (const t of ticksAll) {
-      if (!tickOverlapsRange(t, lo, hi)) continue;
-      sum += t.usdValue;
-    }
+    const sum = liquidityInRange(ticksAsOf, lo, hi);
     return Number.isFinite(sum) ? sum : null;
-  }, [ticksAll, lowerValue, upperValue]);
+  }, [ticksAsOf, lowerValue, upperValue]);
+
+  // The estimate and optimizer look forward from now, so they use the latest ticks
+  const liquidityIndex = useMemo(
+    () => buildLiquidityIndex(ticksAll, currentPrice),
+    [ticksAll, currentPrice]
+  );
+
+  const swapResult = useMemo(
+    () =>
+      simulateSwap({
+        index: liquidityIndex,
+        price: currentPrice,
+        amountIn: Number(String(swapAmountText).replaceAll(",", "")),
+        direction: swapDirection,
+        feePct: pool ? pool.feeTier / 10000 : 0,
+      }),
+    [liquidityIndex, currentPrice, swapAmountText, swapDirection, pool]
+  );
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    chart.$swap = swapResult;
+    chart.draw();
+  }, [swapResult]);
+
+  // Each snapshot valued at its own price, so the backtest sizes every hour
+  // against the pool liquidity of that time
+  const snapshotIndexes = useMemo(
+    () => snapshots.map((s) => ({ ts: s.ts, index: buildLiquidityIndex(s.ticks, s.price) })),
+    [snapshots]
+  );
+
+  // Replays the range over the hourly candles covering the chart window, so the
+  // timeframe buttons double as the backtest window selector.
+  const backtestSeries = useMemo(
+    () => (backtestOn && windowStart != null ? hourlyAll.filter((h) => h.ts >= windowStart) : []),
+    [backtestOn, hourlyAll, windowStart]
+  );
+
+  // Volatility and Monte Carlo read the default lookback, so picking a long
+  // window for the backtest doesn't change their inputs
+  const recentHourly = useMemo(() => hourlyAll.slice(-HOURLY_LIMIT), [hourlyAll]);
+
+  // Says so when the pool's hourly history starts inside the window
+  const backtestLabel = useMemo(() => {
+    const label = tf.label.toLowerCase();
+    const first = backtestSeries[0]?.ts;
+    if (first == null || windowStart == null || first - windowStart <= 24 * 3600) return label;
+    return `${label}, hourly data from ${formatDay(first)}`;
+  }, [tf, backtestSeries, windowStart]);
+
+  const backtest = useMemo(() => {
+    if (!backtestSeries.length) return null;
+    const deposit = Number(String(depositText).replaceAll(",", ""));
+    const { lo, hi } = normalizeRange(lowerValue, upperValue);
+    return runBacktest({
+      series: backtestSeries,
+      lower: lo,
+      upper: hi,
+      deposit,
+      index: liquidityIndex,
+      indexes: snapshotIndexes,
+    });
+  }, [backtestSeries, depositText, lowerValue, upperValue, liquidityIndex, snapshotIndexes]);
+
+  // Equity at each chart point: the last backtest hour at or before it
+  const equitySeries = useMemo(() => {
+    if (!backtest) return null;
+    const rows = backtest.rows;
+    let j = 0;
+    return activeSeries.map((p) => {
+      while (j + 1 < rows.length && rows[j + 1].ts <= p.ts) j++;
+      return rows[j].ts <= p.ts ? rows[j].equity : null;
+    });
+  }, [backtest, activeSeries]);
 
   const handleCalculate = useCallback(() => {
     const deposit = Number(String(depositText).replaceAll(",", ""));
-    const L = totalLiquidityInRange;
-    const fees7 = feesSummary.last7d;
-
-    if (!Number.isFinite(deposit) || deposit <= 0) {
-      setCalcRequested(true);
-      setEstFeesWeekly("—");
-      setEstFeesDaily("—");
-      setEstApr("—");
-      return;
+
+    // Blank entry price means "enter now"
+    const entryRaw = String(entryText).replaceAll(",", "").trim();
+    const entryPrice = entryRaw ? Number(entryRaw) : currentPrice;
+    const { lo, hi } = normalizeRange(lowerValue, upperValue);
+    setCalcInputs({
+      deposit,
+      lower: lo,
+      upper: hi,
+      entryPrice,
+      calculatedAt: Math.floor(Date.now() / 1000),
+    });
+  }, [depositText, entryText, currentPrice, lowerValue, upperValue]);
+
+  const estimate = useMemo(() => {
+    if (!calcInputs) return null;
+    return estimateFees({
+      ...calcInputs,
+      hourly: hourlyAll,
+      index: liquidityIndex,
+      ticks: ticksAll,
+      fees7d: feesSummary.last7d,
+    });
+  }, [calcInputs, hourlyAll, liquidityIndex, ticksAll, feesSummary.last7d]);
+
+  // Positions in the viewed pool are estimated here, so they follow a drag
+  // at once; the rest use the backend's report for their own pool
+  const portfolioHoldings = useMemo(() => {
+    if (!portfolioOn) return [];
+    return savedPositions.map((p, i) => {
+      const meta = pools.find((x) => x.address === p.pool);
+      const quote = otherPoolQuotes[p.id];
+      let price = quote?.price;
+      let aprPct = quote?.aprPct;
+      if (p.pool === poolAddress) {
+        price = currentPrice;
+        aprPct = Number.isFinite(currentPrice)
+          ? estimateFees({
+              deposit: p.deposit,
+              lower: p.lower,
+              upper: p.upper,
+              entryPrice: p.entryPrice ?? currentPrice,
+              hourly: hourlyAll,
+              index: liquidityIndex,
+              ticks: ticksAll,
+              fees7d: feesSummary.last7d,
+            }).aprPct
+          : null;
+      }
+      return {
+        id: p.id,
+        name: p.name,
+        pair: meta ? `${meta.token0.symbol}/${meta.token1.symbol}` : p.pool.slice(0, 8),
+        token0: meta?.token0.symbol ?? "token0",
+        token1: meta?.token1.symbol ?? "token1",
+        color: BAND_COLORS[i % BAND_COLORS.length],
+        lower: p.lower,
+        upper: p.upper,
+        deposit: p.deposit,
+        aprPct,
+        valued: valueHolding(p, price),
+      };
+    });
+  }, [
+    portfolioOn,
+    savedPositions,
+    pools,
+    otherPoolQuotes,
+    poolAddress,
+    currentPrice,
+    hourlyAll,
+    liquidityIndex,
+    ticksAll,
+    feesSummary.last7d,
+  ]);
+
+  const calcRequested = calcInputs != null;
+  const estFeesWeekly = fmtUSD0(estimate?.weeklyEst);
+  const estFeesDaily = fmtUSD0(estimate?.dailyEst);
+  const estApr = Number.isFinite(estimate?.aprPct) ? `${fmtInt(estimate.aprPct)}%` : "—";
+  const position = estimate?.position ?? null;
+  const positionFees = Number.isFinite(estimate?.weeklyEst) ? estimate.weeklyEst : 0;
+  const feeBreakdown = estimate?.breakdown ?? null;
+
+  const currentPositionFields = () => {
+    const { lo, hi } = normalizeRange(lowerValue, upperValue);
+    const entryRaw = String(entryText).replaceAll(",", "").trim();
+    const entryPrice = entryRaw ? Number(entryRaw) : currentPrice;
+    return {
+      pool: poolAddress,
+      lower: lo,
+      upper: hi,
+      deposit: Number(String(depositText).replaceAll(",", "")),
+      entryPrice: Number.isFinite(entryPrice) ? entryPrice : null,
+    };
+  };
+
+  const handleSavePosition = async (name) => {
+    try {
+      const saved = await savePosition({
+        name,
+        ...currentPositionFields(),
+        entryTime: Math.floor(Date.now() / 1000),
+      });
+      setSavedPositions((prev) => [...prev, saved]);
+      setActivePositionId(saved.id);
+      setPositionsErr("");
+    } catch (e) {
+      setPositionsErr(String(e?.message || e));
     }
+  };
 
-    if (!Number.isFinite(L) || L <= 0 || !Number.isFinite(fees7) || fees7 < 0) {
-      setCalcRequested(true);
-      setEstFeesWeekly("—");
-      setEstFeesDaily("—");
-      setEstApr("—");
-      return;
+  const handleUpdatePosition = async (p) => {
+    try {
+      const updated = await updatePosition(p.id, currentPositionFields());
+      setSavedPositions((prev) => prev.map((x) => (x.id === p.id ? updated : x)));
+      setPositionsErr("");
+    } catch (e) {
+      setPositionsErr(String(e?.message || e));
     }
+  };
 
-    // Your math:
-    // weekly_est = deposit / L * fees_last_week
-    // daily_est = weekly_est / 7
-    // APR(%) = (fees_last_week / L) * 52 * 100   (same as weekly_est/deposit * 52 * 100)
-    const weeklyEst = (deposit / L) * fees7;
-    const dailyEst = weeklyEst / 7;
-    const aprPct = (fees7 / L) * 52 * 100;
+  const handleDeletePosition = async (p) => {
+    try {
+      await deletePosition(p.id);
+      setSavedPositions((prev) => prev.filter((x) => x.id !== p.id));
+      if (activePositionId === p.id) setActivePositionId(null);
+      setPositionsErr("");
+    } catch (e) {
+      setPositionsErr(String(e?.message || e));
+    }
+  };
 
-    setCalcRequested(true);
-    setEstFeesWeekly(fmtUSD0(weeklyEst));
-    setEstFeesDaily(fmtUSD0(dailyEst));
-    setEstApr(Number.isFinite(aprPct) ? `${fmtInt(aprPct)}%` : "—");
-  }, [depositText, totalLiquidityInRange, feesSummary.last7d]);
+  const handleLoadPosition = (p) => {
+    selectPool(p.pool);
+    // Keep the loaded bounds instead of re-centering on the new pool's price
+    didInitBoundsRef.current = true;
+    setLowerValue(p.lower);
+    setUpperValue(p.upper);
+    setDepositText(String(p.deposit));
+    setEntryText(p.entryPrice ? String(p.entryPrice) : "");
+    setActivePositionId(p.id);
+    setCalcInputs(null);
+  };
+
+  const exportsList = useMemo(() => {
+    const slug = pool
+      ? `${pool.token0.symbol}-${pool.token1.symbol}-${pool.feeTier}`.toLowerCase()
+      : "pool";
+    const { lo, hi } = normalizeRange(lowerValue, upperValue);
+    const report =
+      calcInputs && estimate
+        ? positionReport({
+            pool,
+            inputs: calcInputs,
+            estimate,
+            totalLiquidityInRange: liquidityInRange(ticksAll, calcInputs.lower, calcInputs.upper),
+            generatedAt: calcInputs.calculatedAt,
+          })
+        : null;
+
+    return [
+      {
+        id: "prices",
+        label: `Price series (${tf.label})`,
+        name: `${slug}-${view}-prices`,
+        rows: activeSeries.map((p) => ({
+          timestamp: p.ts,
+          price: p.price,
+          open: p.open,
+          high: p.high,
+          low: p.low,
+          close: p.close,
+          feesUSD: p.feesUSD,
+          volumeUSD: p.volumeUSD,
+          tvlUSD: p.tvlUSD,
+        })),
+        hint: "Loading...",
+      },
+      {
+        id: "ticks",
+        label: asOfSnapshot ? `Ticks in range (${formatHour(asOfSnapshot.ts)})` : "Ticks in range",
+        name: asOfSnapshot ? `${slug}-ticks-${asOfSnapshot.ts}` : `${slug}-ticks`,
+        rows: ticksAsOf.filter((t) => tickOverlapsRange(t, lo, hi)),
+        hint: "No ticks overlap the range",
+      },
+      {
+        id: "report",
+        label: "Position report",
+        name: `${slug}-report`,
+        rows: report ? [report] : [],
+        json: report,
+        hint: "Calculate an estimate first",
+      },
+    ];
+  }, [
+    pool,
+    lowerValue,
+    upperValue,
+    calcInputs,
+    estimate,
+    ticksAll,
+    ticksAsOf,
+    asOfSnapshot,
+    tf.label,
+    view,
+    activeSeries,
+  ]);
+
+  const handleApplySuggestion = (lower, upper) => {
+    setLowerValue(lower);
+    setUpperValue(upper);
+    setCalcInputs(null);
+  };
+
+  const hasDepth = ticksAsOf.length > 0;
+  const candleMode = chartMode === "candles";
 
   const chartData = useMemo(
     () => ({
       labels: activeSeries.map((p) => p.label),
       datasets: [
         {
-          label: "ETH Price (USD)",
+          label: pool
+            ? `${pool.token1.symbol} Price (${pool.token0.symbol})`
+            : "Price",
           data: activeSeries.map((p) => p.price),
           borderColor: LINE_COLOR,
+          showLine: !candleMode,
           pointRadius: 0,
           tension: 0.15,
         },
+        ...(candleMode
+          ? [
+              {
+                type: "bar",
+                label: "Volume (USD)",
+                data: activeSeries.map((p) => p.volumeUSD),
+                yAxisID: "yVolume",
+                backgroundColor: activeSeries.map((p) =>
+                  p.close >= p.open ? "rgba(34, 197, 94, 0.45)" : "rgba(244, 63, 94, 0.45)"
+                ),
+                barPercentage: 0.8,
+                categoryPercentage: 1,
+              },
+            ]
+          : []),
+        ...(equitySeries
+          ? [
+              {
+                label: "Backtest equity (USD)",
+                data: equitySeries,
+                yAxisID: "y1",
+                borderColor: EQUITY_COLOR,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                tension: 0.15,
+              },
+            ]
+          : []),
       ],
     }),
-    [activeSeries]
+    [activeSeries, pool, equitySeries, candleMode]
   );
 
   const options = useMemo(
@@ -618,6 +1756,7 @@ export default function Test() {
       responsive: true,
       maintainAspectRatio: false,
       events: ["mousedown", "mousemove", "mouseup", "mouseout"],
+      layout: { padding: { right: hasDepth ? DEPTH_WIDTH : 0 } },
       scales: {
         x: {
           grid: { display: false },
@@ -632,6 +1771,9 @@ export default function Test() {
         y: {
           min: yRange.min,
           max: yRange.max,
+          // Shares the left edge with the volume panel, 4:1 in height
+          stack: "price",
+          stackWeight: 4,
           grid: { display: false },
           border: { display: false },
           ticks: {
@@ -639,32 +1781,62 @@ export default function Test() {
             callback: (v) => fmtUSD0(Number(v)),
           },
         },
+        ...(candleMode
+          ? {
+              yVolume: {
+                stack: "price",
+                stackWeight: 1,
+                offset: true,
+                beginAtZero: true,
+                grid: { display: false },
+                border: { display: false },
+                ticks: {
+                  color: MUTED,
+                  maxTicksLimit: 3,
+                  callback: (v) => fmtUSD0(Number(v)),
+                },
+              },
+            }
+          : {}),
+        y1: {
+          display: backtestOn,
+          position: "right",
+          grid: { display: false },
+          border: { display: false },
+          ticks: {
+            color: EQUITY_COLOR,
+            callback: (v) => fmtUSD0(Number(v)),
+          },
+        },
       },
       plugins: {
         zoom: {
           zoom: {
             wheel: { enabled: true },
             pinch: { enabled: false },
+            // Price zoom over the plot, time zoom over the x axis
             mode: "y",
+            scaleMode: "x",
+            onZoom: handleZoomSync,
           },
           pan: { enabled: false },
         },
         tooltip: { enabled: true },
+        crosshair: { onMove: handleCrosshair },
       },
     }),
-    [yRange.min, yRange.max, view]
+    [
+      yRange.min,
+      yRange.max,
+      view,
+      backtestOn,
+      hasDepth,
+      candleMode,
+      handleZoomSync,
+      handleCrosshair,
+    ]
   );
 
-  const cardStyle = {
-    background: CARD_BG,
-    border: `1px solid ${BORDER}`, boxShadow: CARD_GLOW,
-    borderRadius: 14,
-    padding: 14,
-    boxSizing: "border-box",
-  };
-
-  const labelStyle = { color: MUTED, fontWeight: 600 };
-
   return (
     <div style={{ padding: 20, minHeight: "100vh", background: APP_BG, color: TEXT, backgroundAttachment: "fixed" }}>
       <h2 style={{ fontWeight: 700, color: TITLE, marginBottom: 10, letterSpacing: "0.3px" }}>
@@ -677,6 +1849,42 @@ export default function Test() {
         </div>
       ) : null}
 
+      {alerts.map((a) => (
+        <div
+          key={a.key}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            marginBottom: 10,
+            padding: "10px 14px",
+            borderRadius: 10,
+            border: "1px solid rgba(251, 191, 36, 0.5)",
+            background: "rgba(251, 191, 36, 0.12)",
+            color: TEXT,
+            fontWeight: 600,
+          }}
+        >
+          <span style={{ color: "#fbbf24" }}>Alert</span>
+          <span style={{ flex: 1 }}>
+            {a.ruleName ? `${a.ruleName}: ` : ""}
+            {a.message}
+          </span>
+          <button
+            onClick={() => setAlerts((prev) => prev.filter((x) => x.key !== a.key))}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: MUTED,
+              cursor: "pointer",
+              fontWeight: 700,
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      ))}
+
       <div
         style={{
           display: "flex",
@@ -686,6 +1894,28 @@ export default function Test() {
           flexWrap: "wrap",
         }}
       >
+        <select
+          value={poolAddress}
+          onChange={(e) => selectPool(e.target.value)}
+          disabled={!pools.length}
+          style={{
+            padding: "8px 12px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            background: CARD_BG,
+            cursor: "pointer",
+            fontWeight: 600,
+            color: TEXT,
+            marginRight: 6,
+          }}
+        >
+          {pools.map((p) => (
+            <option key={p.address} value={p.address}>
+              {poolLabel(p)}
+            </option>
+          ))}
+        </select>
+
         {TIMEFRAMES.map((t) => (
           <button
             key={t.id}
@@ -704,6 +1934,25 @@ export default function Test() {
           </button>
         ))}
 
+        {CHART_MODES.map((m) => (
+          <button
+            key={m.id}
+            onClick={() => setChartMode(m.id)}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 10,
+              border: `1px solid ${BORDER}`,
+              background: chartMode === m.id ? ACTIVE_BG : "transparent",
+              cursor: "pointer",
+              fontWeight: 600,
+              color: TEXT,
+              marginLeft: m.id === CHART_MODES[0].id ? 6 : 0,
+            }}
+          >
+            {m.label}
+          </button>
+        ))}
+
         <button
           onClick={handleReset}
           style={{
@@ -720,23 +1969,105 @@ export default function Test() {
           Reset
         </button>
 
+        <button
+          onClick={handleCopyLink}
+          style={{
+            padding: "8px 12px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            background: CARD_BG,
+            cursor: "pointer",
+            fontWeight: 600,
+            color: TEXT,
+          }}
+        >
+          {linkCopied ? "Copied!" : "Copy link"}
+        </button>
+
+        <button
+          onClick={() => setBacktestOn((on) => !on)}
+          style={{
+            padding: "8px 12px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            background: backtestOn ? ACTIVE_BG : "transparent",
+            cursor: "pointer",
+            fontWeight: 600,
+            color: TEXT,
+          }}
+        >
+          Backtest
+        </button>
+
+        <button
+          onClick={() => setPortfolioOn((on) => !on)}
+          style={{
+            padding: "8px 12px",
+            borderRadius: 10,
+            border: `1px solid ${BORDER}`,
+            background: portfolioOn ? ACTIVE_BG : "transparent",
+            cursor: "pointer",
+            fontWeight: 600,
+            color: TEXT,
+          }}
+        >
+          Portfolio
+        </button>
+
+        {dataHealth ? (
+          <DataQualityBadge
+            datasets={{
+              [tf.source]: dataHealth.datasets[tf.source],
+              ticks: dataHealth.datasets.ticks,
+            }}
+          />
+        ) : null}
+
         <div style={{ marginLeft: "auto", color: MUTED, fontWeight: 600 }}>
           {Number.isFinite(currentPrice) ? `Current: ${fmtUSD2(currentPrice)}` : "Loading..."}
         </div>
       </div>
 
-      <div
-        style={{
-          width: "100%",
-          height: 520,
-          background: CARD_BG,
-          border: `1px solid ${BORDER}`, boxShadow: CARD_GLOW,
-          borderRadius: 14,
-          padding: 10,
-          boxSizing: "border-box",
-        }}
-      >
-        <LineChartJs ref={chartRef} data={chartData} options={options} />
+      <div style={{ display: "flex", gap: 14, height: 520 }}>
+        <div
+          style={{
+            flex: 1,
+            minWidth: 0,
+            height: "100%",
+            background: CARD_BG,
+            border: `1px solid ${BORDER}`, boxShadow: CARD_GLOW,
+            borderRadius: 14,
+            padding: 10,
+            boxSizing: "border-box",
+          }}
+        >
+          <LineChartJs
+            ref={chartRef}
+            data={chartData}
+            options={options}
+            plugins={[crosshairPlugin]}
+          />
+        </div>
+
+        <div style={{ width: 380, flexShrink: 0 }}>
+          <PositionCurve
+            position={position}
+            currentPrice={currentPrice}
+            fees={positionFees}
+            pool={pool}
+          />
+        </div>
+      </div>
+
+      <div style={{ marginTop: 14, height: 260 }}>
+        <FeeChart
+          series={activeSeries}
+          periodSeconds={tf.source === "hourly" ? 3600 : 24 * 3600}
+          pool={pool}
+          chartRef={feeChartRef}
+          onCrosshair={handleCrosshair}
+          onZoom={handleZoomSync}
+        />
       </div>
 
       <div
@@ -794,6 +2125,11 @@ export default function Test() {
                   boxSizing: "border-box",
                 }}
               />
+              <div style={{ fontSize: 12, color: MUTED }}>
+                {boundTicks
+                  ? `Tick ${boundTicks.upper.tick} · ${fmtAmount(boundTicks.upper.price, 6)}`
+                  : "—"}
+              </div>
             </div>
 
             <div style={{ display: "flex", flexDirection: "column", gap: 6, minWidth: 0 }}>
@@ -812,6 +2148,11 @@ export default function Test() {
                   boxSizing: "border-box",
                 }}
               />
+              <div style={{ fontSize: 12, color: MUTED }}>
+                {boundTicks
+                  ? `Tick ${boundTicks.lower.tick} · ${fmtAmount(boundTicks.lower.price, 6)}`
+                  : "—"}
+              </div>
             </div>
           </div>
 
@@ -820,7 +2161,7 @@ export default function Test() {
           <div
             style={{
               display: "grid",
-              gridTemplateColumns: "1fr 128px",
+              gridTemplateColumns: "1fr 1fr 112px",
               gap: 12,
               alignItems: "end",
             }}
@@ -841,6 +2182,23 @@ export default function Test() {
               />
             </div>
 
+            <div style={{ display: "flex", flexDirection: "column", gap: 6, minWidth: 0 }}>
+              <label style={{ fontWeight: 600, color: MUTED }}>Entry price</label>
+              <input
+                value={entryText}
+                placeholder={Number.isFinite(currentPrice) ? fmtInt(currentPrice) : "Current"}
+                onChange={(e) => setEntryText(e.target.value)}
+                style={{
+                  width: "100%",
+                  minWidth: 0,
+                  padding: "10px 10px",
+                  borderRadius: 10,
+                  border: `1px solid ${BORDER}`,
+                  boxSizing: "border-box",
+                }}
+              />
+            </div>
+
             <button
               onClick={handleCalculate}
               style={{
@@ -864,6 +2222,37 @@ export default function Test() {
           <div style={{ color: MUTED, fontWeight: 600 }}>
             Total liquidity in range: {fmtUSD0(totalLiquidityInRange)}
           </div>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 8,
+              marginTop: 8,
+              color: MUTED,
+              fontWeight: 600,
+            }}
+          >
+            Liquidity as of
+            <select
+              value={asOfSnapshot ? liquidityAsOf : "latest"}
+              onChange={(e) => setLiquidityAsOf(e.target.value)}
+              style={{
+                padding: "4px 8px",
+                borderRadius: 8,
+                border: `1px solid ${BORDER}`,
+                background: CARD_BG,
+                color: TEXT,
+                fontWeight: 600,
+              }}
+            >
+              <option value="latest">Latest</option>
+              {[...snapshots].reverse().map((s) => (
+                <option key={s.ts} value={String(s.ts)}>
+                  {formatHour(s.ts)}h
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div style={cardStyle}>
@@ -884,8 +2273,190 @@ export default function Test() {
 
             <div style={labelStyle}>Estimated APR</div>
             <div style={{ fontWeight: 700 }}>{calcRequested ? estApr : "—"}</div>
+
+            {calcRequested && feeBreakdown?.hoursUnknown ? (
+              <>
+                <div style={labelStyle}>Hours without tick data (earned $0)</div>
+                <div style={{ fontWeight: 700 }}>
+                  {feeBreakdown.hoursUnknown}/{feeBreakdown.hours}h
+                </div>
+              </>
+            ) : null}
           </div>
         </div>
+
+        {portfolioOn ? <Portfolio holdings={portfolioHoldings} /> : null}
+
+        <SavedPositions
+          positions={savedPositions}
+          pools={pools}
+          activeId={activePositionId}
+          error={positionsErr}
+          onSave={handleSavePosition}
+          onLoad={handleLoadPosition}
+          onUpdate={handleUpdatePosition}
+          onDelete={handleDeletePosition}
+        />
+
+        <WalletPositions
+          owner={walletOwner}
+          positions={walletHoldings}
+          error={walletErr}
+          onImport={handleImportWallet}
+        />
+
+        <RangeOptimizer
+          hourly={recentHourly}
+          daily={dailyAll}
+          currentPrice={currentPrice}
+          deposit={Number(String(depositText).replaceAll(",", ""))}
+          index={liquidityIndex}
+          onApply={handleApplySuggestion}
+        />
+
+        <LiquidityMigration snapshots={snapshots} currentPrice={currentPrice} />
+
+        <SwapSimulator
+          direction={swapDirection}
+          amountText={swapAmountText}
+          onDirection={setSwapDirection}
+          onAmount={setSwapAmountText}
+          result={swapResult}
+          pool={pool}
+        />
+
+        <ExportPanel exports={exportsList} />
+
+        <MonteCarlo
+          hourly={recentHourly}
+          currentPrice={currentPrice}
+          lower={Math.min(lowerValue, upperValue)}
+          upper={Math.max(lowerValue, upperValue)}
+          deposit={Number(String(depositText).replaceAll(",", ""))}
+          index={liquidityIndex}
+        />
+
+        {feeBreakdown ? (
+          <div style={{ ...cardStyle, gridColumn: "1 / -1" }}>
+            <div style={{ fontWeight: 700, marginBottom: 12 }}>
+              Fee attribution (last {feeBreakdown.hours}h)
+            </div>
+            <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginBottom: 12 }}>
+              <div>
+                <span style={labelStyle}>Hours in range: </span>
+                <b>
+                  {feeBreakdown.hoursInRange}/{feeBreakdown.hours}
+                </b>
+              </div>
+              {feeBreakdown.hoursUnknown ? (
+                <div>
+                  <span style={labelStyle}>No tick data (earned $0): </span>
+                  <b>{feeBreakdown.hoursUnknown}h</b>
+                </div>
+              ) : null}
+              <div>
+                <span style={labelStyle}>Active-range weekly: </span>
+                <b>{fmtUSD2(feeBreakdown.weeklyEst)}</b>
+              </div>
+              <div>
+                <span style={labelStyle}>Whole-pool share weekly: </span>
+                <b>{fmtUSD2(feeBreakdown.wholePoolWeekly)}</b>
+              </div>
+            </div>
+            <div style={{ maxHeight: 240, overflowY: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr style={{ color: MUTED, textAlign: "right" }}>
+                    <th style={{ textAlign: "left", padding: "4px 6px" }}>Hour</th>
+                    <th style={{ padding: "4px 6px" }}>Price</th>
+                    <th style={{ padding: "4px 6px" }}>Pool fees</th>
+                    <th style={{ padding: "4px 6px" }}>Your share</th>
+                    <th style={{ padding: "4px 6px" }}>Your fees</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...feeBreakdown.rows].reverse().map((r) => (
+                    <tr
+                      key={r.ts}
+                      style={{
+                        textAlign: "right",
+                        borderTop: `1px solid ${BORDER}`,
+                        color: r.inRange ? TEXT : MUTED,
+                      }}
+                    >
+                      <td style={{ textAlign: "left", padding: "4px 6px" }}>{formatHour(r.ts)}</td>
+                      <td style={{ padding: "4px 6px" }}>{fmtUSD2(r.price)}</td>
+                      <td style={{ padding: "4px 6px" }}>{fmtUSD0(r.poolFees)}</td>
+                      <td style={{ padding: "4px 6px" }}>
+                        {r.unknown ? "—" : fmtPct(r.share * 100, 4)}
+                      </td>
+                      <td style={{ padding: "4px 6px" }}>{fmtUSD2(r.fees)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : null}
+
+        {backtestOn ? (
+          <div style={cardStyle}>
+            <div style={{ fontWeight: 700, marginBottom: 12 }}>
+              Backtest ({backtestLabel})
+            </div>
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1fr auto",
+                rowGap: 10,
+                columnGap: 12,
+              }}
+            >
+              <div style={labelStyle}>Time in range</div>
+              <div style={{ fontWeight: 700 }}>
+                {backtest
+                  ? `${fmtPct(backtest.timeInRangePct, 1)} (${backtest.hoursInRange}/${backtest.hours}h)`
+                  : "—"}
+              </div>
+
+              <div style={labelStyle}>Fees earned</div>
+              <div style={{ fontWeight: 700 }}>{fmtUSD2(backtest?.fees)}</div>
+
+              <div style={labelStyle}>Impermanent loss</div>
+              <div style={{ fontWeight: 700 }}>
+                {backtest ? fmtPct(backtest.il * 100) : "—"}
+              </div>
+
+              <div style={labelStyle}>Final value (+ fees)</div>
+              <div style={{ fontWeight: 700 }}>
+                {backtest
+                  ? `${fmtUSD2(backtest.finalValue)} (${fmtUSD2(backtest.finalEquity)})`
+                  : "—"}
+              </div>
+
+              <div style={labelStyle}>Net PnL / vs HODL</div>
+              <div style={{ fontWeight: 700 }}>
+                {backtest
+                  ? `${fmtUSD2(backtest.pnl)} / ${fmtUSD2(backtest.finalEquity - backtest.hodlValue)}`
+                  : "—"}
+              </div>
+            </div>
+          </div>
+        ) : null}
+
+        {backtestOn ? (
+          <Rebalancer
+            series={backtestSeries}
+            lower={Math.min(lowerValue, upperValue)}
+            upper={Math.max(lowerValue, upperValue)}
+            deposit={Number(String(depositText).replaceAll(",", ""))}
+            index={liquidityIndex}
+            indexes={snapshotIndexes}
+            tickSpec={tickSpec}
+            poolFeePct={pool ? pool.feeTier / 10000 : null}
+            windowLabel={backtestLabel}
+          />
+        ) : null}
       </div>
     </div>
   );
@@ -0,0 +1,43 @@
+// FANCY THEME: neon
+export const APP_BG = "radial-gradient(1200px 600px at 50% -20%, #0ea5e9, transparent), #020617";
+export const CARD_BG = "linear-gradient(180deg, #0b1220, #020617)";
+export const BORDER = "#1e293b";
+export const TITLE = "#e5e7eb";
+export const TEXT = "#e5e7eb";
+export const MUTED = "#94a3b8";
+export const BTN_BG = "linear-gradient(135deg, #38bdf8, #22d3ee)";
+export const LINE_COLOR = "#e5e7eb";
+export const CARD_GLOW = "0 0 0 1px rgba(56,189,248,0.25), 0 20px 40px rgba(56,189,248,0.14)";
+export const ACTIVE_BG = "rgba(56, 189, 248, 0.14)";
+
+export const cardStyle = {
+  background: CARD_BG,
+  border: `1px solid ${BORDER}`, boxShadow: CARD_GLOW,
+  borderRadius: 14,
+  padding: 14,
+  boxSizing: "border-box",
+};
+
+export const labelStyle = { color: MUTED, fontWeight: 600 };
+
+// Compact outlined button for actions inside a card (list rows, exports)
+export const smallBtn = {
+  padding: "4px 8px",
+  borderRadius: 8,
+  border: `1px solid ${BORDER}`,
+  background: "transparent",
+  cursor: "pointer",
+  fontWeight: 600,
+  color: TEXT,
+  fontSize: 12,
+};
+
+// One per portfolio position, in list order; the chart band and the
+// portfolio card's swatch share it
+export const BAND_COLORS = ["#a78bfa", "#38bdf8", "#f472b6", "#34d399", "#fbbf24", "#fb923c"];
+
+// Imported on-chain positions, drawn as dashed bands that can't be dragged
+export const WALLET_COLOR = "#f59e0b";
+
+// Simulated swap path over the liquidity depth and the post-swap price line
+export const SWAP_COLOR = "#e879f9";
@@ -0,0 +1,50 @@
+// =========================
+//   URL STATE
+// =========================
+//
+// The shareable part of the dashboard lives in the query string:
+//   ?pool=0x…&view=7d&mode=candles&lower=2900&upper=3100&deposit=1000&entry=3000
+// Params that are missing or malformed are left out of the parsed state, so
+// the caller keeps its defaults for them.
+
+const ADDRESS_RE = /^0x[0-9a-f]{40}$/;
+
+export function parseUrlState(search) {
+  const query = new URLSearchParams(search);
+  const state = {};
+
+  const pool = query.get("pool")?.toLowerCase();
+  if (pool && ADDRESS_RE.test(pool)) state.pool = pool;
+
+  for (const key of ["view", "mode", "deposit", "entry"]) {
+    const value = query.get(key);
+    if (value) state[key] = value;
+  }
+
+  for (const key of ["lower", "upper"]) {
+    const value = Number(query.get(key));
+    if (query.has(key) && Number.isFinite(value) && value > 0) state[key] = value;
+  }
+  if (state.lower >= state.upper) {
+    delete state.lower;
+    delete state.upper;
+  }
+
+  return state;
+}
+
+// Bounds are rounded to 8 significant digits; they snap back onto the same
+// tick when the link is opened
+export function formatUrlState({ pool, view, mode, lower, upper, deposit, entry }) {
+  const query = new URLSearchParams();
+  if (pool) query.set("pool", pool);
+  if (view) query.set("view", view);
+  if (mode) query.set("mode", mode);
+  if (lower > 0) query.set("lower", String(Number(lower.toPrecision(8))));
+  if (upper > 0) query.set("upper", String(Number(upper.toPrecision(8))));
+  if (deposit) query.set("deposit", deposit);
+  if (entry) query.set("entry", entry);
+
+  const search = query.toString();
+  return search ? `?${search}` : "";
+}
@@ -0,0 +1,66 @@
+// Backtest of a 1600-2500 range opened at 2025 (see shared/test/position.test.js
+// for the amounts): with 9000 of pool liquidity active the 1000 bought by a
+// 9500 deposit earns a tenth of each in-range hour's fees
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { runBacktest } from "../src/backtest.js";
+
+const HOUR = 3600;
+const index = [{ lo: 1000, hi: 4000, liquidity: 9000 }];
+const hour = (i, price, feesUSD) => ({ ts: i * HOUR, price, feesUSD });
+const series = [hour(0, 2025, 100), hour(1, 3600, 200), hour(2, 2025, 50), hour(3, 900, 1000)];
+const range = { lower: 1600, upper: 2500, deposit: 9500 };
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("earns fees only in range and ends against HODL of the entry amounts", () => {
+  const bt = runBacktest({ ...range, series, index });
+
+  assertClose(bt.position.liquidity, 1000);
+  assert.equal(bt.hours, 4);
+  assert.equal(bt.hoursInRange, 2);
+  assert.equal(bt.timeInRangePct, 50);
+  assertClose(bt.fees, 15);
+  assert.deepEqual(
+    bt.rows.map((r) => r.inRange),
+    [true, false, true, false]
+  );
+  assertClose(bt.rows[1].fees, 10);
+  // Out of range above: 10000 USDC plus the fees so far
+  assertClose(bt.rows[1].equity, 10010);
+
+  // Ends below the range holding 5 WETH at 900
+  assertClose(bt.finalValue, 4500);
+  assertClose(bt.hodlValue, 7000);
+  assertClose(bt.il, -5 / 14);
+  assertClose(bt.finalEquity, 4515);
+  assertClose(bt.pnl, -4985);
+});
+
+test("each hour uses the tick snapshot in effect at its time", () => {
+  const indexes = [
+    { ts: 0, index },
+    { ts: 2 * HOUR, index: [{ lo: 1000, hi: 4000, liquidity: 4000 }] },
+  ];
+  const bt = runBacktest({ ...range, series, index: [], indexes });
+  // 10% of hour 0's 100, then 20% of hour 2's 50
+  assertClose(bt.fees, 20);
+});
+
+test("hours without fees or pool liquidity earn nothing", () => {
+  const gaps = [hour(0, 2025, null), hour(1, 2025, 100)];
+  assert.equal(runBacktest({ ...range, series: gaps, index }).fees, 10);
+  assert.equal(runBacktest({ ...range, series, index: [] }).fees, 0);
+});
+
+test("too short a series or an impossible range gives no backtest", () => {
+  assert.equal(runBacktest({ ...range, series: series.slice(0, 1), index }), null);
+  assert.equal(runBacktest({ ...range, lower: 2500, upper: 1600, series, index }), null);
+});
@@ -0,0 +1,93 @@
+// Monte Carlo projection of a 1600-2500 range opened at 2025 with a 9500
+// deposit (liquidity 1000). Against 9000 of pool liquidity it earns a tenth
+// of each in-range hour's fees.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { hourlyLogReturns, simulateRange } from "../src/monteCarlo.js";
+
+const HOUR = 3600;
+const inputs = {
+  price: 2025,
+  lower: 1600,
+  upper: 2500,
+  deposit: 9500,
+  volatility: 0.6,
+  returns: [0.01, 0.01, 0.01],
+  hourlyFees: 50,
+  index: [{ lo: 1000, hi: 4000, liquidity: 9000 }],
+  hours: 24,
+  paths: 200,
+};
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("hourly log returns skip gaps and unusable prices", () => {
+  const series = [
+    { ts: 0, price: 100 },
+    { ts: HOUR, price: 110 },
+    // Two hours later: not an hourly return
+    { ts: 3 * HOUR, price: 121 },
+    { ts: 4 * HOUR, price: 0 },
+    { ts: 5 * HOUR, price: 100 },
+    { ts: 6 * HOUR, price: 50 },
+  ];
+  const returns = hourlyLogReturns(series);
+  assert.equal(returns.length, 2);
+  assertClose(returns[0], Math.log(1.1));
+  assertClose(returns[1], Math.log(0.5));
+});
+
+test("bootstrap of a constant return is flat once demeaned", () => {
+  const sim = simulateRange({ ...inputs, model: "bootstrap" });
+  // 24 hours in range at 10% of $50
+  assertClose(sim.fees.mean, 120);
+  assertClose(sim.fees.p5, 120);
+  assertClose(sim.fees.p95, 120);
+  assert.equal(sim.timeInRangePct.p50, 100);
+  assert.ok(Math.abs(sim.ilUSD.mean) < 1e-9);
+  assertClose(sim.netReturnPct.p50, (120 / 9500) * 100, 1e-9);
+  for (const row of sim.fan) assertClose(row.p50, 2025);
+});
+
+test("a range the price never enters earns nothing", () => {
+  const sim = simulateRange({ ...inputs, model: "bootstrap", lower: 1000, upper: 1500 });
+  assert.equal(sim.fees.p95, 0);
+  assert.equal(sim.timeInRangePct.p95, 0);
+  assert.ok(Math.abs(sim.netReturnPct.p50) < 1e-9);
+});
+
+test("GBM paths are seeded and the fan covers every sampled hour", () => {
+  const gbm = { ...inputs, model: "gbm", hours: 240 };
+  const a = simulateRange(gbm);
+  assert.deepEqual(simulateRange(gbm), a);
+  assert.notDeepEqual(simulateRange({ ...gbm, seed: 2 }).fees, a.fees);
+
+  // 240 hours sampled every second hour, from now to the horizon
+  assert.equal(a.fan.length, 121);
+  assert.deepEqual([a.fan[0].hour, a.fan[1].hour, a.fan[120].hour], [0, 2, 240]);
+  assert.deepEqual([a.fan[0].p5, a.fan[0].p95], [2025, 2025]);
+  for (const row of a.fan) {
+    assert.ok(row.p5 <= row.p25 && row.p25 <= row.p50 && row.p50 <= row.p75 && row.p75 <= row.p95);
+  }
+  const last = a.fan[120];
+  assert.ok(last.p5 < 2025 && last.p95 > 2025);
+
+  // A concentrated position is never worth more than holding its entry amounts
+  assert.ok(a.ilUSD.p5 >= -1e-9);
+  assert.ok(a.timeInRangePct.p5 >= 0 && a.timeInRangePct.p95 <= 100);
+  assert.ok(a.fees.p95 <= 240 * 50 * 0.1 + 1e-9);
+});
+
+test("inputs that can't describe a position or a process give null", () => {
+  assert.equal(simulateRange({ ...inputs, model: "bootstrap", returns: [] }), null);
+  assert.equal(simulateRange({ ...inputs, model: "gbm", volatility: 0 }), null);
+  assert.equal(simulateRange({ ...inputs, model: "gbm", upper: 1600 }), null);
+  assert.equal(simulateRange({ ...inputs, model: "gbm", hours: 0 }), null);
+});
@@ -0,0 +1,91 @@
+// Realized volatility and the range optimizer's candidates and picks
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { HOLDING_PERIODS, PROFILES, optimizeRange, realizedVolatility } from "../src/optimizer.js";
+
+const HOUR = 3600;
+const YEAR_HOURS = 365 * 24;
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+const WEEK = HOLDING_PERIODS.find((h) => h.id === "7d").hours;
+const inputs = {
+  price: 2000,
+  deposit: 10000,
+  volatility: 0.6,
+  holdingHours: WEEK,
+  hourlyFees: 500,
+  index: [{ lo: 1, hi: 1e6, liquidity: 1e6 }],
+};
+
+test("realized volatility annualizes the stdev of log returns", () => {
+  // Log returns of +1%, -1%, +1%, -1%: sample variance 4e-4 / 3 per hour
+  const up = 100 * Math.exp(0.01);
+  const series = [100, up, 100, up, 100].map((price) => ({ price }));
+  assertClose(realizedVolatility(series, HOUR), Math.sqrt((4e-4 / 3) * YEAR_HOURS));
+  // Daily points annualize over 365 periods
+  assertClose(realizedVolatility(series, 24 * HOUR), Math.sqrt((4e-4 / 3) * 365));
+
+  assert.equal(realizedVolatility([{ price: 100 }, { price: 101 }], HOUR), null);
+});
+
+test("candidates are symmetric in log price, 0.1x to 4x the expected move", () => {
+  const { candidates, sigmaPeriod } = optimizeRange(inputs);
+  assertClose(sigmaPeriod, 0.6 * Math.sqrt(WEEK / YEAR_HOURS));
+  assert.equal(candidates.length, 40);
+
+  for (const c of candidates) assertClose(c.lower * c.upper, inputs.price ** 2);
+  const halfWidth = (c) => Math.log(c.upper / inputs.price);
+  assertClose(halfWidth(candidates[0]), 0.1 * sigmaPeriod);
+  assertClose(halfWidth(candidates[39]), 4 * sigmaPeriod);
+  assertClose(candidates[0].widthPct, (Math.exp(0.1 * sigmaPeriod) - 1) * 100);
+});
+
+test("wider ranges stay in range longer and lose less to IL", () => {
+  const { candidates } = optimizeRange(inputs);
+  for (let i = 1; i < candidates.length; i++) {
+    assert.ok(candidates[i].timeInRange > candidates[i - 1].timeInRange);
+    assert.ok(candidates[i].il < candidates[i - 1].il);
+    assert.ok(candidates[i].il > 0);
+  }
+  // Four standard deviations of the period's move out: always in range
+  assert.ok(candidates[39].timeInRange > 0.9999);
+  assert.ok(candidates[0].timeInRange < 0.2);
+});
+
+test("each profile picks its best score among ranges in range long enough", () => {
+  const { candidates, suggestions } = optimizeRange(inputs);
+  assert.deepEqual(
+    suggestions.map((s) => s.id),
+    PROFILES.map((p) => p.id)
+  );
+  for (const s of suggestions) {
+    const eligible = candidates.filter((c) => c.timeInRange >= s.minTimeInRange);
+    assert.equal(s.score, Math.max(...eligible.map((c) => c.score)));
+    assertClose(s.score, s.fees - s.il);
+    assertClose(s.aprPct, (s.score / inputs.deposit) * (YEAR_HOURS / WEEK) * 100);
+  }
+});
+
+test("with no fees to earn every profile picks the widest range", () => {
+  const { candidates, suggestions } = optimizeRange({ ...inputs, hourlyFees: 0 });
+  for (const s of suggestions) {
+    assert.equal(s.fees, 0);
+    assert.equal(s.upper, candidates[39].upper);
+  }
+});
+
+test("inputs that can't be scored give null", () => {
+  for (const bad of [{ price: 0 }, { deposit: -1 }, { volatility: 0 }, { holdingHours: 0 }]) {
+    assert.equal(optimizeRange({ ...inputs, ...bad }), null);
+  }
+  assert.equal(optimizeRange({ ...inputs, hourlyFees: NaN }), null);
+  assert.equal(optimizeRange({ ...inputs, index: [] }), null);
+});
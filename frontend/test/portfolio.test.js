@@ -0,0 +1,75 @@
+// Saved positions valued at their pool's price and summed into totals. The
+// 1600-2500 range bought with 9500 at 2025 holds 5000 USDC and 20/9 WETH
+// (see shared/test/position.test.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { summarizePortfolio, valueHolding } from "../src/portfolio.js";
+
+const saved = { lower: 1600, upper: 2500, deposit: 9500, entryPrice: 2025 };
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("a holding is valued at its pool's current price", () => {
+  const atEntry = valueHolding(saved, 2025);
+  assertClose(atEntry.liquidity, 1000);
+  assertClose(atEntry.value, 9500);
+  assert.equal(atEntry.inRange, true);
+
+  // Above the range it has all gone to USDC
+  const above = valueHolding(saved, 3600);
+  assertClose(above.amount0, 10000);
+  assert.equal(above.amount1, 0);
+  assertClose(above.value, 10000);
+  assert.equal(above.inRange, false);
+});
+
+test("without an entry price the holding is taken as entered now", () => {
+  const now = valueHolding({ ...saved, entryPrice: null }, 1800);
+  assertClose(now.value, 9500);
+  assert.equal(valueHolding(saved, null), null);
+  assert.equal(valueHolding({ ...saved, lower: 3000 }, 2025), null);
+});
+
+test("totals add values, in-range value and exposure per token symbol", () => {
+  const weth = { token0: "USDC", token1: "WETH" };
+  const summary = summarizePortfolio([
+    { ...weth, deposit: 9500, aprPct: 20, valued: valueHolding(saved, 2025) },
+    { ...weth, deposit: 9500, aprPct: 40, valued: valueHolding(saved, 900) },
+    { token0: "USDC", token1: "WBTC", deposit: 1000, aprPct: null, valued: null },
+  ]);
+
+  assert.equal(summary.count, 3);
+  assert.equal(summary.pending, 1);
+  assert.equal(summary.deposit, 20000);
+  // 9500 in range at 2025, 5 WETH at 900 out of range
+  assertClose(summary.value, 14000);
+  assertClose(summary.inRangeValue, 9500);
+  assert.equal(summary.inRangeCount, 1);
+  // Deposit-weighted over the holdings with an estimate
+  assertClose(summary.aprPct, 30);
+
+  const exposure = Object.fromEntries(summary.exposure.map((e) => [e.symbol, e.amount]));
+  assertClose(exposure.USDC, 5000);
+  assertClose(exposure.WETH, 20 / 9 + 5);
+  assert.equal(exposure.WBTC, undefined);
+});
+
+test("an empty portfolio has no blended APR", () => {
+  assert.deepEqual(summarizePortfolio([]), {
+    count: 0,
+    pending: 0,
+    deposit: 0,
+    value: 0,
+    inRangeValue: 0,
+    inRangeCount: 0,
+    aprPct: null,
+    exposure: [],
+  });
+});
@@ -0,0 +1,109 @@
+// Rebalancing rules against the passive range and HODL. The first range is
+// 1600-2500 opened at 2025 with 9500 (liquidity 1000, holding 5000 USDC and
+// 20/9 WETH); 9000 of pool liquidity is active at every price.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { simulateRebalancing } from "../src/rebalance.js";
+import { createPosition } from "../../shared/position.js";
+import { snapBounds, tickSpecForPool } from "../../shared/bounds.js";
+
+const HOUR = 3600;
+const POOL_L = 9000;
+const index = [{ lo: 1000, hi: 10000, liquidity: POOL_L }];
+const hour = (i, price, feesUSD = 100) => ({ ts: i * HOUR, price, feesUSD });
+// In range, then above it for three hours
+const series = [hour(0, 2025), hour(1, 3600), hour(2, 3600), hour(3, 3600)];
+const inputs = { series, lower: 1600, upper: 2500, deposit: 9500, index };
+const recenter = { type: "recenter", widthPct: 20, outHours: 2 };
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("recenter moves the range after enough hours out and pays gas", () => {
+  const { strategy, passive, hodl } = simulateRebalancing({
+    ...inputs,
+    strategy: recenter,
+    gasUSD: 10,
+  });
+
+  // Withdrawn at 3600 as 10000 USDC, less gas, into 2880-4320
+  assert.equal(strategy.rebalances, 1);
+  const [event] = strategy.events;
+  assert.equal(event.ts, 2 * HOUR);
+  assertClose(event.lower, 2880);
+  assertClose(event.upper, 4320);
+  assert.equal(event.cost, 10);
+  assert.equal(strategy.costs, 10);
+  assertClose(strategy.rows[2].value, 9990);
+
+  // Hour 0 in the first range, hour 3 in the new one
+  const next = createPosition({ deposit: 9990, lower: 2880, upper: 4320, entryPrice: 3600 });
+  const share = next.liquidity / (POOL_L + next.liquidity);
+  assert.equal(strategy.hoursInRange, 2);
+  assertClose(strategy.fees, 10 + 100 * share, 1e-9);
+  assertClose(strategy.finalEquity, 9990 + strategy.fees, 1e-9);
+  assertClose(strategy.pnl, strategy.finalEquity - 9500, 1e-9);
+
+  // Left alone the range sits out at 10000 USDC after hour 0's fees
+  assert.equal(passive.rebalances, 0);
+  assertClose(passive.fees, 10);
+  assertClose(passive.finalEquity, 10010);
+  // 5000 USDC + 20/9 WETH at 3600
+  assertClose(hodl.finalEquity, 13000);
+  assertClose(hodl.pnl, 3500);
+});
+
+test("the swapped share of the value is charged swapPct", () => {
+  const { strategy } = simulateRebalancing({
+    ...inputs,
+    strategy: recenter,
+    gasUSD: 10,
+    swapPct: 1,
+  });
+  // All USDC going in, so the new range's WETH is bought at 3600
+  const target = createPosition({ deposit: 10000, lower: 2880, upper: 4320, entryPrice: 3600 });
+  const [event] = strategy.events;
+  assertClose(event.swapped, target.amount1 * 3600);
+  assertClose(event.cost, 10 + event.swapped / 100);
+});
+
+test("edge rebalances once the price nears a bound, onto usable ticks", () => {
+  const tickSpec = tickSpecForPool({
+    feeTier: 3000,
+    token0: { decimals: 6 },
+    token1: { decimals: 18 },
+  });
+  // 10% of the 900 wide range: 2450 is within 90 of the upper bound
+  const { strategy } = simulateRebalancing({
+    ...inputs,
+    series: [hour(0, 2025), hour(1, 2300), hour(2, 2450)],
+    tickSpec,
+    strategy: { type: "edge", widthPct: 10, edgePct: 10 },
+  });
+  assert.equal(strategy.rebalances, 1);
+  const [event] = strategy.events;
+  assert.equal(event.ts, 2 * HOUR);
+  const snapped = snapBounds(2450 * 0.9, 2450 * 1.1, tickSpec);
+  assert.equal(event.lower, snapped.lower.price);
+  assert.equal(event.upper, snapped.upper.price);
+  assert.deepEqual(strategy.range, { lower: event.lower, upper: event.upper });
+});
+
+test("strategies that can't run give null", () => {
+  for (const strategy of [
+    { ...recenter, widthPct: 0 },
+    { ...recenter, widthPct: 100 },
+    { ...recenter, outHours: 0 },
+    { type: "edge", widthPct: 20, edgePct: 50 },
+  ]) {
+    assert.equal(simulateRebalancing({ ...inputs, strategy }), null);
+  }
+  const short = { ...inputs, series: series.slice(0, 1), strategy: recenter };
+  assert.equal(simulateRebalancing(short), null);
+});
@@ -0,0 +1,47 @@
+// Dashboard state <-> query string
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatUrlState, parseUrlState } from "../src/urlState.js";
+
+const POOL = "0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640";
+
+test("a full state survives a round trip through the URL", () => {
+  const state = {
+    pool: POOL,
+    view: "30d",
+    mode: "candles",
+    lower: 2900.5,
+    upper: 3100,
+    deposit: "2500",
+    entry: "3000",
+  };
+  const search = formatUrlState(state);
+  assert.equal(
+    search,
+    `?pool=${POOL}&view=30d&mode=candles&lower=2900.5&upper=3100&deposit=2500&entry=3000`
+  );
+  assert.deepEqual(parseUrlState(search), state);
+});
+
+test("bounds are written to 8 significant digits", () => {
+  const search = formatUrlState({ lower: 0.000123456789123, upper: 2899.123456789 });
+  assert.equal(search, "?lower=0.00012345679&upper=2899.1235");
+  assert.deepEqual(parseUrlState(search), { lower: 0.00012345679, upper: 2899.1235 });
+});
+
+test("empty fields are left out", () => {
+  assert.equal(formatUrlState({}), "");
+  assert.equal(formatUrlState({ pool: "", view: "7d", lower: 0, deposit: "" }), "?view=7d");
+});
+
+test("malformed params are dropped so the caller keeps its defaults", () => {
+  assert.deepEqual(parseUrlState(""), {});
+  assert.deepEqual(parseUrlState(`?pool=${POOL.toUpperCase().replace("0X", "0x")}`), {
+    pool: POOL,
+  });
+  assert.deepEqual(parseUrlState("?pool=0x1234&lower=abc&upper=-5&view="), {});
+  // Inverted bounds are dropped as a pair
+  assert.deepEqual(parseUrlState("?lower=3100&upper=2900&mode=line"), { mode: "line" });
+});
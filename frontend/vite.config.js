@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Pool math lives in ../shared, next to the backend that also imports it
+    fs: { allow: ['.', '../shared'] },
+  },
 })
@@ -0,0 +1,41 @@
+// =========================
+//   TICK-ALIGNED BOUNDS
+// =========================
+//
+// A V3 position can only start and end on multiples of the pool's
+// tickSpacing. The chart quotes token1 in token0, which is the inverted
+// on-chain price, so higher prices sit on lower ticks.
+
+import { snapPriceToTick, tickSpacingForFee, tickToPrice } from "./priceMath.js";
+
+// Decimals and spacing for a pool from /pools, or null for unknown fee tiers
+export function tickSpecForPool(pool) {
+  const tickSpacing = tickSpacingForFee(pool?.feeTier);
+  if (!tickSpacing) return null;
+  return {
+    decimals0: Number(pool.token0.decimals),
+    decimals1: Number(pool.token1.decimals),
+    tickSpacing,
+  };
+}
+
+export function snapToTick(price, spec) {
+  if (!spec || !Number.isFinite(price) || price <= 0) return null;
+  return snapPriceToTick(price, spec.decimals0, spec.decimals1, spec.tickSpacing, true);
+}
+
+// Snaps both bounds to initializable ticks, keeping at least one tick spacing
+// between them. Inverted prices fall as ticks rise, so the upper bound's tick
+// is the lower one.
+export function snapBounds(lower, upper, spec) {
+  const lo = snapToTick(lower, spec);
+  const hi = snapToTick(upper, spec);
+  if (!lo || !hi) return null;
+  if (hi.tick < lo.tick) return { lower: lo, upper: hi };
+
+  const tick = lo.tick - spec.tickSpacing;
+  return {
+    lower: lo,
+    upper: { tick, price: tickToPrice(tick, spec.decimals0, spec.decimals1, true) },
+  };
+}
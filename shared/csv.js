@@ -0,0 +1,20 @@
+// =========================
+//   CSV
+// =========================
+//
+// RFC 4180 quoting: fields containing a comma, quote or newline are quoted
+// and quotes are doubled. Used by the dashboard downloads and the backend's
+// export endpoints.
+
+function csvField(value) {
+  if (value == null || (typeof value === "number" && !Number.isFinite(value))) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+// `columns` defaults to the keys of the first row
+export function toCsv(rows, columns = Object.keys(rows[0] ?? {})) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvField(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
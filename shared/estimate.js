@@ -0,0 +1,97 @@
+// =========================
+//   FEE ESTIMATE
+// =========================
+//
+// Active-range attribution over the last 7 days of hourly fees:
+//   weekly_est = sum over in-range hours of feesUSD_h * L_user / (L_active(price_h) + L_user)
+//   daily_est  = weekly_est / 7
+//   APR(%)     = weekly_est / deposit * 52 * 100
+//
+// The sum is what the position would have earned over those hours and is
+// never scaled: an hour without tick data earns nothing (see
+// feeAttribution.js) and a series shorter than a week sums fewer hours.
+// breakdown.hours and breakdown.hoursUnknown say how much the sum covers.
+//
+// Shared by the dashboard and the backend's export endpoints, so a report
+// fetched by a script has the same numbers the UI shows.
+
+import { createPosition } from "./position.js";
+import { attributeFees } from "./feeAttribution.js";
+
+const WEEK_HOURS = 7 * 24;
+
+// Include ticks whose price interval overlaps [rangeLo, rangeHi]
+export function tickOverlapsRange(tick, rangeLo, rangeHi) {
+  const pl = Number(tick.priceLowerUSD);
+  const pu = Number(tick.priceUpperUSD);
+  if (!Number.isFinite(pl) || !Number.isFinite(pu)) return false;
+  const lo = Math.min(pl, pu);
+  const hi = Math.max(pl, pu);
+  return hi >= rangeLo && lo <= rangeHi;
+}
+
+export function liquidityInRange(ticks, lower, upper) {
+  let sum = 0;
+  for (const t of ticks) if (tickOverlapsRange(t, lower, upper)) sum += t.usdValue;
+  return sum;
+}
+
+// `hourly` rows are { ts, price, feesUSD }, oldest first; `index` comes from
+// buildLiquidityIndex and `fees7d` is the pool's fees over the last 7 days
+export function estimateFees({ deposit, lower, upper, entryPrice, hourly, index, ticks, fees7d }) {
+  const position = createPosition({ deposit, lower, upper, entryPrice });
+
+  const week = hourly.slice(-WEEK_HOURS);
+  if (!position || !index.length || !week.length) {
+    return { position, weeklyEst: null, dailyEst: null, aprPct: null, breakdown: null };
+  }
+
+  const breakdown = attributeFees({
+    series: week,
+    index,
+    lower,
+    upper,
+    liquidity: position.liquidity,
+  });
+  const weeklyEst = breakdown.total;
+  const dailyEst = weeklyEst / 7;
+  const aprPct = (weeklyEst / deposit) * 52 * 100;
+
+  // Old whole-pool share, kept for comparison in the breakdown
+  const L = liquidityInRange(ticks, lower, upper);
+  const wholePoolWeekly = L > 0 && Number.isFinite(fees7d) ? (deposit / L) * fees7d : null;
+
+  return {
+    position,
+    weeklyEst,
+    dailyEst,
+    aprPct,
+    breakdown: { ...breakdown, weeklyEst, wholePoolWeekly },
+  };
+}
+
+// Flat report of an estimate and the inputs that produced it
+export function positionReport({ pool, inputs, estimate, totalLiquidityInRange, generatedAt }) {
+  const p = estimate?.position;
+  return {
+    generatedAt,
+    pool: pool?.address ?? null,
+    pair: pool ? `${pool.token0.symbol}/${pool.token1.symbol}` : null,
+    feeTier: pool?.feeTier ?? null,
+    lower: inputs.lower,
+    upper: inputs.upper,
+    deposit: inputs.deposit,
+    entryPrice: inputs.entryPrice,
+    liquidity: p?.liquidity ?? null,
+    amount0: p?.amount0 ?? null,
+    amount1: p?.amount1 ?? null,
+    totalLiquidityInRange,
+    hours: estimate?.breakdown?.hours ?? null,
+    hoursInRange: estimate?.breakdown?.hoursInRange ?? null,
+    hoursUnknown: estimate?.breakdown?.hoursUnknown ?? null,
+    weeklyFees: estimate?.weeklyEst ?? null,
+    dailyFees: estimate?.dailyEst ?? null,
+    aprPct: estimate?.aprPct ?? null,
+    wholePoolWeeklyFees: estimate?.breakdown?.wholePoolWeekly ?? null,
+  };
+}
@@ -0,0 +1,102 @@
+// =========================
+//   ACTIVE-RANGE FEE ATTRIBUTION
+// =========================
+//
+// A swap only pays fees to liquidity active at the swap price. For each hour
+// we find the tick range containing that hour's price and give the position
+// L_user / (L_pool + L_user) of the hour's fees, or nothing when the price
+// was outside the position's range. An hour whose price no tick range covers
+// has unknown pool liquidity and earns nothing rather than all the fees.
+//
+// ticks.json values each range in USD at the current price, so the pool's L
+// in a range is recovered as usdValue / value-of-one-unit-of-L over the same
+// range at the same price. That keeps both sides in the same units without
+// needing token decimals.
+
+import { valueOfLiquidity } from "./position.js";
+
+function tickBounds(t) {
+  return {
+    lo: Math.min(t.priceLowerUSD, t.priceUpperUSD),
+    hi: Math.max(t.priceLowerUSD, t.priceUpperUSD),
+  };
+}
+
+// Pool liquidity per price range, sorted by price for binary search. Ranges
+// keep the ticks at their edges when the rows carry them; priceLowerUSD is
+// the price at tickUpper (see ingest.js).
+export function buildLiquidityIndex(ticks, currentPrice) {
+  if (!Number.isFinite(currentPrice) || currentPrice <= 0) return [];
+  return ticks
+    .map((t) => {
+      const { lo, hi } = tickBounds(t);
+      if (!(lo > 0) || !(hi > lo)) return null;
+      const perUnit = valueOfLiquidity(1, lo, hi, currentPrice);
+      const flipped = t.priceLowerUSD > t.priceUpperUSD;
+      return {
+        lo,
+        hi,
+        liquidity: perUnit > 0 ? t.usdValue / perUnit : 0,
+        loTick: flipped ? t.tickLower : t.tickUpper,
+        hiTick: flipped ? t.tickUpper : t.tickLower,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.lo - b.lo);
+}
+
+// `indexes` are { ts, index } sorted by ts, one per tick snapshot. Picks the
+// one in effect at `ts`; times before the first snapshot use the earliest.
+export function indexAsOf(indexes, ts) {
+  let found = indexes[0]?.index ?? [];
+  for (const entry of indexes) {
+    if (entry.ts > ts) break;
+    found = entry.index;
+  }
+  return found;
+}
+
+export function activeLiquidityAt(index, price) {
+  let lo = 0;
+  let hi = index.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const r = index[mid];
+    if (price < r.lo) hi = mid - 1;
+    else if (price >= r.hi) lo = mid + 1;
+    else return r.liquidity;
+  }
+  return 0;
+}
+
+// Share of an hour's fees earned by `liquidity` in [lower, upper] at `price`;
+// 0 when the pool's active liquidity there is unknown
+export function feeShareAt(index, price, lower, upper, liquidity) {
+  if (!(price >= lower && price <= upper) || !(liquidity > 0)) return 0;
+  const pool = activeLiquidityAt(index, price);
+  if (!(pool > 0)) return 0;
+  return liquidity / (pool + liquidity);
+}
+
+export function attributeFees({ series, index, lower, upper, liquidity }) {
+  let total = 0;
+  let hoursInRange = 0;
+  let hoursUnknown = 0;
+
+  const rows = series.map((h) => {
+    const inRange = h.price >= lower && h.price <= upper;
+    // In range, but no tick data for the pool's liquidity at that price
+    const unknown = inRange && !(activeLiquidityAt(index, h.price) > 0);
+    const poolFees = Number.isFinite(h.feesUSD) ? h.feesUSD : 0;
+    const share = feeShareAt(index, h.price, lower, upper, liquidity);
+    const fees = poolFees * share;
+
+    if (inRange) hoursInRange++;
+    if (unknown) hoursUnknown++;
+    total += fees;
+
+    return { ts: h.ts, price: h.price, inRange, unknown, poolFees, share, fees };
+  });
+
+  return { rows, total, hoursInRange, hoursUnknown, hours: rows.length };
+}
@@ -0,0 +1,96 @@
+// =========================
+//   CONCENTRATED LIQUIDITY POSITION
+// =========================
+//
+// Prices here use the chart's orientation: token1 quoted in token0 (e.g. WETH
+// priced in USDC). token1 is the "base" the chart tracks and token0 is the
+// quote currency that deposits and values are measured in.
+//
+// With sqrt prices sp (current), sa (lower) and sb (upper), a position with
+// liquidity L holds:
+//   price <= lower:  amount1 = L * (1/sa - 1/sb),  amount0 = 0
+//   price >= upper:  amount1 = 0,                  amount0 = L * (sb - sa)
+//   otherwise:       amount1 = L * (1/sp - 1/sb),  amount0 = L * (sp - sa)
+
+export function amountsForLiquidity(liquidity, lower, upper, price) {
+  const sa = Math.sqrt(lower);
+  const sb = Math.sqrt(upper);
+  const sp = Math.sqrt(price);
+
+  if (sp <= sa) return { amount0: 0, amount1: liquidity * (1 / sa - 1 / sb) };
+  if (sp >= sb) return { amount0: liquidity * (sb - sa), amount1: 0 };
+  return {
+    amount0: liquidity * (sp - sa),
+    amount1: liquidity * (1 / sp - 1 / sb),
+  };
+}
+
+// On-chain liquidity is in raw token units; this rescales it so the amounts
+// above come out in whole tokens at decimal-adjusted prices
+export function liquidityFromRaw(liquidity, decimals0, decimals1) {
+  return Number(liquidity) / 10 ** ((decimals0 + decimals1) / 2);
+}
+
+export function valueOfLiquidity(liquidity, lower, upper, price) {
+  const { amount0, amount1 } = amountsForLiquidity(liquidity, lower, upper, price);
+  return amount0 + amount1 * price;
+}
+
+// Liquidity L that a deposit of `deposit` (in token0) buys at `entryPrice`
+export function liquidityForDeposit(deposit, lower, upper, entryPrice) {
+  const perUnit = valueOfLiquidity(1, lower, upper, entryPrice);
+  return perUnit > 0 ? deposit / perUnit : 0;
+}
+
+function isValidRange(lower, upper) {
+  return Number.isFinite(lower) && Number.isFinite(upper) && lower > 0 && upper > lower;
+}
+
+// Returns null when the inputs can't describe a real position
+export function createPosition({ deposit, lower, upper, entryPrice }) {
+  if (!Number.isFinite(deposit) || deposit <= 0) return null;
+  if (!isValidRange(lower, upper)) return null;
+  if (!Number.isFinite(entryPrice) || entryPrice <= 0) return null;
+
+  const liquidity = liquidityForDeposit(deposit, lower, upper, entryPrice);
+  const { amount0, amount1 } = amountsForLiquidity(liquidity, lower, upper, entryPrice);
+
+  return { deposit, lower, upper, entryPrice, liquidity, amount0, amount1 };
+}
+
+// Position vs. HODL of the entry amounts at `price`. `fees` is the fee income
+// (in token0) earned over the horizon being evaluated.
+export function evaluatePosition(position, price, fees = 0) {
+  const { deposit, lower, upper, liquidity } = position;
+
+  const { amount0, amount1 } = amountsForLiquidity(liquidity, lower, upper, price);
+  const value = amount0 + amount1 * price;
+  const hodl = position.amount0 + position.amount1 * price;
+  const il = hodl > 0 ? value / hodl - 1 : 0;
+
+  return {
+    price,
+    amount0,
+    amount1,
+    value,
+    hodl,
+    il,
+    fees,
+    pnl: value + fees - deposit,
+  };
+}
+
+// Samples evaluatePosition across [from, to], always including the bounds and
+// the entry price so the curve's kinks are drawn exactly.
+export function positionCurve(position, from, to, fees = 0, steps = 120) {
+  const prices = [];
+  for (let i = 0; i <= steps; i++) prices.push(from + ((to - from) * i) / steps);
+  for (const p of [position.lower, position.upper, position.entryPrice]) {
+    if (p > from && p < to) prices.push(p);
+  }
+
+  return prices
+    .filter((p) => p > 0)
+    .sort((a, b) => a - b)
+    .map((p) => evaluatePosition(position, p, fees));
+}
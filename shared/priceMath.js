@@ -0,0 +1,159 @@
+// =========================
+//   UNISWAP V3 PRICE MATH
+// =========================
+//
+// On-chain a pool stores sqrt(token1 / token0) in raw token units as a Q64.96
+// fixed-point number. Human prices also need each token's decimals, and a
+// direction: `invert = false` quotes token0 in token1 (1.0001^tick), while
+// `invert = true` quotes token1 in token0, which is how the subgraph's
+// token0Price and the dashboard chart are oriented (e.g. USDC per WETH).
+
+export const Q96 = 2n ** 96n;
+const Q192 = Q96 * Q96;
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// Magic constants from TickMath.getSqrtRatioAtTick: sqrt(1.0001^-(2^i)) in Q128
+const TICK_RATIOS = [
+  0xfffcb933bd6fad37aa2d162d1a594001n,
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n,
+];
+
+const pow10 = (n) => 10n ** BigInt(n);
+const clampTick = (t) => Math.max(MIN_TICK, Math.min(MAX_TICK, t));
+
+// BigInt num / den as a float, keeping ~30 significant digits through the
+// division so tiny or huge ratios don't collapse to 0 or Infinity early.
+function divToNumber(num, den) {
+  const shift = Math.max(0, den.toString().length - num.toString().length + 30);
+  return Number((num * pow10(shift)) / den) / 10 ** shift;
+}
+
+function assertTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new RangeError(`Tick out of range: ${tick}`);
+  }
+}
+
+// Exact port of TickMath.getSqrtRatioAtTick
+export function tickToSqrtPriceX96(tick) {
+  assertTick(tick);
+  const absTick = Math.abs(tick);
+
+  let ratio = 0x100000000000000000000000000000000n;
+  for (let i = 0; i < TICK_RATIOS.length; i++) {
+    if (absTick & (1 << i)) ratio = (ratio * TICK_RATIOS[i]) >> 128n;
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128 -> Q96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt ratio is <= sqrtPriceX96 (TickMath.getTickAtSqrtRatio)
+export function sqrtPriceX96ToTick(sqrtPriceX96) {
+  const sqrtP = BigInt(sqrtPriceX96);
+  if (sqrtP < MIN_SQRT_RATIO || sqrtP >= MAX_SQRT_RATIO) {
+    throw new RangeError(`sqrtPriceX96 out of range: ${sqrtP}`);
+  }
+
+  const rawPrice = divToNumber(sqrtP * sqrtP, Q192);
+  let tick = clampTick(Math.floor(Math.log(rawPrice) / Math.log(1.0001)));
+
+  // The float estimate can be off by one either way near tick boundaries
+  while (tick < MAX_TICK && tickToSqrtPriceX96(tick + 1) <= sqrtP) tick++;
+  while (tick > MIN_TICK && tickToSqrtPriceX96(tick) > sqrtP) tick--;
+  return tick;
+}
+
+export function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, invert = false) {
+  const sqrtP = BigInt(sqrtPriceX96);
+  if (sqrtP === 0n) return invert ? Infinity : 0;
+
+  // token1 per token0 = sqrtP^2 / 2^192 * 10^(decimals0 - decimals1)
+  const diff = decimals0 - decimals1;
+  let num = sqrtP * sqrtP * (diff > 0 ? pow10(diff) : 1n);
+  let den = Q192 * (diff < 0 ? pow10(-diff) : 1n);
+  if (invert) [num, den] = [den, num];
+
+  return divToNumber(num, den);
+}
+
+export function priceToSqrtPriceX96(price, decimals0, decimals1, invert = false) {
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new RangeError(`Price must be a positive number: ${price}`);
+  }
+  const raw = (invert ? 1 / price : price) * 10 ** (decimals1 - decimals0);
+
+  return BigInt(Math.round(Math.sqrt(raw) * 2 ** 96));
+}
+
+export function tickToPrice(tick, decimals0, decimals1, invert = false) {
+  assertTick(tick);
+  const price = 1.0001 ** tick * 10 ** (decimals0 - decimals1);
+  return invert ? 1 / price : price;
+}
+
+// Greatest tick at or below `price` in the on-chain token0 -> token1
+// direction, i.e. the same rounding as TickMath.getTickAtSqrtRatio.
+export function priceToTick(price, decimals0, decimals1, invert = false) {
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new RangeError(`Price must be a positive number: ${price}`);
+  }
+  const raw = (invert ? 1 / price : price) * 10 ** (decimals1 - decimals0);
+  const tick = Math.log(raw) / Math.log(1.0001);
+  // Round away tiny float error before flooring (e.g. 99.9999999 -> 100)
+  const nearest = Math.round(tick);
+  const snapped = Math.abs(tick - nearest) < 1e-9 ? nearest : tick;
+  return clampTick(Math.floor(snapped));
+}
+
+// Fee tier (hundredths of a bip) -> tickSpacing, as enabled on the V3 factory
+export const TICK_SPACINGS = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+export function tickSpacingForFee(feeTier) {
+  return TICK_SPACINGS[Number(feeTier)] ?? null;
+}
+
+// Multiple of tickSpacing nearest to `tick`, within the usable tick range
+// (v3-sdk nearestUsableTick)
+export function nearestUsableTick(tick, tickSpacing) {
+  const rounded = Math.round(tick / tickSpacing) * tickSpacing;
+  if (rounded < MIN_TICK) return rounded + tickSpacing;
+  if (rounded > MAX_TICK) return rounded - tickSpacing;
+  return rounded;
+}
+
+// Initializable tick nearest to `price` (in log terms) and its exact price
+export function snapPriceToTick(price, decimals0, decimals1, tickSpacing, invert = false) {
+  const floor = priceToTick(price, decimals0, decimals1, invert);
+  const below = nearestUsableTick(Math.floor(floor / tickSpacing) * tickSpacing, tickSpacing);
+  const above = nearestUsableTick(below + tickSpacing, tickSpacing);
+
+  const distance = (t) => Math.abs(Math.log(tickToPrice(t, decimals0, decimals1, invert) / price));
+  const tick = distance(above) < distance(below) ? above : below;
+  return { tick, price: tickToPrice(tick, decimals0, decimals1, invert) };
+}
@@ -0,0 +1,113 @@
+// =========================
+//   SWAP SIMULATOR
+// =========================
+//
+// Walks a trade through the pool's liquidity from the current price, the way
+// the pool itself fills it: within a tick range with liquidity L the price
+// moves along
+//   token0 in (buy token1, price up):     Δsp = amount0 / L
+//   token1 in (sell token1, price down):  Δ(1/sp) = amount1 / L
+// and whatever a range can't absorb carries on into the next one. Ranges
+// with no liquidity are skipped over, as the pool jumps past them.
+//
+// Prices and amounts use the chart's orientation (see position.js) and the
+// liquidity index from buildLiquidityIndex, so amounts are whole tokens.
+// The pool fee is taken from the input before it reaches the curve, so it is
+// in the execution price but not in the price impact.
+
+export const SWAP_DIRECTIONS = [
+  { id: "buy", label: "Buy token1 (price up)" },
+  { id: "sell", label: "Sell token1 (price down)" },
+];
+
+// Range the walk starts in: the first one ending above `price` when buying,
+// the last one starting below it when selling
+function startIndex(index, price, up) {
+  if (up) return index.findIndex((r) => r.hi > price);
+  for (let i = index.length - 1; i >= 0; i--) {
+    if (index[i].lo < price) return i;
+  }
+  return -1;
+}
+
+// `amountIn` is in the input token: token0 when buying token1, token1 when
+// selling it. `feePct` is the pool's fee tier in percent. Returns null when
+// there is no price or liquidity to trade against.
+export function simulateSwap({ index, price, amountIn, direction, feePct = 0 }) {
+  if (!Array.isArray(index) || !index.length) return null;
+  if (!(price > 0) || !(amountIn > 0)) return null;
+  const up = direction !== "sell";
+
+  const feeRate = Math.min(Math.max(0, feePct), 100) / 100;
+  let remaining = amountIn * (1 - feeRate);
+  let amountOut = 0;
+  let p = price;
+  const steps = [];
+  const crossed = [];
+
+  for (let i = startIndex(index, price, up); i >= 0 && i < index.length && remaining > 0; ) {
+    const r = index[i];
+    // Empty stretch between ranges: the price jumps to the next one
+    if (up && p < r.lo) p = r.lo;
+    if (!up && p > r.hi) p = r.hi;
+
+    const L = r.liquidity;
+    const sp = Math.sqrt(p);
+    const edge = up ? r.hi : r.lo;
+    const se = Math.sqrt(edge);
+    const toEdge = L > 0 ? (up ? L * (se - sp) : L * (1 / se - 1 / sp)) : 0;
+
+    let used;
+    let out;
+    let next;
+    if (L > 0 && remaining < toEdge) {
+      used = remaining;
+      const sn = up ? sp + used / L : 1 / (1 / sp + used / L);
+      out = up ? L * (1 / sp - 1 / sn) : L * (sp - sn);
+      next = sn * sn;
+    } else {
+      used = toEdge;
+      out = L > 0 ? (up ? L * (1 / sp - 1 / se) : L * (sp - se)) : 0;
+      next = edge;
+      crossed.push({ price: edge, tick: up ? r.hiTick : r.loTick, liquidity: L });
+      i += up ? 1 : -1;
+    }
+
+    if (used > 0) {
+      steps.push({ from: p, to: next, liquidity: L, amountIn: used, amountOut: out });
+    }
+    remaining -= used;
+    amountOut += out;
+    p = next;
+  }
+
+  // Input the curve took; the pool only charges its fee on what it fills
+  const filledIn = amountIn * (1 - feeRate) - Math.max(0, remaining);
+  const spent = feeRate < 1 ? filledIn / (1 - feeRate) : 0;
+  // Prices in token0 per token1. The execution price is what the trader gets
+  // for the whole input, fee included; the impact compares the curve's own
+  // average price (fee excluded) with the starting price, in percent.
+  const perToken1 = (amount) =>
+    amountOut > 0 ? (up ? amount / amountOut : amountOut / amount) : NaN;
+  const executionPrice = perToken1(spent);
+  const averagePrice = perToken1(filledIn);
+  const priceImpactPct = (up ? averagePrice / price - 1 : 1 - averagePrice / price) * 100;
+
+  return {
+    direction: up ? "buy" : "sell",
+    amountIn,
+    fee: spent - filledIn,
+    filled: remaining <= 0,
+    // Input left over once the pool's liquidity ran out
+    unfilled: remaining > 0 ? amountIn - spent : 0,
+    amountOut,
+    startPrice: price,
+    endPrice: p,
+    executionPrice,
+    averagePrice,
+    priceImpactPct,
+    priceMovePct: (p / price - 1) * 100,
+    steps,
+    crossed,
+  };
+}
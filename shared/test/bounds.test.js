@@ -0,0 +1,62 @@
+// Bound snapping on a USDC/WETH pool (token0 USDC with 6 decimals, token1
+// WETH with 18) at each fee tier. 3443.3339 USDC per WETH sits on tick 194878.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { snapBounds, snapToTick, tickSpecForPool } from "../bounds.js";
+import { tickToPrice } from "../priceMath.js";
+
+const pool = (feeTier) => ({
+  feeTier,
+  token0: { symbol: "USDC", decimals: "6" },
+  token1: { symbol: "WETH", decimals: "18" },
+});
+const price = (tick) => tickToPrice(tick, 6, 18, true);
+
+test("a pool's fee tier gives its tick spacing", () => {
+  assert.deepEqual(tickSpecForPool(pool(500)), { decimals0: 6, decimals1: 18, tickSpacing: 10 });
+  assert.deepEqual(
+    [100, 3000, "10000"].map((fee) => tickSpecForPool(pool(fee)).tickSpacing),
+    [1, 60, 200]
+  );
+  assert.equal(tickSpecForPool(pool(2500)), null);
+  assert.equal(tickSpecForPool(null), null);
+});
+
+test("prices snap to the nearest usable tick of each fee tier", () => {
+  // 194878 is 2 from 194880 (spacing 10 and 60) and 78 from 194800 (spacing 200)
+  for (const [fee, tick] of [
+    [100, 194878],
+    [500, 194880],
+    [3000, 194880],
+    [10000, 194800],
+  ]) {
+    const snapped = snapToTick(3443.3339, tickSpecForPool(pool(fee)));
+    assert.equal(snapped.tick, tick, `fee tier ${fee}`);
+    assert.equal(snapped.price, price(tick));
+  }
+
+  const spec = tickSpecForPool(pool(3000));
+  for (const bad of [0, -1, NaN, Infinity]) assert.equal(snapToTick(bad, spec), null);
+  assert.equal(snapToTick(3000, null), null);
+});
+
+test("snapped bounds keep the upper price on the lower tick", () => {
+  const spec = tickSpecForPool(pool(3000));
+  const { lower, upper } = snapBounds(3000, 4000, spec);
+  assert.ok(lower.tick > upper.tick);
+  assert.equal(lower.tick % 60, 0);
+  assert.equal(upper.tick % 60, 0);
+  assert.ok(Math.abs(lower.price / 3000 - 1) < 0.003);
+  assert.ok(Math.abs(upper.price / 4000 - 1) < 0.003);
+});
+
+test("bounds that snap together are kept one tick spacing apart", () => {
+  const spec = tickSpecForPool(pool(3000));
+  const { lower, upper } = snapBounds(3443.3339, 3443.5, spec);
+  assert.deepEqual(lower, { tick: 194880, price: price(194880) });
+  assert.deepEqual(upper, { tick: 194820, price: price(194820) });
+
+  assert.equal(snapBounds(0, 4000, spec), null);
+});
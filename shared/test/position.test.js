@@ -0,0 +1,108 @@
+// Position amounts and values worked by hand on square-number prices:
+// lower 1600, upper 2500 and entry 2025 have square roots 40, 50 and 45
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  amountsForLiquidity,
+  createPosition,
+  evaluatePosition,
+  liquidityForDeposit,
+  liquidityFromRaw,
+  positionCurve,
+  valueOfLiquidity,
+} from "../position.js";
+
+const LOWER = 1600;
+const UPPER = 2500;
+const ENTRY = 2025;
+const L = 1000;
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("in range the position holds both tokens", () => {
+  const { amount0, amount1 } = amountsForLiquidity(L, LOWER, UPPER, ENTRY);
+  // L * (45 - 40) and L * (1/45 - 1/50)
+  assertClose(amount0, 5000);
+  assertClose(amount1, 20 / 9);
+  assertClose(valueOfLiquidity(L, LOWER, UPPER, ENTRY), 9500);
+});
+
+test("at and below the lower bound it is all token1", () => {
+  // L * (1/40 - 1/50)
+  for (const price of [LOWER, 900]) {
+    const { amount0, amount1 } = amountsForLiquidity(L, LOWER, UPPER, price);
+    assert.equal(amount0, 0);
+    assertClose(amount1, 5);
+  }
+  assertClose(valueOfLiquidity(L, LOWER, UPPER, 900), 4500);
+});
+
+test("at and above the upper bound it is all token0", () => {
+  // L * (50 - 40)
+  for (const price of [UPPER, 3600]) {
+    assert.deepEqual(amountsForLiquidity(L, LOWER, UPPER, price), { amount0: 10000, amount1: 0 });
+  }
+});
+
+test("a deposit buys the liquidity that is worth it at the entry price", () => {
+  assertClose(liquidityForDeposit(9500, LOWER, UPPER, ENTRY), L);
+  // Raw liquidity is scaled by 10^((decimals0 + decimals1) / 2)
+  assert.equal(liquidityFromRaw(10n ** 12n, 6, 18), 1);
+  assert.equal(liquidityFromRaw("5000000000000000000", 18, 18), 5);
+});
+
+test("createPosition splits the deposit and rejects impossible inputs", () => {
+  const p = createPosition({ deposit: 9500, lower: LOWER, upper: UPPER, entryPrice: ENTRY });
+  assertClose(p.liquidity, L);
+  assertClose(p.amount0, 5000);
+  assertClose(p.amount1, 20 / 9);
+
+  const valid = { deposit: 9500, lower: LOWER, upper: UPPER, entryPrice: ENTRY };
+  for (const bad of [
+    { deposit: 0 },
+    { lower: UPPER, upper: LOWER },
+    { lower: 0 },
+    { upper: Infinity },
+    { entryPrice: -1 },
+  ]) {
+    assert.equal(createPosition({ ...valid, ...bad }), null);
+  }
+});
+
+test("evaluatePosition compares against holding the entry amounts", () => {
+  const p = createPosition({ deposit: 9500, lower: LOWER, upper: UPPER, entryPrice: ENTRY });
+
+  const atEntry = evaluatePosition(p, ENTRY);
+  assertClose(atEntry.value, 9500);
+  assert.ok(Math.abs(atEntry.il) < 1e-12);
+
+  // Above the range: 10000 USDC against 5000 USDC + 20/9 WETH at 3600
+  const above = evaluatePosition(p, 3600, 100);
+  assertClose(above.value, 10000);
+  assertClose(above.hodl, 13000);
+  assertClose(above.il, -3 / 13);
+  assertClose(above.pnl, 600);
+
+  // Below the range: 5 WETH against the same entry amounts at 900
+  const below = evaluatePosition(p, 900);
+  assertClose(below.value, 4500);
+  assertClose(below.hodl, 7000);
+  assertClose(below.il, -5 / 14);
+  assertClose(below.pnl, -5000);
+});
+
+test("positionCurve samples the span plus the bounds and entry, in order", () => {
+  const p = createPosition({ deposit: 9500, lower: LOWER, upper: UPPER, entryPrice: ENTRY });
+  const curve = positionCurve(p, 1000, 3000, 0, 5);
+  assert.deepEqual(
+    curve.map((pt) => pt.price),
+    [1000, 1400, 1600, 1800, 2025, 2200, 2500, 2600, 3000]
+  );
+});
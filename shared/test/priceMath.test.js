@@ -0,0 +1,135 @@
+// Known values from Uniswap V3's TickMath and the USDC/WETH pools
+// (token0 USDC with 6 decimals, token1 WETH with 18)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_SQRT_RATIO,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MIN_TICK,
+  Q96,
+  nearestUsableTick,
+  priceToSqrtPriceX96,
+  priceToTick,
+  snapPriceToTick,
+  sqrtPriceX96ToPrice,
+  sqrtPriceX96ToTick,
+  tickSpacingForFee,
+  tickToPrice,
+  tickToSqrtPriceX96,
+} from "../priceMath.js";
+
+const USDC = 6;
+const WETH = 18;
+
+// slot0 of a USDC/WETH pool sitting exactly on tick 194878
+const ON_TICK = { tick: 194878, sqrtPriceX96: 1350174849792634181862360983626536n };
+// The Uniswap V3 math primer's USDC/WETH example: ~1540.82 USDC per WETH
+const PRIMER = { tick: 202919, sqrtPriceX96: 2018382873588440326581633304624437n };
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("tick 0 is a price of 1, Q96", () => {
+  assert.equal(tickToSqrtPriceX96(0), Q96);
+  assert.equal(tickToSqrtPriceX96(0), 79228162514264337593543950336n);
+  assert.equal(sqrtPriceX96ToTick(Q96), 0);
+  assert.equal(tickToPrice(0, 18, 18), 1);
+});
+
+test("MIN_TICK and MAX_TICK give TickMath's MIN_SQRT_RATIO and MAX_SQRT_RATIO", () => {
+  assert.equal(tickToSqrtPriceX96(MIN_TICK), MIN_SQRT_RATIO);
+  assert.equal(tickToSqrtPriceX96(MIN_TICK), 4295128739n);
+  assert.equal(tickToSqrtPriceX96(MAX_TICK), MAX_SQRT_RATIO);
+  assert.equal(
+    tickToSqrtPriceX96(MAX_TICK),
+    1461446703485210103287273052203988822378723970342n
+  );
+  assert.equal(sqrtPriceX96ToTick(MIN_SQRT_RATIO), MIN_TICK);
+  // MAX_SQRT_RATIO itself is outside the range getTickAtSqrtRatio accepts
+  assert.equal(sqrtPriceX96ToTick(MAX_SQRT_RATIO - 1n), MAX_TICK - 1);
+});
+
+test("ticks next to the limits and around 0 match TickMath", () => {
+  assert.equal(tickToSqrtPriceX96(MIN_TICK + 1), 4295343490n);
+  assert.equal(
+    tickToSqrtPriceX96(MAX_TICK - 1),
+    1461373636630004318706518188784493106690254656249n
+  );
+  assert.equal(tickToSqrtPriceX96(50), 79426470787362580746886972461n);
+  assert.equal(tickToSqrtPriceX96(-50), 79030349367926598376800521322n);
+});
+
+test("ticks outside the range are rejected", () => {
+  assert.throws(() => tickToSqrtPriceX96(MIN_TICK - 1), RangeError);
+  assert.throws(() => tickToSqrtPriceX96(MAX_TICK + 1), RangeError);
+  assert.throws(() => tickToSqrtPriceX96(1.5), RangeError);
+  assert.throws(() => sqrtPriceX96ToTick(MIN_SQRT_RATIO - 1n), RangeError);
+  assert.throws(() => sqrtPriceX96ToTick(MAX_SQRT_RATIO), RangeError);
+});
+
+test("tick <-> sqrtPriceX96 on a USDC/WETH pool", () => {
+  assert.equal(tickToSqrtPriceX96(ON_TICK.tick), ON_TICK.sqrtPriceX96);
+  assert.equal(sqrtPriceX96ToTick(ON_TICK.sqrtPriceX96), ON_TICK.tick);
+  // One below a tick's exact ratio floors to the tick before it
+  assert.equal(sqrtPriceX96ToTick(ON_TICK.sqrtPriceX96 - 1n), ON_TICK.tick - 1);
+  // Between ticks rounds down, like getTickAtSqrtRatio
+  assert.equal(sqrtPriceX96ToTick(PRIMER.sqrtPriceX96), PRIMER.tick);
+});
+
+test("sqrtPriceX96 -> price in both quote directions", () => {
+  // invert: USDC per WETH, the chart's orientation
+  assertClose(sqrtPriceX96ToPrice(PRIMER.sqrtPriceX96, USDC, WETH, true), 1540.820552028046);
+  assertClose(sqrtPriceX96ToPrice(ON_TICK.sqrtPriceX96, USDC, WETH, true), 3443.333910189891);
+  // on-chain direction: WETH per USDC
+  assertClose(sqrtPriceX96ToPrice(PRIMER.sqrtPriceX96, USDC, WETH), 0.000649004842701370);
+  assertClose(sqrtPriceX96ToPrice(ON_TICK.sqrtPriceX96, USDC, WETH), 0.000290416214657745);
+});
+
+test("tick -> price in both quote directions", () => {
+  // 1.0001^tick in floats drifts from TickMath's exact ratio by ~1e-12
+  assertClose(tickToPrice(ON_TICK.tick, USDC, WETH, true), 3443.333910189891, 1e-10);
+  assertClose(tickToPrice(ON_TICK.tick, USDC, WETH), 1 / 3443.333910189891, 1e-10);
+  assertClose(tickToPrice(PRIMER.tick, USDC, WETH, true), 1540.921115110284, 1e-10);
+  // Same token decimals: the price is 1.0001^tick
+  assertClose(tickToPrice(100, 18, 18), 1.0001 ** 100);
+});
+
+test("price -> tick rounds down in the on-chain direction", () => {
+  assert.equal(priceToTick(1540.820552028046, USDC, WETH, true), PRIMER.tick);
+  assert.equal(priceToTick(0.000649004842701370, USDC, WETH), PRIMER.tick);
+  // A tick's own price maps back to it, in both directions
+  for (const tick of [ON_TICK.tick, -ON_TICK.tick, 0, 60, -60]) {
+    assert.equal(priceToTick(tickToPrice(tick, USDC, WETH, true), USDC, WETH, true), tick);
+    assert.equal(priceToTick(tickToPrice(tick, USDC, WETH), USDC, WETH), tick);
+  }
+  assert.throws(() => priceToTick(0, USDC, WETH), RangeError);
+});
+
+test("price -> sqrtPriceX96 in both quote directions", () => {
+  const fromInverted = priceToSqrtPriceX96(1540.820552028046, USDC, WETH, true);
+  const direct = priceToSqrtPriceX96(0.000649004842701370, USDC, WETH);
+  // Floats carry ~15 significant digits of the 34-digit value
+  assertClose(Number(fromInverted), Number(PRIMER.sqrtPriceX96), 1e-12);
+  assertClose(Number(direct), Number(PRIMER.sqrtPriceX96), 1e-12);
+  assert.equal(sqrtPriceX96ToTick(priceToSqrtPriceX96(3443.3339102, USDC, WETH, true)), 194877);
+});
+
+test("fee tiers map to tick spacings and snap to usable ticks", () => {
+  assert.equal(tickSpacingForFee(500), 10);
+  assert.equal(tickSpacingForFee("3000"), 60);
+  assert.equal(tickSpacingForFee(1234), null);
+  assert.equal(nearestUsableTick(194878, 10), 194880);
+  assert.equal(nearestUsableTick(MIN_TICK, 60), -887220);
+  assert.equal(nearestUsableTick(MAX_TICK, 60), 887220);
+
+  const snapped = snapPriceToTick(3443.3339, USDC, WETH, 10, true);
+  assert.equal(snapped.tick, 194880);
+  assertClose(snapped.price, tickToPrice(194880, USDC, WETH, true));
+});
@@ -0,0 +1,94 @@
+// Swaps walked by hand through two ranges on square-number prices: 1000 of
+// liquidity over 1600-2025 (square roots 40-45) and 2000 over 2025-2500
+// (45-50), starting at 1936 (44). Ticks only label the edges; higher prices
+// sit on lower ticks, as in the chart's orientation.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { simulateSwap } from "../swap.js";
+
+const index = [
+  { lo: 1600, hi: 2025, liquidity: 1000, loTick: 120, hiTick: 60 },
+  { lo: 2025, hi: 2500, liquidity: 2000, loTick: 60, hiTick: 0 },
+];
+// token1 out of each step: L * (1/sp - 1/sn)
+const FIRST_RANGE_OUT = 1000 * (1 / 44 - 1 / 45);
+const SECOND_RANGE_OUT = 2000 * (1 / 45 - 1 / 46);
+
+const assertClose = (actual, expected, relTol = 1e-12) => {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * relTol,
+    `expected ${actual} to be within ${relTol} of ${expected}`
+  );
+};
+
+test("a buy crosses the tick at 2025 into the deeper range", () => {
+  // 1000 token0 takes the first range to its edge; 2000 more moves the
+  // second from 45 to 45 + 2000 / 2000 = 46
+  const swap = simulateSwap({ index, price: 1936, amountIn: 3000, direction: "buy" });
+
+  assert.equal(swap.filled, true);
+  assert.deepEqual(swap.crossed, [{ price: 2025, tick: 60, liquidity: 1000 }]);
+  assert.equal(swap.steps.length, 2);
+  assert.deepEqual(
+    swap.steps.map((s) => [s.from, s.liquidity, s.amountIn]),
+    [
+      [1936, 1000, 1000],
+      [2025, 2000, 2000],
+    ]
+  );
+  assertClose(swap.endPrice, 2116);
+  assertClose(swap.amountOut, FIRST_RANGE_OUT + SECOND_RANGE_OUT);
+  assertClose(swap.averagePrice, 3000 / swap.amountOut);
+  assert.equal(swap.executionPrice, swap.averagePrice);
+  assertClose(swap.priceImpactPct, (swap.averagePrice / 1936 - 1) * 100);
+  assertClose(swap.priceMovePct, (2116 / 1936 - 1) * 100);
+});
+
+test("the pool fee is taken before the curve and counted in the execution price", () => {
+  const amountIn = 3000 / 0.99;
+  const swap = simulateSwap({ index, price: 1936, amountIn, direction: "buy", feePct: 1 });
+  assertClose(swap.amountOut, FIRST_RANGE_OUT + SECOND_RANGE_OUT);
+  assertClose(swap.fee, amountIn - 3000);
+  assertClose(swap.executionPrice, amountIn / swap.amountOut);
+  assertClose(swap.averagePrice, 3000 / swap.amountOut);
+});
+
+test("selling the bought token1 walks back across the same tick", () => {
+  const swap = simulateSwap({
+    index,
+    price: 2116,
+    amountIn: FIRST_RANGE_OUT + SECOND_RANGE_OUT,
+    direction: "sell",
+  });
+  assert.deepEqual(swap.crossed, [{ price: 2025, tick: 60, liquidity: 2000 }]);
+  assertClose(swap.endPrice, 1936, 1e-9);
+  assertClose(swap.amountOut, 3000, 1e-9);
+  assert.ok(swap.priceImpactPct > 0);
+});
+
+test("a trade larger than the liquidity stops at the last range", () => {
+  const swap = simulateSwap({ index, price: 1936, amountIn: 1e6, direction: "buy" });
+  assert.equal(swap.filled, false);
+  assert.equal(swap.endPrice, 2500);
+  assert.equal(swap.crossed.length, 2);
+  // 1000 + 2000 * (50 - 45) of token0 fits
+  assertClose(swap.unfilled, 1e6 - 11000);
+  assertClose(swap.amountOut, FIRST_RANGE_OUT + 2000 * (1 / 45 - 1 / 50));
+});
+
+test("the price jumps over a stretch without liquidity", () => {
+  const gapped = [index[0], { ...index[1], lo: 2116 }];
+  const swap = simulateSwap({ index: gapped, price: 1936, amountIn: 2000, direction: "buy" });
+  // From 46 the second range's 1000 moves it to 46.5
+  assert.equal(swap.steps[1].from, 2116);
+  assertClose(swap.endPrice, 46.5 ** 2);
+  assertClose(swap.amountOut, FIRST_RANGE_OUT + 2000 * (1 / 46 - 1 / 46.5));
+});
+
+test("no liquidity, price or amount gives null", () => {
+  assert.equal(simulateSwap({ index: [], price: 1936, amountIn: 1, direction: "buy" }), null);
+  assert.equal(simulateSwap({ index, price: 0, amountIn: 1, direction: "buy" }), null);
+  assert.equal(simulateSwap({ index, price: 1936, amountIn: 0, direction: "sell" }), null);
+});